@@ -0,0 +1,258 @@
+const fs = require("fs");
+const path = require("path");
+const esm = require("./utils/esm");
+const {
+  RESULTS_ATTACHMENT,
+  getResultStatus,
+  saveResults,
+  loadMatrixResults,
+  generateHtmlReport,
+} = require("./utils/report");
+const { ensureDirectoryExistence } = require("./utils/screenshots");
+const { appendRun, getRunId } = require("./utils/history");
+const { SEO_RESULTS_PATH } = require("./utils/seo");
+const { HTTP_RESULTS_PATH } = require("./utils/httpParity");
+const { ACCESSIBILITY_RESULTS_PATH } = require("./utils/accessibility");
+const { CATALOG_RESULTS_PATH } = require("./utils/catalog");
+const { MENU_RESULTS_PATH } = require("./utils/menu");
+
+// Results files the audit tests attach, written back before the report is
+// built so a report merged from shards includes them
+const RESULT_FILES = Object.fromEntries(
+  [
+    SEO_RESULTS_PATH,
+    HTTP_RESULTS_PATH,
+    ACCESSIBILITY_RESULTS_PATH,
+    MENU_RESULTS_PATH,
+    CATALOG_RESULTS_PATH,
+  ].map((filePath) => [
+    path.basename(filePath),
+    filePath,
+  ])
+);
+
+// Escape a value for XML text and attributes, dropping characters XML 1.0
+// cannot carry
+function escapeXml(value) {
+  return String(value)
+    .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Error text without the terminal colour codes Playwright adds
+function formatError(error) {
+  return (error.message || error.value || "").replace(/\u001b\[[0-9;]*m/g, "");
+}
+
+// Seconds for JUnit time attributes
+function toSeconds(ms) {
+  return (ms / 1000).toFixed(3);
+}
+
+// Copy a page test's screenshots and diffs back to where its results point,
+// when they are missing: a report merged from shards runs where the shards'
+// screenshots/ directories are not, but their attachments are
+function restoreImages(visualResults, attachments) {
+  const attachmentPaths = new Map(
+    attachments
+      .filter((attachment) => attachment.path && fs.existsSync(attachment.path))
+      .map((attachment) => [attachment.name, attachment.path])
+  );
+  for (const visualResult of visualResults) {
+    const { deviceName } = visualResult;
+    const images = [
+      [visualResult.currentPath, `${deviceName} ${visualResult.currentEnvironment}`],
+      [visualResult.referencePath, `${deviceName} ${visualResult.referenceEnvironment}`],
+      [visualResult.diffPath, `${deviceName} ${visualResult.comparison} diff`],
+    ];
+    for (const [imagePath, name] of images) {
+      if (imagePath && !fs.existsSync(imagePath) && attachmentPaths.has(name)) {
+        ensureDirectoryExistence(imagePath);
+        fs.copyFileSync(attachmentPaths.get(name), imagePath);
+      }
+    }
+  }
+}
+
+// Reporter run alongside Playwright's own. It collects the comparison results
+// each page test attaches, then writes the visual comparison report, the run
+// history, a JUnit XML file and a JSON summary, so CI sees one status per test.
+// A `--shard` run writes none of these: its blob report is merged with the
+// other shards' by `npm run merge-reports`, which runs this reporter again
+// over every shard's results.
+// Playwright instantiates reporters with `new`, hence the class.
+class ComparisonReporter {
+  constructor(options = {}) {
+    this.junitPath = options.junitPath || "junit-results.xml";
+    this.summaryPath = options.summaryPath || "run_summary.json";
+    this.tests = new Map();
+    this.resultFiles = new Map();
+  }
+
+  onBegin(config) {
+    this.startedAt = Date.now();
+    this.shard = config.shard;
+  }
+
+  // Keep only the latest attempt of each test, so retries replace results
+  onTestEnd(test, result) {
+    const visualResults = result.attachments
+      .filter((attachment) => attachment.name === RESULTS_ATTACHMENT && attachment.body)
+      .flatMap((attachment) => JSON.parse(attachment.body.toString("utf8")));
+    this.tests.set(test.id, { test, result, visualResults });
+    restoreImages(visualResults, result.attachments);
+    for (const attachment of result.attachments) {
+      if (RESULT_FILES[attachment.name] && attachment.body) {
+        this.resultFiles.set(attachment.name, attachment.body);
+      }
+    }
+  }
+
+  async onEnd(result) {
+    if (this.tests.size === 0) {
+      return;
+    }
+    await esm.ready;
+    if (this.shard) {
+      console.log(
+        esm.chalk.blue(
+          `Shard ${this.shard.current}/${this.shard.total} done. Run \`npm run merge-reports\` once every shard's blob report is collected.`
+        )
+      );
+      return;
+    }
+
+    for (const [name, body] of this.resultFiles) {
+      fs.writeFileSync(RESULT_FILES[name], body);
+    }
+
+    const visualResults = [...this.tests.values()].flatMap((entry) => entry.visualResults);
+    if (visualResults.length > 0) {
+      // Results are saved per device/browser, so combinations not run this
+      // time keep their last results in the report
+      const combinations = new Map();
+      for (const visualResult of visualResults) {
+        const key = `${visualResult.deviceName}/${visualResult.browserName}`;
+        if (!combinations.has(key)) {
+          combinations.set(key, []);
+        }
+        combinations.get(key).push(visualResult);
+      }
+      for (const combinationResults of combinations.values()) {
+        const { deviceName, browserName } = combinationResults[0];
+        saveResults(combinationResults, deviceName, browserName);
+      }
+      appendRun(visualResults, getResultStatus);
+    }
+    generateHtmlReport(loadMatrixResults());
+
+    this.writeJunit();
+    this.writeSummary(result, visualResults);
+    console.log(
+      esm.chalk.green(`JUnit results: ${this.junitPath}, run summary: ${this.summaryPath}`)
+    );
+  }
+
+  // One <testsuite> per project, one <testcase> per test
+  writeJunit() {
+    const projects = new Map();
+    for (const entry of this.tests.values()) {
+      const projectName = entry.test.parent.project()?.name || "default";
+      if (!projects.has(projectName)) {
+        projects.set(projectName, []);
+      }
+      projects.get(projectName).push(entry);
+    }
+
+    const totals = { tests: 0, failures: 0, skipped: 0, time: 0 };
+    const suites = [...projects].map(([projectName, entries]) => {
+      const cases = entries.map(({ test, result }) => {
+        const outcome = test.outcome();
+        const [, , file, ...titles] = test.titlePath();
+        let body = "";
+        if (outcome === "skipped") {
+          body = "<skipped />";
+        } else if (outcome === "unexpected") {
+          const message = result.errors.map(formatError).join("\n\n");
+          body = `<failure message="${escapeXml(
+            message.split("\n")[0]
+          )}" type="${escapeXml(result.status)}">${escapeXml(message)}</failure>`;
+        }
+        return `    <testcase name="${escapeXml(titles.join(" > "))}" classname="${escapeXml(
+          file
+        )}" time="${toSeconds(result.duration)}">${body}</testcase>`;
+      });
+      const suiteTotals = {
+        tests: entries.length,
+        failures: entries.filter(({ test }) => test.outcome() === "unexpected").length,
+        skipped: entries.filter(({ test }) => test.outcome() === "skipped").length,
+        time: entries.reduce((sum, { result }) => sum + result.duration, 0),
+      };
+      for (const key of Object.keys(totals)) {
+        totals[key] += suiteTotals[key];
+      }
+      return `  <testsuite name="${escapeXml(projectName)}" tests="${suiteTotals.tests}" failures="${
+        suiteTotals.failures
+      }" skipped="${suiteTotals.skipped}" time="${toSeconds(suiteTotals.time)}">\n${cases.join(
+        "\n"
+      )}\n  </testsuite>`;
+    });
+
+    ensureDirectoryExistence(this.junitPath);
+    fs.writeFileSync(
+      this.junitPath,
+      `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="Visual Comparison Tests" tests="${
+        totals.tests
+      }" failures="${totals.failures}" skipped="${totals.skipped}" time="${toSeconds(
+        totals.time
+      )}">\n${suites.join("\n")}\n</testsuites>\n`
+    );
+  }
+
+  // Machine-readable outcome of the run, for CI and chat notifications
+  writeSummary(result, visualResults) {
+    const entries = [...this.tests.values()];
+    const countOutcome = (outcome) =>
+      entries.filter(({ test }) => test.outcome() === outcome).length;
+    const countStatus = (status) =>
+      visualResults.filter((visualResult) => getResultStatus(visualResult) === status).length;
+
+    const summary = {
+      runId: getRunId(),
+      generatedAt: new Date().toISOString(),
+      status: result.status,
+      durationMs: Date.now() - this.startedAt,
+      tests: {
+        total: entries.length,
+        passed: countOutcome("expected"),
+        failed: countOutcome("unexpected"),
+        flaky: countOutcome("flaky"),
+        skipped: countOutcome("skipped"),
+      },
+      comparisons: {
+        total: visualResults.length,
+        pass: countStatus("pass"),
+        fail: countStatus("fail"),
+        error: countStatus("error"),
+      },
+      failures: entries
+        .filter(({ test }) => test.outcome() === "unexpected")
+        .map(({ test, result: testResult }) => ({
+          project: test.parent.project()?.name || null,
+          title: test.titlePath().slice(3).join(" > "),
+          errors: testResult.errors.map(formatError),
+        })),
+    };
+    ensureDirectoryExistence(this.summaryPath);
+    fs.writeFileSync(this.summaryPath, JSON.stringify(summary, null, 2));
+  }
+
+  printsToStdio() {
+    return false;
+  }
+}
+
+module.exports = ComparisonReporter;
@@ -1,15 +1,272 @@
-
+// Site configuration for the test suite. It is validated on load by
+// utils/config.js, which is what the tests and scripts read from.
 module.exports = {
+  // Named environments. Add Pantheon multidevs or the test environment here
+  // and reference them from `comparisons`. Gated environments can also set
+  // `auth` ({ username, password } for HTTP basic auth), `headers`,
+  // `cookies` ([{ name, value, domain?, path? }], e.g. a consent cookie) and
+  // `storageState` (a file saved by Playwright). They are sent only to the
+  // environment's own host, from the browser and from the link, discovery
+  // and form checks. Any of these values written as "env:NAME" is read from
+  // the NAME environment variable, e.g.
+  //   auth: { username: "env:MULTIDEV_USER", password: "env:MULTIDEV_PASSWORD" }
+  environments: {
     staging: {
-      baseUrl: "https://live-web-online-avila.pantheonsite.io/",
-      urls: [
-        "/"
-      ] 
+      baseUrl: "https://live-web-online-avila.pantheonsite.io/"
     },
     prod: {
-      baseUrl: "https://online.avila.edu/",
-      urls: [
-        "/"
-      ]
+      baseUrl: "https://online.avila.edu/"
     }
-  };
+  },
+  // Environment the functional (form, link, menu) tests run against. The
+  // TARGET_ENV environment variable overrides it.
+  targetEnvironment: "staging",
+  // Environment pairs for the visual comparison: `current` is checked against
+  // `reference` (or the approved baseline once one exists).
+  comparisons: [
+    { name: "staging-vs-prod", current: "staging", reference: "prod" }
+  ],
+  // Device/browser matrix for the visual comparison. Each device either
+  // names a Playwright device descriptor or declares its own viewport;
+  // every device is captured in every browser listed here.
+  matrix: {
+    devices: {
+      Desktop: { viewport: { width: 1280, height: 800 } },
+      Tablet: { descriptor: "iPad (gen 7)" },
+      Mobile: { descriptor: "iPhone 12" }
+    },
+    browsers: ["chromium", "firefox", "webkit"]
+  },
+  // Settings every page inherits unless it overrides them.
+  // `compareMode` "aligned" compares full-page captures at native resolution
+  // and reports inserted or removed sections separately; "resize" squashes
+  // both captures into 1280x800 before diffing. `diffRules` fail a
+  // comparison on its changed regions as well as its similarity: minSsim,
+  // maxRegions, maxRegionSize ({ width, height } no region may exceed) and
+  // maxRegionArea (px²), e.g. { maxRegionSize: { width: 200, height: 200 } }.
+  defaults: {
+    threshold: 95,
+    compareMode: "aligned",
+    waitFor: { waitUntil: "networkidle", timeout: 10000 },
+    diffRules: {}
+  },
+  // Dynamic content excluded from every visual comparison. `hide` selectors
+  // are made invisible before capture, `mask` selectors are painted over,
+  // and `ignoreRegions` ({ x, y, width, height } in page pixels) are left
+  // out of the pixelmatch comparison. Pages add to these lists.
+  masking: {
+    hide: [
+      "#cookie-law-info-bar",
+      "#hubspot-messages-iframe-container",
+      "iframe[title*='chat' i]"
+    ],
+    mask: [".swiper", ".slick-slider", ".elementor-widget-image-carousel"],
+    ignoreRegions: []
+  },
+  // Pixel diff settings. `pixelThreshold` is pixelmatch's per-pixel colour
+  // tolerance (0 to 1); anti-aliased pixels are counted apart from real
+  // changes. Changed pixels within `regionGap` px of each other are
+  // clustered into one region; diff rules check every region, and the
+  // `maxRegions` largest (rule breakers first) are listed in the
+  // report with before/after/diff crops padded by `cropPadding` px.
+  diff: {
+    pixelThreshold: 0.1,
+    regionGap: 20,
+    maxRegions: 20,
+    cropPadding: 10
+  },
+  // Capture scheduling. Each page is its own test, run by up to `workers`
+  // Playwright workers; inside a page test at most `concurrency` browser
+  // contexts capture its devices and environments at once.
+  capture: {
+    workers: 2,
+    concurrency: 2
+  },
+  // Steps run on every page after it loads and before it is captured, in
+  // order: freezeTime (Date fixed at `frozenTime`, seeded Math.random),
+  // disableAnimations (CSS animations, transitions and the caret),
+  // waitForFonts, dismissOverlays (clicks each visible `overlays` selector),
+  // autoScroll (scrolls to the bottom to load lazy images, then back to the
+  // top) and waitForStableFrames (until two viewport captures `frameInterval`
+  // ms apart are identical). Each step is stopped after `stepTimeout` ms; its
+  // outcome and duration are recorded in the results.
+  stabilization: {
+    steps: [
+      "freezeTime",
+      "disableAnimations",
+      "dismissOverlays",
+      "waitForFonts",
+      "autoScroll",
+      "waitForStableFrames"
+    ],
+    frozenTime: "2025-01-01T12:00:00Z",
+    overlays: ["#cookie_action_close_header"],
+    scrollDelay: 150,
+    maxScrolls: 40,
+    frameInterval: 250,
+    stepTimeout: 10000
+  },
+  // Automatic page discovery before each run. Sitemaps are tried in order
+  // (index files are followed); the crawler follows same-origin links from
+  // the home page. Discovered paths are filtered by the include/exclude globs
+  // and added to `pages` with the "discovered" tag. Pages found on one
+  // environment but not another are reported instead of tested.
+  discovery: {
+    enabled: true,
+    sitemaps: ["/sitemap_index.xml", "/sitemap.xml"],
+    crawl: { enabled: false, maxDepth: 2, maxPages: 50 },
+    include: ["/**"],
+    exclude: ["/wp-admin/**", "/wp-json/**", "/feed/**", "/tag/**", "/author/**"],
+    maxPages: 100
+  },
+  // Resource and link integrity checks. Every resource type listed is
+  // requested (HEAD, falling back to GET) with bounded concurrency, retries
+  // and a minimum interval between requests to the same host. URLs matching
+  // a `deny` pattern are skipped unless they also match an `allow` pattern;
+  // patterns are substrings, or regular expressions written as "/.../".
+  // Severities: "error" for 4xx/5xx or unreachable, "warning" for redirects.
+  linkCheck: {
+    types: ["anchor", "script", "stylesheet", "font", "image", "srcset", "background", "iframe"],
+    concurrency: 8,
+    perHostIntervalMs: 100,
+    retries: 2,
+    timeout: 15000,
+    allow: [],
+    deny: ["bat.bing.com", "tracking"],
+    failOn: ["error"]
+  },
+  // Mega menu checks. The menu tree (every `item` under `selector`, with the
+  // label and href of its `link`) is read from `page` on both environments of
+  // each comparison. Every link is requested on the current environment, and
+  // entries are diffed against the reference: "missing", "added", "renamed"
+  // (same href, new label) or "repointed" (same label, new href). "broken"
+  // covers links that fail to load or have no href. Types listed in `failOn`
+  // fail the test; the rest are reported.
+  menu: {
+    page: "/",
+    selector: "ul.max-mega-menu",
+    item: "li.mega-menu-item",
+    link: "a.mega-menu-link",
+    failOn: ["broken", "missing"]
+  },
+  // Program catalog parity. The options of the `field` select on each form
+  // in `forms` (ids from forms.js) and every entry under the `menuSection`
+  // item of the mega menu are read on every environment. Each program must
+  // be offered by all of them, on every environment of each comparison.
+  // `expected` names a JSON file listing the catalog
+  // ([{ "name": "MBA in Finance", "code": "AVILA-M-MBAFIN", "aliases": [] }],
+  // `code` being the form option value); programs missing from it, or
+  // listed nowhere on an environment, are mismatches too. Every mismatch
+  // fails the test.
+  catalog: {
+    forms: ["requestInfo", "applyNow"],
+    field: "Program of Interest",
+    menuSection: "Online Programs",
+    expected: null
+  },
+  // SEO and metadata audit. Title, description, canonical, robots, Open
+  // Graph, Twitter, hreflang and JSON-LD are read from every page on every
+  // environment and compared across each comparison pair. `indexable`
+  // environments must not be noindex or reference another environment's
+  // host anywhere in their markup. Rule severities are "error" or "warning";
+  // those in `failOn` fail the test.
+  seo: {
+    indexable: ["prod"],
+    failOn: ["error"]
+  },
+  // HTTP status, redirect and response header parity. Every page is
+  // requested without a browser as configured, over http:// and with its
+  // trailing slash toggled, following redirects by hand. Final statuses and
+  // redirect chains must match across each comparison pair, as must the
+  // `securityHeaders` (errors) and `cachingHeaders` (warnings) of the page
+  // itself; the environment's own host is ignored inside header values.
+  // `enforceOn` environments must send every `requiredHeaders` header, and
+  // every https environment must redirect http:// to https. `redirectMap`
+  // names a JSON file of old → new paths ({ "/old-program/": "/new/" })
+  // checked on every environment: each old path must end at its new one,
+  // permanently. Rule severities are "error" or "warning"; those in
+  // `failOn` fail the test.
+  http: {
+    securityHeaders: [
+      "content-security-policy",
+      "strict-transport-security",
+      "x-frame-options",
+      "x-content-type-options",
+      "referrer-policy"
+    ],
+    cachingHeaders: ["cache-control", "vary", "content-type"],
+    requiredHeaders: ["strict-transport-security", "x-content-type-options"],
+    enforceOn: ["prod"],
+    redirectMap: null,
+    maxRedirects: 10,
+    failOn: ["error"]
+  },
+  // Accessibility scan (axe-core) of every page on every environment, and of
+  // each form in `forms` (ids from forms.js) once it is open. Violations are
+  // keyed by rule and target; only those not already present on the
+  // reference environment, or in the accepted baseline when `compareTo` is
+  // "baseline", fail the test, and only at the impacts listed in `failOn`.
+  // Accept a baseline with `npm run baseline -- accept-accessibility`.
+  accessibility: {
+    tags: ["wcag2a", "wcag2aa", "wcag21a", "wcag21aa"],
+    exclude: [],
+    forms: ["requestInfo"],
+    compareTo: "reference",
+    failOn: ["critical", "serious", "moderate", "minor"]
+  },
+  // Performance metrics collected while capturing each page: navigation
+  // timing (ttfb, domContentLoaded, load), lcp, cls and tbt (Chromium only),
+  // request count and transferred bytes (totalBytes, plus each resource
+  // type). Metrics over a budget (ms, bytes or a count; cls unitless) and
+  // `compare` metrics or resource types more than `maxRegressionPercent`
+  // worse than the reference environment are flagged in the report.
+  performance: {
+    budgets: {
+      lcp: 4000,
+      cls: 0.1,
+      tbt: 600,
+      load: 10000,
+      requests: 150,
+      totalBytes: 5000000
+    },
+    compare: ["load", "lcp", "requests", "totalBytes"],
+    maxRegressionPercent: 30
+  },
+  // Problems recorded on every page visit: JavaScript exceptions
+  // (pageError), console errors (consoleError), failed or blocked requests
+  // and 4xx/5xx responses (failedRequest) and mixed content (mixedContent).
+  // Those seen while capturing are listed per page and environment in the
+  // report; the other tests attach theirs as "page-errors". Entries whose
+  // message or URL matches an `ignore` pattern (a substring, or a regular
+  // expression written as "/.../") are dropped as noise. Entries on the
+  // current environment but not the reference are flagged as new; new
+  // entries of the kinds in `failOn` fail the comparison.
+  pageErrors: {
+    ignore: ["bat.bing.com", "googletagmanager.com", "/favicon\\.ico/"],
+    failOn: ["pageError", "consoleError"]
+  },
+  // Run history kept in history/runs.jsonl. The report shows each page's
+  // trend over the last `recentRuns` runs and flags it as flaky when its
+  // status flips between pass and fail at least `flakyFlips` times there.
+  // Runs beyond `maxRuns` are dropped.
+  history: {
+    maxRuns: 200,
+    recentRuns: 10,
+    flakyFlips: 3
+  },
+  // Pages under test. An entry is a path or an object with overrides:
+  // threshold, compareMode, viewport (per device), masking, waitFor
+  // ({ waitUntil, timeout, selector, delay }), diffRules and tags. Set PAGE_TAGS to a
+  // comma-separated list to run only pages with those tags.
+  pages: [
+    {
+      path: "/",
+      tags: ["home"],
+      masking: { mask: [".next-start-date"] }
+    },
+    {
+      path: "/apply/",
+      tags: ["form"]
+    }
+  ]
+};
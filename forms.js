@@ -0,0 +1,122 @@
+// Gravity Forms under test, run by utils/forms.js against the target
+// environment in config.js. Adding a landing-page form means adding an entry
+// here, not a new test.
+//
+// page          Configured page the form lives on (or is reached from)
+// open          Steps to reveal the form: { click, waitForUrl?, waitFor? }
+// blockResources
+//               URL suffixes to abort once the form is open, to speed up
+//               submission
+// fields        { label, selector, type, value | generate, options? }
+//               type: text, email, tel, textarea, select, checkbox, radio
+//               generate: uniqueEmail, uniqueName, phone, zip
+// submit        Submit button selector
+// confirmation  { url?, selector, text, caseSensitive?, timeout? }
+// payload       Hidden fields the submission must post: { name: value }
+// utm           UTM parameters added to the page URL
+// utmFields     Hidden tracking field a UTM parameter must be posted back
+//               in: { parameter: input name }. Parameters without one are
+//               not checked; add a field once its input name is confirmed
+//               in the form's markup.
+//
+// Submissions are dry runs: the POST is intercepted, checked against the
+// filled values, `payload` and `utmFields`, and answered with the response recorded
+// in fixtures/forms/<id>.json. Without one it is answered with a redirect to
+// `confirmation.url`, or a page showing the confirmation text for forms that
+// confirm in place. Set FORM_SUBMIT=real to send it to the server and record
+// a new response.
+const utm = {
+  utm_source: "playwright",
+  utm_medium: "qa",
+  utm_campaign: "form-dry-run"
+};
+
+module.exports = {
+  requestInfo: {
+    name: "Request Info popup",
+    page: "/",
+    open: [{ click: "button.request-info-popup" }],
+    blockResources: [".png", ".jpg", ".css", ".js"],
+    fields: [
+      {
+        label: "Program of Interest",
+        selector: "#input_6_1",
+        type: "select",
+        value: "AVILA-M-MBAFIN"
+      },
+      {
+        label: "First Name",
+        selector: "#input_6_2",
+        type: "text",
+        generate: "uniqueName",
+        options: { prefix: "John" }
+      },
+      { label: "Last Name", selector: "#input_6_3", type: "text", value: "Doe" },
+      {
+        label: "Email",
+        selector: "#input_6_6",
+        type: "email",
+        generate: "uniqueEmail",
+        options: { prefix: "johndoe" }
+      },
+      { label: "Phone", selector: "#input_6_4", type: "tel", generate: "phone" },
+      { label: "ZIP Code", selector: "#input_6_5", type: "text", generate: "zip" },
+      {
+        label: "How did you hear about us?",
+        selector: "#input_6_7",
+        type: "select",
+        value: "Email"
+      }
+    ],
+    submit: "#gform_submit_button_6",
+    payload: { gform_submit: "6" },
+    utm,
+    confirmation: {
+      url: "/confirmation/",
+      selector: ".elementor-widget-container h1.header2",
+      text: "Thanks for your submission!",
+      timeout: 20000
+    }
+  },
+  applyNow: {
+    name: "Apply Now",
+    page: "/",
+    open: [
+      { click: "#mega-menu-item-7370 a.mega-menu-link", waitForUrl: "/apply/" }
+    ],
+    fields: [
+      {
+        label: "Program of Interest",
+        selector: "#input_1_1",
+        type: "select",
+        value: "AVILA-M-MBAFIN"
+      },
+      { label: "First Name", selector: "#input_1_2", type: "text", value: "Jane" },
+      { label: "Last Name", selector: "#input_1_3", type: "text", value: "Doe" },
+      {
+        label: "Email",
+        selector: "#input_1_4",
+        type: "email",
+        generate: "uniqueEmail",
+        options: { prefix: "janedoe" }
+      },
+      { label: "Phone", selector: "#input_1_5", type: "tel", generate: "phone" },
+      { label: "ZIP Code", selector: "#input_1_6", type: "text", generate: "zip" },
+      {
+        label: "Delivery Method",
+        selector: "#input_1_7",
+        type: "select",
+        value: "Online"
+      }
+    ],
+    submit: "#gform_submit_button_1",
+    payload: { gform_submit: "1" },
+    utm,
+    confirmation: {
+      selector: ".elementor-element-375b1cc6 h1.header2.mb",
+      text: "Great! Now, take the next step to complete your application.",
+      caseSensitive: true,
+      timeout: 30000
+    }
+  }
+};
@@ -0,0 +1,29 @@
+const { config } = require("./utils/config");
+const esm = require("./utils/esm");
+const { discoverPages } = require("./utils/discovery");
+const { getRunId, pruneHistory } = require("./utils/history");
+const {
+  getNetworkMode,
+  saveDiscoveryArchive,
+  restoreDiscoveryArchive,
+} = require("./utils/har");
+
+// Discover pages once before the tests run, so every worker sees the same
+// list, and start a run in the history that every worker appends to. A
+// replay reuses the pages discovered when its archives were recorded.
+module.exports = async function globalSetup() {
+  getRunId();
+  pruneHistory();
+  if (!config.discovery.enabled) {
+    return;
+  }
+  await esm.ready;
+  if (getNetworkMode() === "replay") {
+    restoreDiscoveryArchive();
+    return;
+  }
+  await discoverPages();
+  if (getNetworkMode() === "record") {
+    saveDiscoveryArchive();
+  }
+};
@@ -1,5 +1,13 @@
 // @ts-check
 import { defineConfig, devices } from '@playwright/test';
+import { config } from './utils/config.js';
+
+/* Desktop descriptor used for each browser in the config.js matrix. */
+const browserDevices = {
+  chromium: 'Desktop Chrome',
+  firefox: 'Desktop Firefox',
+  webkit: 'Desktop Safari',
+};
 
 /**
  * Read environment variables from file.
@@ -14,16 +22,31 @@ import { defineConfig, devices } from '@playwright/test';
  */
 export default defineConfig({
   testDir: './tests',
+  /* Unit tests of the helpers run under node --test (`npm test`) */
+  testIgnore: 'unit/**',
+  /* Discover pages from sitemaps before any test runs */
+  globalSetup: './global-setup.js',
   /* Run tests in files in parallel */
   fullyParallel: true,
   /* Fail the build on CI if you accidentally left test.only in the source code. */
   forbidOnly: !!process.env.CI,
   /* Retry on CI only */
   retries: process.env.CI ? 2 : 0,
-  /* Opt out of parallel tests on CI. */
-  workers: process.env.CI ? 1 : undefined,
-  /* Reporter to use. See https://playwright.dev/docs/test-reporters */
-  reporter: 'html',
+  /* Page tests are spread over `capture.workers` workers (config.js). */
+  workers: config.capture.workers,
+  /* Reporters to use. See https://playwright.dev/docs/test-reporters
+     The comparison reporter writes the visual comparison report, the run
+     history, JUnit XML and a JSON summary from the page tests' results. */
+  reporter: [
+    ['html'],
+    ['./comparison-reporter.js', { junitPath: 'junit-results.xml', summaryPath: 'run_summary.json' }],
+    /* On CI each `--shard` also writes a blob report. Collect every shard's
+       blob-report/ into one directory and run `npm run merge-reports` to
+       build the combined reports. The run is recorded in the history under
+       RUN_ID, or the CI pipeline's run id, so set RUN_ID to one value on
+       every shard and the merge when neither is shared. */
+    ...(process.env.CI ? [['blob']] : []),
+  ],
   /* Shared settings for all the projects below. See https://playwright.dev/docs/api/class-testoptions. */
   use: {
     /* Base URL to use in actions like `await page.goto('/')`. */
@@ -33,32 +56,13 @@ export default defineConfig({
     trace: 'on-first-retry',
   },
 
-  /* Configure projects for major browsers */
+  /* Configure projects for the browsers in the config.js matrix. Devices are
+     emulated per context inside the visual comparison test. */
   projects: [
-    {
-      name: 'chromium',
-      use: { ...devices['Desktop Chrome'] },
-    },
-
-    {
-      name: 'firefox',
-      use: { ...devices['Desktop Firefox'] },
-    },
-
-    {
-      name: 'webkit',
-      use: { ...devices['Desktop Safari'] },
-    },
-
-    /* Test against mobile viewports. */
-    // {
-    //   name: 'Mobile Chrome',
-    //   use: { ...devices['Pixel 5'] },
-    // },
-    // {
-    //   name: 'Mobile Safari',
-    //   use: { ...devices['iPhone 12'] },
-    // },
+    ...config.matrix.browsers.map((name) => ({
+      name,
+      use: { ...devices[browserDevices[name]] },
+    })),
 
     /* Test against branded browsers. */
     // {
@@ -0,0 +1,211 @@
+// Accept or reject current captures as approved visual baselines.
+//
+//   npm run baseline -- list
+//   npm run baseline -- accept --page / --device Mobile --browser webkit
+//   npm run baseline -- reject --page / --reason "hero image missing"
+//   npm run baseline -- accept-accessibility --source prod
+//
+// Omitting --page, --device or --browser applies the command to every
+// configured or discovered page, device or browser that has a capture on
+// disk.
+const fs = require("fs");
+const { execSync } = require("child_process");
+const os = require("os");
+const { parseArgs } = require("util");
+const { config, getAllPages } = require("../utils/config");
+const esm = require("../utils/esm");
+const { getScreenshotPath } = require("../utils/screenshots");
+const {
+  loadManifest,
+  acceptBaseline,
+  rejectCapture,
+} = require("../utils/baseline");
+const { acceptAccessibilityBaseline } = require("../utils/accessibility");
+
+const usage = `Usage: npm run baseline -- <accept|reject|list|accept-accessibility> [options]
+
+  accept-accessibility records the --source environment's violations from the
+  last accessibility audit as the accepted accessibility baseline.
+
+  --page <path>      Page path from config.js or discovery (default: all pages)
+  --device <name>    Device from the config.js matrix (default: all devices)
+  --browser <name>   Browser from the config.js matrix (default: all browsers)
+  --source <env>     Environment capture to review (default: targetEnvironment)
+  --by <name>        Reviewer recorded in the manifest (default: git user.name)
+  --reason <text>    Note recorded with the decision`;
+
+// Reviewer name from the command line, git, or the OS user
+function getReviewer(by) {
+  if (by) {
+    return by;
+  }
+  try {
+    const gitUser = execSync("git config user.name", { encoding: "utf8" });
+    if (gitUser.trim()) {
+      return gitUser.trim();
+    }
+  } catch (error) {
+    // Not a git checkout or no user configured
+  }
+  return os.userInfo().username;
+}
+
+// Every page/device/browser combination selected by the options
+function getTargets(options) {
+  const deviceNames = options.device
+    ? [options.device]
+    : Object.keys(config.matrix.devices);
+  const browserNames = options.browser
+    ? [options.browser]
+    : config.matrix.browsers;
+  const pagePaths = options.page
+    ? [options.page]
+    : getAllPages().map((page) => page.path);
+
+  for (const deviceName of deviceNames) {
+    if (!config.matrix.devices[deviceName]) {
+      throw new Error(`Unknown device '${deviceName}' in config.js matrix.`);
+    }
+  }
+  for (const browserName of browserNames) {
+    if (!config.matrix.browsers.includes(browserName)) {
+      throw new Error(`Unknown browser '${browserName}' in config.js matrix.`);
+    }
+  }
+
+  const targets = [];
+  for (const deviceName of deviceNames) {
+    for (const browserName of browserNames) {
+      for (const pagePath of pagePaths) {
+        targets.push({ deviceName, browserName, pagePath });
+      }
+    }
+  }
+  return targets;
+}
+
+// Print the approved version and review history of every baseline
+function listBaselines(chalk) {
+  const entries = Object.values(loadManifest());
+  if (entries.length === 0) {
+    console.log(chalk.yellow("No approved baselines yet."));
+    return;
+  }
+
+  for (const entry of entries) {
+    const current = entry.versions.find((v) => v.version === entry.current);
+    console.log(
+      chalk.blue(`${entry.deviceName} / ${entry.browserName} / ${entry.pagePath}`)
+    );
+    if (current) {
+      console.log(
+        chalk.green(
+          `  v${current.version} from ${current.source}, approved by ${current.approvedBy} at ${current.approvedAt}`
+        )
+      );
+    }
+    for (const rejection of entry.rejections) {
+      console.log(
+        chalk.red(
+          `  ${rejection.source} rejected by ${rejection.rejectedBy} at ${rejection.rejectedAt}` +
+            (rejection.reason ? `: ${rejection.reason}` : "")
+        )
+      );
+    }
+  }
+}
+
+async function main() {
+  await esm.ready;
+  const { chalk } = esm;
+
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      page: { type: "string" },
+      device: { type: "string" },
+      browser: { type: "string" },
+      source: { type: "string", default: config.targetEnvironment },
+      by: { type: "string" },
+      reason: { type: "string" },
+    },
+  });
+  const [command] = positionals;
+
+  if (command === "list") {
+    listBaselines(chalk);
+    return;
+  }
+  if (!["accept", "reject", "accept-accessibility"].includes(command)) {
+    console.log(usage);
+    process.exitCode = 1;
+    return;
+  }
+  if (!config.environments[options.source]) {
+    throw new Error(
+      `--source must be an environment from config.js, got '${options.source}'.`
+    );
+  }
+
+  const reviewer = getReviewer(options.by);
+  if (command === "accept-accessibility") {
+    const accepted = acceptAccessibilityBaseline({
+      source: options.source,
+      approvedBy: reviewer,
+    });
+    console.log(
+      chalk.green(
+        `Accepted ${options.source} accessibility violations for ${accepted} scans (${reviewer}).`
+      )
+    );
+    return;
+  }
+
+  let reviewed = 0;
+
+  for (const target of getTargets(options)) {
+    const capturePath = getScreenshotPath(
+      target.deviceName,
+      target.browserName,
+      options.source,
+      target.pagePath
+    );
+    const label = `${target.deviceName} / ${target.browserName} / ${target.pagePath}`;
+
+    if (!fs.existsSync(capturePath)) {
+      console.log(chalk.yellow(`Skipping ${label}: no ${options.source} capture.`));
+      continue;
+    }
+
+    if (command === "accept") {
+      const record = acceptBaseline({
+        ...target,
+        source: options.source,
+        approvedBy: reviewer,
+        note: options.reason,
+      });
+      console.log(
+        chalk.green(`Accepted ${label} as baseline v${record.version} (${reviewer}).`)
+      );
+    } else {
+      rejectCapture({
+        ...target,
+        source: options.source,
+        rejectedBy: reviewer,
+        reason: options.reason,
+      });
+      console.log(chalk.red(`Rejected ${options.source} capture of ${label} (${reviewer}).`));
+    }
+    reviewed++;
+  }
+
+  if (reviewed === 0) {
+    console.error(chalk.red("No captures matched. Run the visual comparison first."));
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
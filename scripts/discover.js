@@ -0,0 +1,16 @@
+// Discover pages from sitemaps (and the crawler, if enabled) without running
+// the tests. Writes the same file the Playwright global setup does.
+//
+//   npm run discover
+const { discoverPages } = require("../utils/discovery");
+
+discoverPages()
+  .then((discovery) => {
+    if (discovery.missing.length > 0) {
+      process.exitCode = 1;
+    }
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
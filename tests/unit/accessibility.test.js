@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { config } = require("../../utils/config");
+const { compareViolations, getFailingViolations } = require("../../utils/accessibility");
+
+const COMPARISON = { name: "staging-vs-prod", current: "staging", reference: "prod" };
+
+// A violation as listed by runScan
+function violation(key, impact = "serious") {
+  return { key, impact };
+}
+
+// A scanned page with its violations on each environment
+const SCAN = {
+  id: "/mba/",
+  environments: {
+    prod: [violation("color-contrast .hero")],
+    staging: [violation("color-contrast .hero"), violation("label #input_6_3", "critical")],
+  },
+};
+
+test("compareViolations splits new violations from those on the reference", () => {
+  const result = compareViolations(SCAN, COMPARISON, {});
+  assert.equal(result.comparedAgainst, "prod");
+  assert.deepEqual(result.newViolations, [violation("label #input_6_3", "critical")]);
+  assert.deepEqual(result.existingViolations, [violation("color-contrast .hero")]);
+});
+
+test("compareViolations compares against the accepted baseline when configured", (t) => {
+  const compareTo = config.accessibility.compareTo;
+  config.accessibility.compareTo = "baseline";
+  t.after(() => {
+    config.accessibility.compareTo = compareTo;
+  });
+
+  const baseline = { "/mba/": { keys: ["label #input_6_3"] } };
+  const result = compareViolations(SCAN, COMPARISON, baseline);
+  assert.equal(result.comparedAgainst, "baseline");
+  assert.deepEqual(result.newViolations, [violation("color-contrast .hero")]);
+
+  const unaccepted = compareViolations({ ...SCAN, id: "/other/" }, COMPARISON, baseline);
+  assert.equal(unaccepted.comparedAgainst, "prod");
+});
+
+test("getFailingViolations keeps new violations at the failing impacts", (t) => {
+  const failOn = config.accessibility.failOn;
+  config.accessibility.failOn = ["critical"];
+  t.after(() => {
+    config.accessibility.failOn = failOn;
+  });
+
+  const result = compareViolations(SCAN, COMPARISON, {});
+  assert.deepEqual(getFailingViolations(result), [violation("label #input_6_3", "critical")]);
+  assert.deepEqual(
+    getFailingViolations({ newViolations: [violation("region main", "minor")] }),
+    []
+  );
+});
@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { hashRows, alignRows } = require("../../utils/alignment");
+const { paintAlignedRegions } = require("../../utils/masking");
+
+// Row hashes for a list of row ids; every row has content
+function rows(ids) {
+  return { hashes: Uint32Array.from(ids), uniform: new Uint8Array(ids.length) };
+}
+
+// Row ids first..last
+function range(first, last) {
+  return Array.from({ length: last - first + 1 }, (_, i) => first + i);
+}
+
+test("hashRows flags uniform rows and ignores anti-aliasing noise", () => {
+  const png = { width: 2, height: 2, data: Buffer.from([
+    10, 10, 10, 255, 11, 11, 11, 255,
+    0, 0, 0, 255, 200, 200, 200, 255,
+  ]) };
+  const { uniform } = hashRows(png, 2);
+  assert.deepEqual([...uniform], [1, 0]);
+});
+
+test("alignRows pairs identical images row by row", () => {
+  const { pairs, blocks } = alignRows(rows(range(1, 50)), rows(range(1, 50)));
+  assert.equal(pairs.length, 50);
+  assert.deepEqual(blocks, []);
+});
+
+test("alignRows reports a block inserted in the current image", () => {
+  const a = rows(range(1, 60));
+  const b = rows([...range(1, 10), ...range(1000, 1004), ...range(11, 60)]);
+  const { pairs, blocks } = alignRows(a, b);
+  assert.deepEqual(blocks, [{ type: "inserted", y: 10, height: 5 }]);
+  assert.equal(pairs.length, 60);
+  assert.deepEqual(pairs[10], [10, 15]);
+});
+
+test("alignRows reports a block removed from the baseline", () => {
+  const a = rows([...range(1, 10), ...range(1000, 1002), ...range(11, 60)]);
+  const b = rows(range(1, 60));
+  const { blocks } = alignRows(a, b);
+  assert.deepEqual(blocks, [{ type: "removed", y: 10, atY: 10, height: 3 }]);
+});
+
+test("alignRows compares rows changed in place instead of shifting", () => {
+  const a = rows(range(1, 60));
+  const b = rows([...range(1, 10), 2000, 2001, ...range(13, 60)]);
+  const { pairs, blocks } = alignRows(a, b);
+  assert.deepEqual(blocks, []);
+  assert.deepEqual(pairs.slice(10, 12), [[10, 10], [11, 11]]);
+});
+
+test("alignRows reports the rest of the longer image as one block", () => {
+  const { blocks } = alignRows(rows(range(1, 30)), rows(range(1, 40)));
+  assert.deepEqual(blocks, [{ type: "inserted", y: 30, height: 10 }]);
+});
+
+// A capture `width` pixels wide with a distinct, non-uniform row per id
+function capture(ids, width = 8) {
+  const data = Buffer.alloc(ids.length * width * 4);
+  ids.forEach((id, y) => {
+    for (let x = 0; x < width; x++) {
+      data.set([(id * 8) & 255, (id >> 5) * 8, x * 32, 255], (y * width + x) * 4);
+    }
+  });
+  return { width, height: ids.length, data };
+}
+
+test("alignRows lines up captures whose masked regions moved with the page", () => {
+  // The current page has a 40px banner on top, which moves a masked carousel
+  // at y=100 in the baseline down to y=140. The carousel rows differ.
+  const baseline = capture([...range(1, 100), ...range(500, 519), ...range(121, 200)]);
+  const current = capture([
+    ...range(1000, 1039),
+    ...range(1, 100),
+    ...range(600, 619),
+    ...range(121, 200),
+  ]);
+  const carousel = { x: 0, width: 8, height: 20 };
+  const painted = paintAlignedRegions(baseline, current, 8, {
+    ignoreRegions: [],
+    baselineRegions: [{ ...carousel, y: 100 }],
+    currentRegions: [{ ...carousel, y: 140 }],
+  });
+
+  assert.deepEqual(painted, [{ ...carousel, y: 140 }]);
+  const { pairs, blocks } = alignRows(hashRows(baseline, 8), hashRows(current, 8));
+  assert.deepEqual(blocks, [{ type: "inserted", y: 0, height: 40 }]);
+  assert.equal(pairs.length, 200);
+  assert.deepEqual(pairs[100], [100, 140]);
+});
@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  normalizeProgramName,
+  indexSources,
+  listPrograms,
+  checkSources,
+  diffEnvironments,
+} = require("../../utils/catalog");
+
+test("normalizeProgramName ignores case, punctuation and & vs and", () => {
+  assert.equal(normalizeProgramName("M.S. Business & Leadership"), "m s business and leadership");
+  assert.equal(
+    normalizeProgramName("m.s. business & leadership"),
+    normalizeProgramName("M S Business and Leadership")
+  );
+});
+
+test("listPrograms lists each program with the sources listing it", () => {
+  const indexed = indexSources({
+    "Request Info": [{ value: "mba", label: "MBA" }, { value: "bsn", label: "Nursing" }],
+    menu: [{ label: "MBA", href: "/mba/" }],
+  });
+  assert.deepEqual(listPrograms(indexed), [
+    { key: "mba", name: "MBA", sources: ["Request Info", "menu"] },
+    { key: "nursing", name: "Nursing", sources: ["Request Info"] },
+  ]);
+});
+
+test("checkSources reports programs missing from some sources", () => {
+  const indexed = indexSources({
+    "Request Info": [{ value: "mba", label: "MBA" }, { value: "bsn", label: "Nursing" }],
+    menu: [{ label: "MBA", href: "/mba/" }],
+  });
+  assert.deepEqual(checkSources(indexed, "staging", null), [
+    {
+      type: "source-mismatch",
+      environment: "staging",
+      program: "Nursing",
+      message: 'staging: "Nursing" is in Request Info but not menu',
+    },
+  ]);
+});
+
+test("checkSources matches the expected catalog by code and alias", () => {
+  const catalog = [
+    { name: "Master of Business Administration", code: "mba", aliases: ["MBA"] },
+    { name: "Nursing (BSN)", aliases: ["Nursing"] },
+    { name: "Psychology" },
+  ];
+  const indexed = indexSources(
+    {
+      "Request Info": [
+        { value: "mba", label: "Business" },
+        { value: "bsn", label: "Nursing" },
+        { value: "art", label: "Art" },
+      ],
+      menu: [
+        { label: "MBA", href: "/mba/" },
+        { label: "Nursing", href: "/bsn/" },
+        { label: "Art", href: "/art/" },
+      ],
+    },
+    catalog
+  );
+  assert.deepEqual(
+    checkSources(indexed, "prod", catalog).map((mismatch) => mismatch.message),
+    [
+      'prod: "Art" in Request Info, menu is not in the expected catalog',
+      'prod: expected program "Psychology" is not listed anywhere',
+    ]
+  );
+});
+
+test("diffEnvironments reports programs a source lists on only one environment", () => {
+  const reference = indexSources({ menu: [{ label: "MBA" }, { label: "History" }] });
+  const current = indexSources({ menu: [{ label: "MBA" }, { label: "Data Science" }] });
+  assert.deepEqual(
+    diffEnvironments(reference, current, {
+      name: "staging-vs-prod",
+      current: "staging",
+      reference: "prod",
+    }).map((mismatch) => mismatch.message),
+    [
+      'staging-vs-prod: "Data Science" is in menu on staging but not on prod',
+      'staging-vs-prod: "History" is in menu on prod but not on staging',
+    ]
+  );
+});
@@ -0,0 +1,39 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const rawConfig = require("../../config.js");
+const { validateConfig } = require("../../utils/config");
+
+test("validateConfig accepts the repository's config.js", () => {
+  assert.deepEqual(validateConfig(rawConfig), []);
+});
+
+test("validateConfig rejects a config that is not an object", () => {
+  assert.deepEqual(validateConfig(null), ["config: must be an object"]);
+});
+
+test("validateConfig suggests the key an unknown key was likely meant to be", () => {
+  const errors = validateConfig({
+    ...rawConfig,
+    defaults: { ...rawConfig.defaults, treshold: 10 },
+  });
+  assert.deepEqual(errors, ["defaults.treshold: unknown key (did you mean 'threshold'?)"]);
+});
+
+test("validateConfig reports out-of-range numbers with the path to them", () => {
+  const errors = validateConfig({
+    ...rawConfig,
+    defaults: { ...rawConfig.defaults, threshold: 150 },
+  });
+  assert.deepEqual(errors, ["defaults.threshold: must be between 0 and 100, got 150"]);
+});
+
+test("validateConfig rejects comparisons of unknown environments", () => {
+  const errors = validateConfig({
+    ...rawConfig,
+    comparisons: [
+      { name: "broken", current: "nowhere", reference: rawConfig.comparisons[0].reference },
+    ],
+  });
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^comparisons\[0\]\.current: /);
+});
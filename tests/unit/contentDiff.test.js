@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { diffSequences, diffContent } = require("../../utils/contentDiff");
+
+// A content snapshot section
+function section(key, { label = key, headings = [], words = [], links = [] } = {}) {
+  return { key, label, headings, words, links };
+}
+
+test("diffSequences returns runs of equal, removed and added items", () => {
+  assert.deepEqual(diffSequences(["a", "b", "c", "d"], ["a", "x", "c", "d", "e"]), [
+    { type: "equal", items: ["a"] },
+    { type: "removed", items: ["b"] },
+    { type: "added", items: ["x"] },
+    { type: "equal", items: ["c", "d"] },
+    { type: "added", items: ["e"] },
+  ]);
+});
+
+test("diffSequences uses the given equality", () => {
+  const ops = diffSequences([{ id: 1 }], [{ id: 1, extra: true }], (a, b) => a.id === b.id);
+  assert.deepEqual(ops.map((op) => op.type), ["equal"]);
+});
+
+test("diffContent reports added and removed sections", () => {
+  const diff = diffContent(
+    [section("intro"), section("faq")],
+    [section("intro"), section("faq"), section("apply")],
+    "https://a.test",
+    "https://b.test"
+  );
+  assert.deepEqual(diff.sections, [{ type: "added", label: "apply" }]);
+  assert.equal(diff.changeCount, 1);
+});
+
+test("diffContent pairs a replaced section and diffs its words", () => {
+  const diff = diffContent(
+    [section("hero", { words: "Earn your degree online today".split(" ") })],
+    [section("banner", { words: "Earn your degree on campus today".split(" ") })],
+    "https://a.test",
+    "https://b.test"
+  );
+  assert.deepEqual(diff.sections, []);
+  assert.deepEqual(diff.copy, [
+    { section: "banner", before: "Earn your degree", removed: "online", added: "on campus" },
+  ]);
+});
+
+test("diffContent reports changed headings", () => {
+  const diff = diffContent(
+    [section("intro", { headings: [{ level: 1, text: "Programs" }] })],
+    [section("intro", { headings: [{ level: 1, text: "Degrees" }] })],
+    "https://a.test",
+    "https://b.test"
+  );
+  assert.deepEqual(diff.headings, [
+    { type: "changed", from: "h1: Programs", to: "h1: Degrees" },
+  ]);
+});
+
+test("diffContent compares links relative to each environment", () => {
+  const diff = diffContent(
+    [section("nav", { links: [
+      { text: "Apply", href: "https://a.test/apply" },
+      { text: "Tuition", href: "https://a.test/tuition" },
+    ] })],
+    [section("nav", { links: [
+      { text: "Apply", href: "https://b.test/apply" },
+      { text: "Tuition", href: "https://b.test/cost" },
+    ] })],
+    "https://a.test",
+    "https://b.test"
+  );
+  assert.deepEqual(diff.links, [
+    { section: "nav", text: "Tuition", from: ["/tuition"], to: ["/cost"] },
+  ]);
+});
@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { config } = require("../../utils/config");
+const { clusterRegions, listRegions, checkDiffRules } = require("../../utils/diffMetrics");
+
+// A diff image with the given rectangles painted in pixelmatch's diff red
+function diffImage(width, height, boxes) {
+  const data = Buffer.alloc(width * height * 4, 255);
+  for (const box of boxes) {
+    for (let y = box.y; y < box.y + box.height; y++) {
+      for (let x = box.x; x < box.x + box.width; x++) {
+        data.set([255, 0, 0, 255], (y * width + x) * 4);
+      }
+    }
+  }
+  return { width, height, data };
+}
+
+// Change diff settings for the duration of a test
+function setDiffConfig(t, settings) {
+  const saved = { ...config.diff };
+  Object.assign(config.diff, settings);
+  t.after(() => {
+    Object.assign(config.diff, saved);
+  });
+}
+
+test("clusterRegions joins nearby changes and returns every region top to bottom", (t) => {
+  setDiffConfig(t, { regionGap: 10, maxRegions: 1 });
+  const diff = diffImage(100, 200, [
+    { x: 10, y: 150, width: 5, height: 5 },
+    { x: 10, y: 10, width: 4, height: 4 },
+    { x: 16, y: 10, width: 4, height: 4 },
+  ]);
+  assert.deepEqual(clusterRegions(diff, 100, 200), [
+    { x: 10, y: 10, width: 10, height: 4, changedPixels: 32, area: 40 },
+    { x: 10, y: 150, width: 5, height: 5, changedPixels: 25, area: 25 },
+  ]);
+});
+
+test("clusterRegions ignores anti-aliased pixels", () => {
+  const diff = diffImage(20, 20, []);
+  diff.data.set([255, 255, 0, 255], 0);
+  assert.deepEqual(clusterRegions(diff, 20, 20), []);
+});
+
+test("listRegions keeps rule violators before the largest regions", (t) => {
+  setDiffConfig(t, { maxRegions: 2 });
+  const entries = [
+    { region: { y: 0, changedPixels: 500 } },
+    { region: { y: 100, changedPixels: 10, violation: "over 100px²" } },
+    { region: { y: 200, changedPixels: 50 } },
+    { region: { y: 300, changedPixels: 800 } },
+  ];
+  assert.deepEqual(
+    listRegions(entries).map((entry) => entry.region.y),
+    [100, 300]
+  );
+});
+
+test("checkDiffRules reports SSIM and region count rules", () => {
+  const violations = checkDiffRules(
+    { metrics: { ssim: 0.9 }, changedRegions: [], regionCount: 5 },
+    { minSsim: 0.95, maxRegions: 3 }
+  );
+  assert.deepEqual(violations, [
+    "SSIM 0.9 is below 0.95",
+    "5 changed regions, more than 3",
+  ]);
+});
+
+test("checkDiffRules flags every region breaking a size rule", () => {
+  const small = { x: 0, y: 0, width: 10, height: 10, area: 100 };
+  const wide = { x: 5, y: 50, width: 300, height: 10, area: 3000 };
+  const violations = checkDiffRules(
+    { changedRegions: [small, wide] },
+    { maxRegionSize: { width: 200, height: 200 }, maxRegionArea: 1000 }
+  );
+  assert.deepEqual(violations, [
+    "Region 300x10 at (5, 50) is larger than 200x200, over 1000px²",
+  ]);
+  assert.equal(small.violation, undefined);
+  assert.equal(wide.violation, "larger than 200x200, over 1000px²");
+});
+
+test("checkDiffRules passes a comparison with no rules", () => {
+  assert.deepEqual(checkDiffRules({ metrics: { ssim: 0.1 }, changedRegions: [] }), []);
+});
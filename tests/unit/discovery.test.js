@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  globToRegExp,
+  isPathSelected,
+  toPagePath,
+  parseSitemap,
+} = require("../../utils/discovery");
+
+test("globToRegExp matches * within one segment and ** across segments", () => {
+  assert.ok(globToRegExp("/programs/*").test("/programs/mba"));
+  assert.ok(!globToRegExp("/programs/*").test("/programs/business/mba"));
+  assert.ok(globToRegExp("/programs/**").test("/programs/business/mba"));
+  assert.ok(globToRegExp("/page-?/").test("/page-2/"));
+  assert.ok(!globToRegExp("/a.b").test("/axb"));
+});
+
+test("isPathSelected applies include before exclude", () => {
+  assert.ok(isPathSelected("/programs/mba/", ["/programs/**"], []));
+  assert.ok(!isPathSelected("/programs/mba/", ["/programs/**"], ["/programs/mba/"]));
+  assert.ok(!isPathSelected("/blog/", ["/programs/**"], []));
+});
+
+test("toPagePath keeps pages under the base URL only", () => {
+  const base = "https://example.test/site/";
+  assert.equal(toPagePath("https://example.test/site/programs/", base), "/programs/");
+  assert.equal(toPagePath("https://example.test/site", base), "/");
+  assert.equal(toPagePath("https://other.test/site/programs/", base), null);
+  assert.equal(toPagePath("https://example.test/elsewhere/", base), null);
+  assert.equal(toPagePath("https://example.test/site/brochure.pdf", base), null);
+});
+
+test("parseSitemap reads locations from a sitemap", () => {
+  const xml = `<?xml version="1.0"?>
+    <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+      <url><loc> https://example.test/a?x=1&amp;y=2 </loc></url>
+      <url><loc><![CDATA[https://example.test/b]]></loc></url>
+    </urlset>`;
+  assert.deepEqual(parseSitemap(xml), {
+    isIndex: false,
+    locations: ["https://example.test/a?x=1&y=2", "https://example.test/b"],
+  });
+});
+
+test("parseSitemap recognises a sitemap index", () => {
+  const xml = `<sitemapindex><sitemap><loc>https://example.test/pages.xml</loc></sitemap></sitemapindex>`;
+  assert.deepEqual(parseSitemap(xml), {
+    isIndex: true,
+    locations: ["https://example.test/pages.xml"],
+  });
+});
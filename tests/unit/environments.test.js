@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { config, getPageUrl } = require("../../utils/config");
+const {
+  resolveSecret,
+  getEnvironmentForUrl,
+  getRequestHeaders,
+} = require("../../utils/environments");
+
+const STAGING_BASE = getPageUrl("staging", "/");
+const PROD_BASE = getPageUrl("prod", "/");
+
+// Give staging auth, a header and a cookie for the duration of a test
+function gateStaging(t) {
+  const staging = { ...config.environments.staging };
+  process.env.UNIT_TEST_PASSWORD = "s3cret";
+  Object.assign(config.environments.staging, {
+    auth: { username: "qa", password: "env:UNIT_TEST_PASSWORD" },
+    headers: { "X-Preview": "on" },
+    cookies: [{ name: "consent", value: "yes", path: "/programs/" }],
+  });
+  t.after(() => {
+    Object.assign(config.environments.staging, staging);
+    delete process.env.UNIT_TEST_PASSWORD;
+  });
+}
+
+test("resolveSecret reads env: values from the environment", (t) => {
+  process.env.UNIT_TEST_SECRET = "from-env";
+  t.after(() => {
+    delete process.env.UNIT_TEST_SECRET;
+  });
+
+  assert.equal(resolveSecret("plain", "auth.password"), "plain");
+  assert.equal(resolveSecret("env:UNIT_TEST_SECRET", "auth.password"), "from-env");
+  assert.throws(
+    () => resolveSecret("env:UNIT_TEST_UNSET", "environments.staging.auth.password"),
+    /^Error: environments\.staging\.auth\.password: environment variable UNIT_TEST_UNSET is not set$/
+  );
+});
+
+test("getEnvironmentForUrl matches environments by origin", () => {
+  assert.equal(getEnvironmentForUrl(`${STAGING_BASE}programs/`).name, "staging");
+  assert.equal(getEnvironmentForUrl(`${PROD_BASE}programs/`).name, "prod");
+  assert.equal(getEnvironmentForUrl("https://cdn.example.test/app.js"), null);
+  assert.equal(getEnvironmentForUrl("not a url"), null);
+});
+
+test("getRequestHeaders sends an environment's settings to its own origin only", (t) => {
+  gateStaging(t);
+
+  assert.deepEqual(getRequestHeaders(`${STAGING_BASE}about/`), {
+    "x-preview": "on",
+    authorization: `Basic ${Buffer.from("qa:s3cret").toString("base64")}`,
+  });
+  assert.equal(getRequestHeaders(`${STAGING_BASE}programs/mba/`).cookie, "consent=yes");
+  assert.deepEqual(getRequestHeaders(`${PROD_BASE}programs/mba/`), {});
+  assert.deepEqual(getRequestHeaders("https://cdn.example.test/app.js"), {});
+});
@@ -0,0 +1,148 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const esm = require("../../utils/esm");
+const { getPageUrl } = require("../../utils/config");
+const {
+  parseFormPayload,
+  renderConfirmationPage,
+  getDryRunResponse,
+  assertPayload,
+} = require("../../utils/formSubmission");
+
+// A form as loaded from forms.js, without a recorded confirmation
+function form(overrides = {}) {
+  return {
+    id: "unit-test-form",
+    name: "Unit test",
+    fields: [],
+    confirmation: { selector: ".gform_confirmation_message", text: "Thank you" },
+    ...overrides,
+  };
+}
+
+test.before(() => esm.ready);
+
+test("parseFormPayload decodes a urlencoded body", () => {
+  const body = Buffer.from("input_1=Ada+Lovelace&input_2=ada%40example.test");
+  assert.deepEqual(parseFormPayload("application/x-www-form-urlencoded", body), {
+    input_1: "Ada Lovelace",
+    input_2: "ada@example.test",
+  });
+});
+
+test("parseFormPayload decodes a multipart body and skips file parts", () => {
+  const body = Buffer.from(
+    [
+      "--XyZ",
+      'Content-Disposition: form-data; name="input_1"',
+      "",
+      "Ada",
+      "--XyZ",
+      'Content-Disposition: form-data; name="input_5"; filename="cv.pdf"',
+      "Content-Type: application/pdf",
+      "",
+      "%PDF",
+      "--XyZ--",
+      "",
+    ].join("\r\n")
+  );
+  assert.deepEqual(parseFormPayload('multipart/form-data; boundary="XyZ"', body), {
+    input_1: "Ada",
+  });
+});
+
+test("parseFormPayload returns nothing for an empty body", () => {
+  assert.deepEqual(parseFormPayload("application/x-www-form-urlencoded", null), {});
+});
+
+test("renderConfirmationPage builds markup the selector matches", () => {
+  const page = renderConfirmationPage({
+    selector: "div#gform_confirmation_wrapper_1 > .gform_confirmation_message.done",
+    text: "Thanks <b>",
+  });
+  assert.match(
+    page,
+    /<div id="gform_confirmation_wrapper_1"><div class="gform_confirmation_message done">Thanks &lt;b&gt;<\/div><\/div>/
+  );
+});
+
+test("renderConfirmationPage returns null for selectors it cannot build", () => {
+  assert.equal(renderConfirmationPage({ selector: "p:has(span)", text: "Thanks" }), null);
+  assert.equal(renderConfirmationPage({ selector: "#a#b", text: "Thanks" }), null);
+});
+
+test("getDryRunResponse redirects to the confirmation page when there is one", () => {
+  const response = getDryRunResponse(
+    form({ confirmation: { url: "/thank-you/", selector: "h1", text: "Thanks" } }),
+    "prod"
+  );
+  assert.deepEqual(response, {
+    status: 303,
+    headers: { location: getPageUrl("prod", "/thank-you/") },
+    body: "",
+  });
+});
+
+test("getDryRunResponse shows the confirmation in place otherwise", () => {
+  const response = getDryRunResponse(form(), "prod");
+  assert.equal(response.status, 200);
+  assert.match(response.body, /<div class="gform_confirmation_message">Thank you<\/div>/);
+});
+
+test("getDryRunResponse fails for a selector it cannot build a page for", () => {
+  assert.throws(
+    () => getDryRunResponse(form({ confirmation: { selector: "p:nth-child(2)", text: "x" } }), "prod"),
+    /too complex to build a page for/
+  );
+});
+
+test("assertPayload accepts a payload with every expected value", () => {
+  assertPayload(
+    form({
+      payload: { gform_submit: "1" },
+      utm: { utm_source: "qa" },
+      utmFields: { utm_source: "input_8" },
+    }),
+    { input_1: "Ada", gform_submit: "1", input_8: "qa" },
+    [{ label: "Name", name: "input_1", type: "text", value: "Ada" }]
+  );
+});
+
+test("assertPayload lists every missing or wrong value", () => {
+  assert.throws(
+    () =>
+      assertPayload(
+        form({
+          payload: { gform_submit: "1" },
+          utm: { utm_source: "qa" },
+          utmFields: { utm_source: "input_8" },
+        }),
+        { input_1: "Grace", input_9: "qa" },
+        [
+          { label: "Name", name: "input_1", type: "text", value: "Ada" },
+          { label: "Consent", name: "input_4", type: "checkbox", value: true },
+        ]
+      ),
+    (error) => {
+      assert.equal(
+        error.message,
+        [
+          "Unit test submission payload mismatch:",
+          `  - 'Name' (input_1) was "Grace", expected "Ada"`,
+          "  - Hidden field gform_submit was undefined, expected \"1\"",
+          "  - UTM utm_source (input_8) was undefined, expected \"qa\"",
+        ].join("\n")
+      );
+      return true;
+    }
+  );
+});
+
+test("assertPayload only checks UTM parameters with a tracking field", () => {
+  assertPayload(
+    form({ utm: { utm_source: "qa", utm_medium: "email" }, utmFields: { utm_source: "input_8" } }),
+    { input_8: "qa" },
+    []
+  );
+  assertPayload(form({ utm: { utm_source: "qa" } }), {}, []);
+});
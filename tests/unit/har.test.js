@@ -0,0 +1,143 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const esm = require("../../utils/esm");
+const {
+  HAR_DIR,
+  getNetworkMode,
+  getHarPath,
+  getLinkCheckHarPath,
+  getArchivedResponse,
+  recordLinkCheck,
+  saveLinkCheckArchive,
+} = require("../../utils/har");
+
+// A capture of a page on Desktop Chrome
+const CAPTURE = {
+  kind: "capture",
+  browserName: "chromium",
+  deviceName: "Desktop",
+  environmentName: "staging",
+  pagePath: "/programs/",
+};
+
+// A HAR archive with one entry per [method, url, status, headers]
+function harArchive(entries) {
+  return {
+    log: {
+      version: "1.2",
+      entries: entries.map(([method, url, status, headers]) => ({
+        request: { method, url },
+        response: {
+          status,
+          headers: Object.entries(headers).map(([name, value]) => ({ name, value })),
+        },
+      })),
+    },
+  };
+}
+
+// Archives are read from and written to fixtures/har under the working
+// directory, so each run works in a scratch directory of its own
+const workingDirectory = process.cwd();
+const scratchDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "har-test-"));
+test.before(async () => {
+  await esm.ready;
+  process.chdir(scratchDirectory);
+  const harPath = getHarPath(CAPTURE);
+  fs.mkdirSync(path.dirname(harPath), { recursive: true });
+  fs.writeFileSync(
+    harPath,
+    JSON.stringify(
+      harArchive([
+        ["GET", "https://staging.test/programs/", 200, { "Content-Type": "text/html" }],
+        ["GET", "https://staging.test/logo.png", 200, { "Content-Type": "image/png" }],
+        ["HEAD", "https://staging.test/old/", 301, { Location: "/new/" }],
+      ])
+    )
+  );
+});
+test.after(() => {
+  process.chdir(workingDirectory);
+  fs.rmSync(scratchDirectory, { recursive: true, force: true });
+});
+
+test("getNetworkMode defaults to live and rejects unknown modes", (t) => {
+  const mode = process.env.NETWORK_MODE;
+  t.after(() => {
+    if (mode === undefined) {
+      delete process.env.NETWORK_MODE;
+    } else {
+      process.env.NETWORK_MODE = mode;
+    }
+  });
+
+  delete process.env.NETWORK_MODE;
+  assert.equal(getNetworkMode(), "live");
+  process.env.NETWORK_MODE = "replay";
+  assert.equal(getNetworkMode(), "replay");
+  process.env.NETWORK_MODE = "offline";
+  assert.throws(() => getNetworkMode(), /NETWORK_MODE must be one of live, record, replay/);
+});
+
+test("getHarPath keeps one archive per check, browser, device, environment and page", () => {
+  assert.equal(
+    getHarPath({ ...CAPTURE, pagePath: "/programs/mba/" }),
+    path.join(HAR_DIR, "capture", "chromium", "Desktop", "staging", "_programs_mba_.har")
+  );
+  const paths = new Set([
+    getHarPath(CAPTURE),
+    getHarPath({ ...CAPTURE, kind: "link-check" }),
+    getHarPath({ ...CAPTURE, browserName: "webkit" }),
+    getHarPath({ ...CAPTURE, deviceName: "Mobile" }),
+    getHarPath({ ...CAPTURE, environmentName: "prod" }),
+  ]);
+  assert.equal(paths.size, 5);
+});
+
+test("saveLinkCheckArchive writes each test's responses to an archive of its own", () => {
+  const entries = (testId) =>
+    JSON.parse(fs.readFileSync(getLinkCheckHarPath(testId), "utf8")).log.entries.map(
+      ({ request, response }) => [request.method, request.url, response.status]
+    );
+
+  recordLinkCheck("https://staging.test/brochure.pdf", "HEAD", {
+    status: 200,
+    headers: { "content-type": "application/pdf" },
+  });
+  saveLinkCheckArchive("links");
+  recordLinkCheck("http://staging.test/programs/", "GET", {
+    status: 301,
+    headers: { location: "https://staging.test/programs/" },
+  });
+  saveLinkCheckArchive("http");
+
+  assert.deepEqual(entries("links"), [["HEAD", "https://staging.test/brochure.pdf", 200]]);
+  assert.deepEqual(entries("http"), [["GET", "http://staging.test/programs/", 301]]);
+});
+
+test("getArchivedResponse answers from every archive with lower-cased headers", () => {
+  assert.deepEqual(getArchivedResponse("https://staging.test/programs/"), {
+    status: 200,
+    headers: { "content-type": "text/html" },
+  });
+  assert.deepEqual(getArchivedResponse("https://staging.test/brochure.pdf", "HEAD"), {
+    status: 200,
+    headers: { "content-type": "application/pdf" },
+  });
+  assert.equal(getArchivedResponse("http://staging.test/programs/").status, 301);
+});
+
+test("getArchivedResponse answers a HEAD request with an archived GET", () => {
+  assert.equal(getArchivedResponse("https://staging.test/logo.png", "HEAD").status, 200);
+  assert.equal(getArchivedResponse("https://staging.test/old/", "HEAD").status, 301);
+});
+
+test("getArchivedResponse fails for requests no archive has", () => {
+  assert.throws(
+    () => getArchivedResponse("https://staging.test/old/", "GET"),
+    (error) => error.code === "ERR_HAR_ENTRY_MISSING"
+  );
+});
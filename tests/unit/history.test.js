@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { config } = require("../../utils/config");
+const { getHistoryKey, getTrend, isFlaky } = require("../../utils/history");
+
+// History key of the home page on Desktop Chrome
+const KEY = "Desktop/chromium/staging-vs-prod//";
+
+// Run with the given result status for KEY ("-" for no result)
+function run(runId, status) {
+  return {
+    runId,
+    results: status === "-" ? [] : [{ key: KEY, status }],
+  };
+}
+
+// Trend of the given statuses, oldest first
+function trend(statuses) {
+  return statuses.map((status) => (status === "-" ? null : { status }));
+}
+
+test("getHistoryKey identifies a result by device, browser, comparison and page", () => {
+  assert.equal(
+    getHistoryKey({
+      deviceName: "Desktop",
+      browserName: "chromium",
+      comparison: "staging-vs-prod",
+      pagePath: "/",
+    }),
+    KEY
+  );
+});
+
+test("getTrend keeps the recent runs, with null where the key has no result", (t) => {
+  const recentRuns = config.history.recentRuns;
+  config.history.recentRuns = 3;
+  t.after(() => {
+    config.history.recentRuns = recentRuns;
+  });
+
+  const runs = [run("1", "fail"), run("2", "pass"), run("3", "-"), run("4", "fail")];
+  assert.deepEqual(getTrend(runs, KEY), [
+    { key: KEY, status: "pass" },
+    null,
+    { key: KEY, status: "fail" },
+  ]);
+});
+
+test("isFlaky counts flips between pass and fail only", (t) => {
+  const flakyFlips = config.history.flakyFlips;
+  config.history.flakyFlips = 3;
+  t.after(() => {
+    config.history.flakyFlips = flakyFlips;
+  });
+
+  assert.equal(isFlaky(trend(["pass", "fail", "pass", "fail"])), true);
+  assert.equal(isFlaky(trend(["pass", "fail", "-", "pass", "error", "fail"])), true);
+  assert.equal(isFlaky(trend(["pass", "pass", "fail", "fail", "pass"])), false);
+  assert.equal(isFlaky(trend([])), false);
+});
@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { config } = require("../../utils/config");
+const { formatChain, diffResponses, checkResponseRules } = require("../../utils/httpParity");
+
+const REFERENCE_BASE = "https://prod.test/";
+const CURRENT_BASE = "https://staging.test/";
+
+// A response as fetched by auditResponses
+function response(overrides = {}) {
+  return {
+    url: "https://prod.test/programs/",
+    status: 200,
+    redirects: [],
+    finalUrl: "https://prod.test/programs/",
+    headers: {},
+    ...overrides,
+  };
+}
+
+// Header values for every compared header, with some overridden
+function headers(overrides = {}) {
+  const names = [...config.http.securityHeaders, ...config.http.cachingHeaders];
+  return {
+    ...Object.fromEntries(names.map((name) => [name.toLowerCase(), "same"])),
+    ...overrides,
+  };
+}
+
+test("formatChain lists each hop without the environment's host", () => {
+  const chain = formatChain(
+    response({
+      redirects: [{ status: 301, url: "http://prod.test/programs" }],
+      finalUrl: "https://prod.test/programs/",
+    }),
+    REFERENCE_BASE
+  );
+  assert.equal(chain, "301 http://{host}/programs → https://{host}/programs/");
+});
+
+test("diffResponses treats the same responses on two hosts as equal", () => {
+  const reference = { page: response({ headers: headers() }) };
+  const current = {
+    page: response({
+      url: "https://staging.test/programs/",
+      finalUrl: "https://staging.test/programs/",
+      headers: headers(),
+    }),
+  };
+  assert.deepEqual(diffResponses(reference, current, REFERENCE_BASE, CURRENT_BASE), []);
+});
+
+test("diffResponses reports status, redirect and header mismatches", () => {
+  const reference = {
+    page: response({ headers: headers({ "x-frame-options": "DENY", vary: "Accept" }) }),
+  };
+  const current = {
+    page: response({
+      status: 404,
+      redirects: [{ status: 302, url: "https://staging.test/programs" }],
+      finalUrl: "https://staging.test/programs/",
+      headers: headers({ "x-frame-options": null, vary: "Cookie" }),
+    }),
+  };
+  assert.deepEqual(
+    diffResponses(reference, current, REFERENCE_BASE, CURRENT_BASE).map((mismatch) => [
+      mismatch.rule,
+      mismatch.severity,
+      mismatch.field,
+    ]),
+    [
+      ["status-mismatch", "error", "status"],
+      ["redirect-mismatch", "error", "redirects"],
+      ["security-header-mismatch", "error", "x-frame-options"],
+      ["caching-header-mismatch", "warning", "vary"],
+    ]
+  );
+});
+
+test("diffResponses skips checks that failed on either environment", () => {
+  const reference = { page: response({ error: "timeout" }) };
+  const current = { page: response({ status: 500 }) };
+  assert.deepEqual(diffResponses(reference, current, REFERENCE_BASE, CURRENT_BASE), []);
+});
+
+test("checkResponseRules reports error statuses and pages served over http", () => {
+  const violations = checkResponseRules(
+    {
+      page: response({ status: 500, headers: headers() }),
+      http: response({ url: "http://prod.test/programs/", finalUrl: "http://prod.test/programs/" }),
+    },
+    "staging"
+  );
+  assert.deepEqual(
+    violations.map((violation) => violation.rule),
+    ["error-status", "no-https-redirect"]
+  );
+});
@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { diffMenuTrees, flattenMenuTree } = require("../../utils/menu");
+
+const REFERENCE_BASE = "https://prod.test/";
+const CURRENT_BASE = "https://staging.test/";
+
+// A menu entry
+function entry(label, href, children = []) {
+  return { label, href, children };
+}
+
+test("diffMenuTrees finds no changes between the same menu on two hosts", () => {
+  const reference = [entry("Programs", "https://prod.test/programs/", [entry("MBA", "/mba/")])];
+  const current = [entry("Programs", "https://staging.test/programs/", [entry("MBA", "/mba/")])];
+  assert.deepEqual(diffMenuTrees(reference, current, REFERENCE_BASE, CURRENT_BASE), []);
+});
+
+test("diffMenuTrees reports renamed, repointed, missing and added entries", () => {
+  const reference = [
+    entry("Programs", "/programs/", [
+      entry("MBA", "/mba/"),
+      entry("Nursing", "/nursing/"),
+      entry("History", "/history/"),
+    ]),
+  ];
+  const current = [
+    entry("Programs", "/programs/", [
+      entry("Master of Business", "/mba/"),
+      entry("Nursing", "/nursing-bsn/"),
+      entry("Data Science", "/data-science/"),
+    ]),
+  ];
+  assert.deepEqual(diffMenuTrees(reference, current, REFERENCE_BASE, CURRENT_BASE), [
+    { type: "renamed", path: "Programs > Master of Business", from: "MBA", to: "Master of Business" },
+    { type: "repointed", path: "Programs > Nursing", from: "/nursing/", to: "/nursing-bsn/" },
+    { type: "missing", path: "Programs > History", from: "/history/" },
+    { type: "added", path: "Programs > Data Science", to: "/data-science/" },
+  ]);
+});
+
+test("flattenMenuTree lists every entry with its label path", () => {
+  const tree = [entry("Programs", "/programs/", [entry("MBA", "/mba/")])];
+  assert.deepEqual(
+    flattenMenuTree(tree).map((item) => item.path),
+    ["Programs", "Programs > MBA"]
+  );
+});
@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { config, getPageUrl } = require("../../utils/config");
+const { getErrorKey, findNewErrors, getFailingErrors } = require("../../utils/pageErrors");
+
+const STAGING_BASE = getPageUrl("staging", "/");
+const PROD_BASE = getPageUrl("prod", "/");
+
+// An entry as recorded by startErrorCollector
+function entry(kind, message, url) {
+  const recorded = { kind, message, url };
+  return { ...recorded, key: getErrorKey(recorded) };
+}
+
+test("getErrorKey matches the same error across environments and cache-busting versions", () => {
+  assert.equal(
+    getErrorKey({
+      kind: "failedRequest",
+      message: "404",
+      url: `${STAGING_BASE}wp-content/plugins/slider/slider.js?ver=6.4.1`,
+    }),
+    getErrorKey({
+      kind: "failedRequest",
+      message: "404",
+      url: `${PROD_BASE}wp-content/plugins/slider/slider.js?ver=6.5`,
+    })
+  );
+  assert.equal(
+    getErrorKey({ kind: "pageError", message: "x is not defined" }),
+    "pageError x is not defined "
+  );
+});
+
+test("getErrorKey keeps different kinds of the same message apart", () => {
+  assert.notEqual(
+    getErrorKey({ kind: "pageError", message: "boom" }),
+    getErrorKey({ kind: "consoleError", message: "boom" })
+  );
+});
+
+test("findNewErrors keeps the current entries the reference does not have", () => {
+  const shared = `${STAGING_BASE}wp-content/themes/avila/app.js`;
+  const current = [
+    entry("failedRequest", "404", shared),
+    entry("pageError", "jQuery is not defined"),
+  ];
+  const reference = [entry("failedRequest", "404", shared.replace(STAGING_BASE, PROD_BASE))];
+  assert.deepEqual(findNewErrors(current, reference), [current[1]]);
+});
+
+test("getFailingErrors keeps the kinds configured to fail", (t) => {
+  const failOn = config.pageErrors.failOn;
+  config.pageErrors.failOn = ["pageError"];
+  t.after(() => {
+    config.pageErrors.failOn = failOn;
+  });
+
+  const newErrors = [
+    entry("pageError", "jQuery is not defined"),
+    entry("mixedContent", "http://cdn.example.test/logo.png"),
+  ];
+  assert.deepEqual(getFailingErrors(newErrors), [newErrors[0]]);
+});
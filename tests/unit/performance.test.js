@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { config } = require("../../utils/config");
+const { checkBudgets, compareMetrics } = require("../../utils/performance");
+
+// Metrics as collected by collectPerformanceMetrics, within every budget
+function metrics(overrides = {}) {
+  return {
+    ttfb: 200,
+    load: 3000,
+    lcp: 2000,
+    cls: 0.01,
+    tbt: null,
+    requests: 80,
+    totalBytes: 2000000,
+    bytesByType: { script: 800000, image: 1000000 },
+    ...overrides,
+  };
+}
+
+test("checkBudgets reports metrics over their budget", () => {
+  const { budgets } = config.performance;
+  assert.deepEqual(checkBudgets(metrics()), []);
+  assert.deepEqual(checkBudgets(metrics({ lcp: budgets.lcp + 1, cls: budgets.cls * 2 })), [
+    { metric: "lcp", value: budgets.lcp + 1, budget: budgets.lcp },
+    { metric: "cls", value: budgets.cls * 2, budget: budgets.cls },
+  ]);
+});
+
+test("checkBudgets skips metrics the browser could not measure", () => {
+  assert.deepEqual(checkBudgets(metrics({ tbt: null, lcp: undefined })), []);
+});
+
+test("compareMetrics reports regressions beyond the allowed percentage", (t) => {
+  const { maxRegressionPercent, compare } = config.performance;
+  config.performance.maxRegressionPercent = 30;
+  config.performance.compare = ["load", "lcp"];
+  t.after(() => {
+    config.performance.maxRegressionPercent = maxRegressionPercent;
+    config.performance.compare = compare;
+  });
+
+  const current = metrics({
+    load: 4500,
+    lcp: 2500,
+    bytesByType: { script: 1600000, image: 1000000, font: 50000 },
+  });
+  assert.deepEqual(compareMetrics(current, metrics()), [
+    { metric: "load", value: 4500, reference: 3000, changePercent: 50 },
+    { metric: "script bytes", value: 1600000, reference: 800000, changePercent: 100 },
+  ]);
+});
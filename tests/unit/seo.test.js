@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getPageUrl } = require("../../utils/config");
+const { diffMetadata, checkPageRules, checkDuplicates } = require("../../utils/seo");
+
+const PROD_BASE = getPageUrl("prod", "/");
+const STAGING_BASE = getPageUrl("staging", "/");
+
+// Metadata of a page as read by auditPage, with its own canonical URL
+function metadata(baseUrl, overrides = {}) {
+  return {
+    title: "Online MBA",
+    description: "Earn your MBA online.",
+    canonical: `${baseUrl}mba/`,
+    robots: null,
+    xRobotsTag: null,
+    openGraph: { "og:url": `${baseUrl}mba/` },
+    twitter: {},
+    hreflang: [],
+    jsonLd: [{ types: ["WebPage"] }],
+    otherHosts: {},
+    ...overrides,
+  };
+}
+
+test("diffMetadata compares URLs on each environment's own host as paths", () => {
+  assert.deepEqual(
+    diffMetadata(metadata(PROD_BASE), metadata(STAGING_BASE), PROD_BASE, STAGING_BASE),
+    []
+  );
+});
+
+test("diffMetadata lists the fields that differ", () => {
+  const diff = diffMetadata(
+    metadata(PROD_BASE),
+    metadata(STAGING_BASE, { title: "MBA", robots: "noindex" }),
+    PROD_BASE,
+    STAGING_BASE
+  );
+  assert.deepEqual(diff, [
+    { field: "title", reference: "Online MBA", current: "MBA" },
+    { field: "robots", reference: null, current: "noindex" },
+  ]);
+});
+
+test("checkPageRules reports missing metadata and invalid JSON-LD", () => {
+  const violations = checkPageRules(
+    metadata(STAGING_BASE, {
+      title: null,
+      canonical: null,
+      jsonLd: [{ types: [], error: "Unexpected token" }],
+    }),
+    "staging"
+  );
+  assert.deepEqual(
+    violations.map((violation) => [violation.rule, violation.severity]),
+    [
+      ["missing-title", "error"],
+      ["missing-canonical", "warning"],
+      ["invalid-json-ld", "error"],
+    ]
+  );
+});
+
+test("checkPageRules allows noindex and other hosts only off indexable environments", () => {
+  const leaky = {
+    robots: "noindex, nofollow",
+    otherHosts: { staging: { host: new URL(STAGING_BASE).host, count: 2 } },
+  };
+  assert.deepEqual(checkPageRules(metadata(STAGING_BASE, leaky), "staging"), []);
+  assert.deepEqual(
+    checkPageRules(metadata(PROD_BASE, leaky), "prod").map((violation) => violation.rule),
+    ["noindex", "host-leak"]
+  );
+});
+
+test("checkDuplicates reports titles and descriptions shared by several pages", () => {
+  const pages = ["/mba/", "/mba-online/", "/nursing/"].map((path) => ({
+    path,
+    environments: {
+      prod: metadata(PROD_BASE, {
+        title: path === "/nursing/" ? "Online Nursing" : "Online MBA",
+        description: path,
+      }),
+    },
+  }));
+  assert.deepEqual(checkDuplicates(pages, "prod"), [
+    {
+      rule: "duplicate-title",
+      severity: "warning",
+      environment: "prod",
+      message: '"Online MBA" is used by /mba/, /mba-online/',
+      paths: ["/mba/", "/mba-online/"],
+    },
+  ]);
+});
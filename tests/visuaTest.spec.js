@@ -1,698 +1,919 @@
-const { test } = require("@playwright/test");
-const fs = require("fs");
+const { test: base, expect } = require("@playwright/test");
 const path = require("path");
-const { PNG } = require("pngjs");
-const sharp = require("sharp");
-const config = require("../config.js");
-const axios = require("axios");
-
-let pixelmatch;
-let chalk;
-
-// Dynamically load `pixelmatch` and `chalk`
-(async () => {
-  pixelmatch = (await import("pixelmatch")).default;
-  chalk = (await import("chalk")).default;
-})();
-
-// Helper Functions
-
-// Ensure directory exists
-function ensureDirectoryExistence(filePath) {
-  const dirname = path.dirname(filePath);
-  if (!fs.existsSync(dirname)) {
-    fs.mkdirSync(dirname, { recursive: true });
+const {
+  config,
+  getPageUrl,
+  getSelectedPages,
+  getComparisonEnvironments,
+} = require("../utils/config");
+const fs = require("fs");
+const esm = require("../utils/esm");
+const {
+  getDeviceContextOptions,
+  getScreenshotPath,
+  compareScreenshots,
+  captureScreenshot,
+} = require("../utils/screenshots");
+const {
+  RESULTS_ATTACHMENT,
+  attachResults,
+  getResultStatus,
+  describeFailure,
+} = require("../utils/report");
+const { getApprovedBaseline } = require("../utils/baseline");
+const { getMaskingOptions } = require("../utils/masking");
+const { takeContentSnapshot, diffContent } = require("../utils/contentDiff");
+const { checkBudgets, compareMetrics } = require("../utils/performance");
+const {
+  SEO_RESULTS_PATH,
+  auditPage,
+  diffMetadata,
+  checkPageRules,
+  checkDuplicates,
+  getFailingViolations,
+} = require("../utils/seo");
+const {
+  ACCESSIBILITY_RESULTS_PATH,
+  getScans,
+  runScan,
+  loadAccessibilityBaseline,
+  compareViolations,
+  getFailingViolations: getFailingAccessibilityViolations,
+} = require("../utils/accessibility");
+const {
+  HTTP_RESULTS_PATH,
+  auditResponses,
+  fetchChain,
+  diffResponses,
+  checkResponseRules,
+  loadRedirectMap,
+  checkRedirect,
+  getFailingProblems,
+} = require("../utils/httpParity");
+const {
+  startErrorCollector,
+  startContextErrorCollector,
+  findNewErrors,
+} = require("../utils/pageErrors");
+const {
+  CATALOG_RESULTS_PATH,
+  getCatalogForms,
+  loadExpectedCatalog,
+  extractFormPrograms,
+  extractMenuPrograms,
+  indexSources,
+  listPrograms,
+  checkSources,
+  diffEnvironments,
+} = require("../utils/catalog");
+const { forms, runForm } = require("../utils/forms");
+const { applyEnvironmentSettings } = require("../utils/environments");
+const {
+  getNetworkMode,
+  routeNetwork,
+  reportMissingEntries,
+  saveLinkCheckArchive,
+} = require("../utils/har");
+const {
+  checkPageResources,
+  getFailingResources,
+} = require("../utils/linkChecker");
+const { runWithConcurrency } = require("../utils/concurrency");
+const {
+  MENU_RESULTS_PATH,
+  extractMenuTree,
+  diffMenuTrees,
+  flattenMenuTree,
+  checkMenuLinks,
+} = require("../utils/menu");
+
+// Structured per-page results of the resource and link check
+const LINK_CHECK_RESULTS_PATH = "link_check_results.json";
+
+// Attachment listing the page problems seen by a test outside the visual
+// comparison, which records its own per capture
+const PAGE_ERRORS_ATTACHMENT = "page-errors";
+
+// Log the page problems a test's visits recorded and attach them to the test
+async function reportPageErrors(testInfo, entries) {
+  if (entries.length === 0) {
+    return;
   }
+  console.log(
+    chalk.yellow(
+      `${entries.length} page problems recorded:\n  ${entries
+        .map((entry) => `${entry.kind} on ${entry.pageUrl}: ${entry.message}`)
+        .join("\n  ")}`
+    )
+  );
+  await attachResults(testInfo, PAGE_ERRORS_ATTACHMENT, null, entries);
 }
 
-// Resize images to match specified dimensions (1280x800)
-async function resizeImage(imagePath, width, height) {
-  const buffer = fs.readFileSync(imagePath);
-  const resizedBuffer = await sharp(buffer)
-    .resize(width, height, {
-      fit: "contain",
-      background: { r: 255, g: 255, b: 255, alpha: 0 },
-    })
-    .toBuffer();
-  fs.writeFileSync(imagePath, resizedBuffer);
-}
-
-// Compare two screenshots and return similarity percentage
-async function compareScreenshots(baselinePath, currentPath, diffPath) {
-  await resizeImage(baselinePath, 1280, 800);
-  await resizeImage(currentPath, 1280, 800);
+// Every context the fixtures create gets the environments' auth, headers
+// and cookies, and records page problems for the test; contexts the tests
+// create themselves do both directly
+const test = base.extend({
+  context: async ({ context }, use, testInfo) => {
+    await applyEnvironmentSettings(context);
+    const errorCollector = startContextErrorCollector(context);
+    await use(context);
+    await reportPageErrors(testInfo, errorCollector.stop());
+  },
+});
 
-  const img1 = PNG.sync.read(fs.readFileSync(baselinePath));
-  const img2 = PNG.sync.read(fs.readFileSync(currentPath));
+let chalk;
 
-  if (img1.width !== img2.width || img1.height !== img2.height) {
-    console.log(
-      chalk.red(`Size mismatch for ${baselinePath} and ${currentPath}`)
-    );
-    return "Size mismatch";
-  }
+// Wait for the ESM-only helpers before any test logs
+test.beforeAll(async () => {
+  await esm.ready;
+  chalk = esm.chalk;
+});
 
-  const diff = new PNG({ width: img1.width, height: img1.height });
-  const mismatchedPixels = pixelmatch(
-    img1.data,
-    img2.data,
-    diff.data,
-    img1.width,
-    img1.height,
-    { threshold: 0.1 }
+// The site-wide audits (links, SEO, HTTP, accessibility, menu, catalog) give
+// the same results in every browser, so only the first browser project runs
+// them. The others would request every page again and write the same
+// results files at the same time. The form tests run there only too: with
+// FORM_SUBMIT=real each project would send another lead to the CRM.
+function skipOutsideAuditProject(testInfo) {
+  test.skip(
+    testInfo.project.name !== config.matrix.browsers[0],
+    `Site-wide audits and forms run in the ${config.matrix.browsers[0]} project only`
   );
-  fs.writeFileSync(diffPath, PNG.sync.write(diff));
-
-  const totalPixels = img1.width * img1.height;
-  const matchedPixels = totalPixels - mismatchedPixels;
-  return (matchedPixels / totalPixels) * 100;
 }
 
-// Forcefully capture screenshot for a given URL
-async function captureScreenshot(page, url, screenshotPath) {
-  try {
-    console.log(chalk.blue(`Navigating to: ${url}`));
-
-    const navigationPromise = page.goto(url, {
-      waitUntil: "networkidle",
-      timeout: 60000,
-    });
-    const timeoutPromise = new Promise(
-      (resolve) =>
-        setTimeout(() => {
-          console.log(
-            chalk.red(`Timeout detected on ${url}. Forcing screenshot.`)
+// Main Test Suite
+test.describe("Visual Comparison Tests", () => {
+  // One test per page, so each page passes or fails on its own and
+  // `fullyParallel` and `--shard` spread pages across workers and machines.
+  // Devices are emulated per context inside the test; browsers are separate
+  // projects.
+  for (const pageConfig of getSelectedPages()) {
+    const pagePath = pageConfig.path;
+
+    test(`Compare ${pagePath} across environments`, async ({
+      browser,
+      browserName,
+    }, testInfo) => {
+      const deviceNames = Object.keys(config.matrix.devices);
+      // Every environment in a comparison is captured once per device
+      const environmentNames = getComparisonEnvironments();
+      test.setTimeout(deviceNames.length * environmentNames.length * 60000);
+      const masking = getMaskingOptions(pagePath);
+
+      // Capture one environment on one device in its own context, recorded to
+      // or replayed from the archive of this browser, device and environment
+      const capture = async ({ deviceName, environmentName }) => {
+        console.log(
+          chalk.blue(`Capturing ${pagePath} on ${environmentName}, ${deviceName} in ${browserName}...`)
+        );
+        const contextOptions = getDeviceContextOptions(deviceName, browserName);
+        const viewport = pageConfig.viewport[deviceName] || contextOptions.viewport;
+        const screenshotPath = getScreenshotPath(
+          deviceName,
+          browserName,
+          environmentName,
+          pagePath
+        );
+        const startedAt = Date.now();
+        const context = await browser.newContext({ ...contextOptions, viewport });
+        try {
+          await applyEnvironmentSettings(context);
+          const network = await routeNetwork(context, {
+            kind: "capture",
+            browserName,
+            deviceName,
+            environmentName,
+            pagePath,
+          });
+          const page = await context.newPage();
+          const errorCollector = startErrorCollector(page);
+          const { maskedRegions, metrics, stabilization } = await captureScreenshot(
+            page,
+            getPageUrl(environmentName, pagePath),
+            screenshotPath,
+            { masking, waitFor: pageConfig.waitFor }
           );
-          resolve();
-        }, 10000) // Timeout after 10 seconds
-    );
-
-    await Promise.race([navigationPromise, timeoutPromise]);
-
-    ensureDirectoryExistence(screenshotPath);
-    await page.screenshot({ path: screenshotPath, fullPage: true });
-    console.log(chalk.green(`Screenshot captured: ${screenshotPath}`));
-  } catch (error) {
-    console.error(
-      chalk.red(`Failed to capture screenshot for ${url}: ${error.message}`)
-    );
-    ensureDirectoryExistence(screenshotPath);
-    await page.screenshot({ path: screenshotPath, fullPage: true });
-    console.log(chalk.green(`Forced screenshot captured: ${screenshotPath}`));
-  }
-}
-
-// Generate HTML report
-function generateHtmlReport(results, deviceName) {
-  const reportPath = `visual_comparison_report_${deviceName}.html`;
-  const now = new Date().toLocaleString();
-  const environments = `
-    <a href="${config.staging.baseUrl}" target="_blank">Staging: ${config.staging.baseUrl}</a>,
-    <a href="${config.prod.baseUrl}" target="_blank">Prod: ${config.prod.baseUrl}</a>
-  `;
-
-  let htmlContent = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>Visual Comparison Report - ${deviceName}</title>
-      <style>
-        body { font-family: Arial, sans-serif; line-height: 1.5; margin: 20px; }
-        h1, h2 { text-align: center; }
-        .summary { text-align: center; margin: 20px 0; }
-        table { width: 100%; border-collapse: collapse; margin: 20px 0; }
-        th, td { border: 1px solid #ddd; padding: 8px; text-align: center; }
-        th { background-color: #f2f2f2; }
-        .pass { color: green; font-weight: bold; }
-        .fail { color: red; font-weight: bold; }
-        .error { color: orange; font-weight: bold; }
-        img { max-width: 150px; cursor: pointer; }
-      </style>
-    </head>
-    <body>
-      <h1>Visual Comparison Report</h1>
-      <h2>Device: ${deviceName}</h2>
-      <div class="summary">
-        <p>Total Pages Tested: ${results.length}</p>
-        <p>Passed: ${
-          results.filter(
-            (r) =>
-              typeof r.similarityPercentage === "number" &&
-              r.similarityPercentage >= 95
-          ).length
-        }</p>
-        <p>Failed: ${
-          results.filter(
-            (r) =>
-              typeof r.similarityPercentage === "number" &&
-              r.similarityPercentage < 95
-          ).length
-        }</p>
-        <p>Errors: ${
-          results.filter((r) => r.similarityPercentage === "Error").length
-        }</p>
-        <p>Last Run: ${now}</p>
-        <p>Environments Tested: ${environments}</p>
-      </div>
-      <table>
-        <thead>
-          <tr>
-            <th>Page</th>
-            <th>Similarity</th>
-            <th>Status</th>
-            <th>Thumbnail</th>
-          </tr>
-        </thead>
-        <tbody>
-  `;
-
-  results.forEach((result) => {
-    const diffThumbnailPath = `screenshots/${deviceName}/diff/${result.pagePath.replace(
-      /\//g,
-      "_"
-    )}.png`;
-
-    const stagingUrl = `${config.staging.baseUrl}${result.pagePath}`;
-    const prodUrl = `${config.prod.baseUrl}${result.pagePath}`;
-
-    const statusClass =
-      typeof result.similarityPercentage === "number" &&
-      result.similarityPercentage >= 95
-        ? "pass"
-        : "fail";
-
-    htmlContent += `
-      <tr>
-        <td>
-          <a href="${stagingUrl}" target="_blank">Staging</a> |
-          <a href="${prodUrl}" target="_blank">Prod</a>
-        </td>
-        <td>${
-          typeof result.similarityPercentage === "number"
-            ? result.similarityPercentage.toFixed(2) + "%"
-            : result.similarityPercentage
-        }</td>
-        <td class="${statusClass}">${
-      result.similarityPercentage === "Error"
-        ? "Error"
-        : result.similarityPercentage >= 95
-        ? "Pass"
-        : "Fail"
-    }</td>
-        <td>${
-          fs.existsSync(diffThumbnailPath)
-            ? `<a href="${diffThumbnailPath}" target="_blank"><img src="${diffThumbnailPath}" /></a>`
-            : "N/A"
-        }</td>
-      </tr>
-    `;
-  });
-
-  htmlContent += `
-        </tbody>
-      </table>
-    </body>
-    </html>
-  `;
+          // Snapshot the visible content on the same visit, for the text diff
+          const content = await takeContentSnapshot(page, [
+            ...masking.hide,
+            ...masking.mask,
+          ]).catch(() => null);
+          const pageErrors = errorCollector.stop();
+          reportMissingEntries(network, `${pagePath} on ${environmentName}`);
+          await testInfo.attach(`${deviceName} ${environmentName}`, {
+            path: screenshotPath,
+            contentType: "image/png",
+          });
+          return {
+            screenshotPath,
+            maskedRegions,
+            metrics,
+            stabilization,
+            content,
+            pageErrors,
+            missingEntries: network.missingEntries,
+            durationMs: Date.now() - startedAt,
+          };
+        } catch (error) {
+          return { error: error.message, durationMs: Date.now() - startedAt };
+        } finally {
+          await context.close();
+        }
+      };
 
-  fs.writeFileSync(reportPath, htmlContent);
-  console.log(chalk.green(`HTML report generated: ${reportPath}`));
-}
+      // Capture every device and environment first so all comparisons share
+      // them; the environments of a device are captured side by side
+      const jobs = deviceNames.flatMap((deviceName) =>
+        environmentNames.map((environmentName) => ({ deviceName, environmentName }))
+      );
+      const captured = await runWithConcurrency(jobs, config.capture.concurrency, capture);
+      const capturesByDevice = {};
+      jobs.forEach(({ deviceName, environmentName }, i) => {
+        capturesByDevice[deviceName] = capturesByDevice[deviceName] || {};
+        capturesByDevice[deviceName][environmentName] = captured[i];
+      });
 
-// Main Test Suite
-test.describe("Visual Comparison Tests", () => {
-  test("Compare staging and prod screenshots and generate HTML report", async ({
-    browser,
-  }) => {
-    const results = [];
-    const deviceName = "Desktop";
+      for (const deviceName of deviceNames) {
+        const results = [];
+        const captures = capturesByDevice[deviceName];
+
+        // Compare against the approved baseline when one exists, so a
+        // regression already shipped to the reference is still caught
+        const baseline = getApprovedBaseline(deviceName, browserName, pagePath);
+
+        for (const comparison of config.comparisons) {
+          const current = captures[comparison.current];
+          const reference = captures[comparison.reference];
+          const result = {
+            pagePath,
+            deviceName,
+            browserName,
+            comparison: comparison.name,
+            currentEnvironment: comparison.current,
+            referenceEnvironment: comparison.reference,
+            threshold: pageConfig.threshold,
+            tags: pageConfig.tags,
+            durationMs: current.durationMs + reference.durationMs,
+          };
+
+          try {
+            if (current.error || reference.error) {
+              throw new Error(current.error || reference.error);
+            }
+
+            result.stabilization = {
+              [comparison.current]: current.stabilization,
+              [comparison.reference]: reference.stabilization,
+            };
+
+            // Errors seen while loading each environment, and those only the
+            // current environment has
+            result.pageErrors = {
+              [comparison.current]: current.pageErrors,
+              [comparison.reference]: reference.pageErrors,
+            };
+            result.newPageErrors = findNewErrors(current.pageErrors, reference.pageErrors);
+
+            // Requests a replayed page made that its archive could not answer
+            const missingEntries = {
+              [comparison.current]: current.missingEntries,
+              [comparison.reference]: reference.missingEntries,
+            };
+            if (Object.values(missingEntries).some((entries) => entries.length > 0)) {
+              result.missingEntries = missingEntries;
+            }
+
+            if (current.metrics) {
+              result.performance = {
+                current: current.metrics,
+                reference: reference.metrics,
+                overBudget: checkBudgets(current.metrics),
+                regressions: reference.metrics
+                  ? compareMetrics(current.metrics, reference.metrics)
+                  : [],
+              };
+            }
+
+            if (current.content && reference.content) {
+              result.contentDiff = diffContent(
+                reference.content,
+                current.content,
+                config.environments[comparison.reference].baseUrl,
+                config.environments[comparison.current].baseUrl
+              );
+            }
+
+            // Masked regions are in their own capture's page coordinates, so
+            // each goes onto its own capture. Baselines keep no masked
+            // regions, so a capture compared with one shares its regions.
+            const compareOptions = {
+              ignoreRegions: masking.ignoreRegions,
+              mode: pageConfig.compareMode,
+              rules: pageConfig.diffRules,
+            };
+
+            if (baseline) {
+              result.diffPath = getScreenshotPath(
+                deviceName,
+                browserName,
+                path.join("diff", `${comparison.current}-vs-baseline`),
+                pagePath
+              );
+              const currentComparison = await compareScreenshots(
+                baseline.path,
+                current.screenshotPath,
+                result.diffPath,
+                {
+                  ...compareOptions,
+                  ignoreRegions: [...masking.ignoreRegions, ...current.maskedRegions],
+                }
+              );
+              const referenceComparison = await compareScreenshots(
+                baseline.path,
+                reference.screenshotPath,
+                getScreenshotPath(
+                  deviceName,
+                  browserName,
+                  path.join("diff", `${comparison.reference}-vs-baseline`),
+                  pagePath
+                ),
+                {
+                  ...compareOptions,
+                  ignoreRegions: [...masking.ignoreRegions, ...reference.maskedRegions],
+                }
+              );
+
+              results.push({
+                ...result,
+                comparedAgainst: "baseline",
+                baseline: {
+                  version: baseline.version,
+                  approvedBy: baseline.approvedBy,
+                  approvedAt: baseline.approvedAt,
+                  lastRejection: baseline.lastRejection,
+                },
+                similarityPercentage: currentComparison.similarityPercentage,
+                referenceSimilarityPercentage:
+                  referenceComparison.similarityPercentage,
+                ignoredRegions: currentComparison.ignoredRegions,
+                findings: currentComparison.findings,
+                referenceFindings: referenceComparison.findings,
+                diffWidth: currentComparison.diffWidth,
+                diffHeight: currentComparison.diffHeight,
+                metrics: currentComparison.metrics,
+                changedRegions: currentComparison.changedRegions,
+                regionCount: currentComparison.regionCount,
+                ruleViolations: currentComparison.ruleViolations,
+                currentPath: current.screenshotPath,
+                referencePath: baseline.path,
+              });
+            } else {
+              // The reference comes first, so findings read as changes on
+              // the current environment
+              result.diffPath = getScreenshotPath(
+                deviceName,
+                browserName,
+                path.join("diff", comparison.name),
+                pagePath
+              );
+              const pairComparison = await compareScreenshots(
+                reference.screenshotPath,
+                current.screenshotPath,
+                result.diffPath,
+                {
+                  ...compareOptions,
+                  baselineRegions: reference.maskedRegions,
+                  currentRegions: current.maskedRegions,
+                }
+              );
+
+              results.push({
+                ...result,
+                comparedAgainst: comparison.reference,
+                similarityPercentage: pairComparison.similarityPercentage,
+                ignoredRegions: pairComparison.ignoredRegions,
+                findings: pairComparison.findings,
+                diffWidth: pairComparison.diffWidth,
+                diffHeight: pairComparison.diffHeight,
+                metrics: pairComparison.metrics,
+                changedRegions: pairComparison.changedRegions,
+                regionCount: pairComparison.regionCount,
+                ruleViolations: pairComparison.ruleViolations,
+                currentPath: current.screenshotPath,
+                referencePath: reference.screenshotPath,
+              });
+            }
+            await testInfo.attach(`${deviceName} ${comparison.name} diff`, {
+              path: result.diffPath,
+              contentType: "image/png",
+            });
+          } catch (error) {
+            results.push({
+              ...result,
+              similarityPercentage: "Error",
+              error: error.message,
+            });
+          }
+        }
 
-    console.log(chalk.blue("Running tests..."));
+        // The comparison reporter collects these into the HTML report, the
+        // run history and the CI summaries
+        await attachResults(testInfo, RESULTS_ATTACHMENT, null, results);
 
-    const baseDir = `screenshots/${deviceName}`;
-    ["staging", "prod", "diff"].forEach((dir) => {
-      if (!fs.existsSync(path.join(baseDir, dir))) {
-        fs.mkdirSync(path.join(baseDir, dir), { recursive: true });
+        for (const result of results) {
+          expect
+            .soft(getResultStatus(result), describeFailure(result))
+            .toBe("pass");
+        }
       }
     });
+  }
 
-    const context = await browser.newContext({
-      viewport: { width: 1280, height: 800 },
-    });
-    const page = await context.newPage();
-
-    for (const pagePath of config.staging.urls) {
-      const stagingUrl = `${config.staging.baseUrl}${pagePath}`;
-      const prodUrl = `${config.prod.baseUrl}${pagePath}`;
-      const stagingScreenshotPath = path.join(
-        baseDir,
-        "staging",
-        `${pagePath.replace(/\//g, "_")}.png`
-      );
-      const prodScreenshotPath = path.join(
-        baseDir,
-        "prod",
-        `${pagePath.replace(/\//g, "_")}.png`
-      );
-      const diffScreenshotPath = path.join(
-        baseDir,
-        "diff",
-        `${pagePath.replace(/\//g, "_")}.png`
-      );
-
+  test("Verify resource and link integrity on the target environment's pages", async ({
+    browser,
+    browserName,
+  }, testInfo) => {
+    skipOutsideAuditProject(testInfo);
+    const pages = getSelectedPages();
+    test.setTimeout(pages.length * 120000);
+
+    const pageResults = [];
+    const pageErrors = [];
+    for (const pageConfig of pages) {
+      const url = getPageUrl(config.targetEnvironment, pageConfig.path);
+      // A context per page, so each page has its own HAR archive. The context
+      // is not device emulated, hence the "default" device.
+      const context = await browser.newContext();
+      const errorCollector = startContextErrorCollector(context);
+      let pageResult;
       try {
-        await captureScreenshot(page, stagingUrl, stagingScreenshotPath);
-        await captureScreenshot(page, prodUrl, prodScreenshotPath);
+        await applyEnvironmentSettings(context);
+        const network = await routeNetwork(context, {
+          kind: "link-check",
+          browserName,
+          deviceName: "default",
+          environmentName: config.targetEnvironment,
+          pagePath: pageConfig.path,
+        });
+        const page = await context.newPage();
+        console.log(chalk.blue(`Navigating to: ${url}`));
+        await page.goto(url, { waitUntil: "load" });
+        console.log(chalk.green(`Page loaded successfully: ${url}`));
+
+        console.log(chalk.blue("Checking every resource referenced by the page..."));
+        pageResult = await checkPageResources(page, url);
+        pageResults.push(pageResult);
+        reportMissingEntries(network, url);
+      } finally {
+        pageErrors.push(...errorCollector.stop());
+        await context.close();
+      }
 
-        const similarity = await compareScreenshots(
-          stagingScreenshotPath,
-          prodScreenshotPath,
-          diffScreenshotPath
+      console.log(
+        chalk.green(
+          `Checked ${pageResult.checked} URLs (${pageResult.skipped.length} skipped by deny patterns).`
+        )
+      );
+      for (const resource of pageResult.redirected) {
+        console.log(
+          chalk.yellow(
+            `Redirect: ${[...resource.redirects.map((r) => `${r.url} (${r.status})`), resource.finalUrl].join(" -> ")}`
+          )
+        );
+      }
+      for (const resource of pageResult.broken) {
+        console.log(
+          chalk.red(
+            `Broken ${resource.types.join("/")}: ${resource.url} ${
+              resource.status ? `Status Code: ${resource.status}` : `Error: ${resource.error}`
+            }`
+          )
         );
-
-        results.push({ pagePath, similarityPercentage: similarity });
-      } catch (error) {
-        results.push({
-          pagePath,
-          similarityPercentage: "Error",
-          error: error.message,
-        });
       }
     }
 
-    generateHtmlReport(results, deviceName);
-    await context.close();
-  });
+    saveLinkCheckArchive(testInfo.testId);
+    await reportPageErrors(testInfo, pageErrors);
+    fs.writeFileSync(LINK_CHECK_RESULTS_PATH, JSON.stringify(pageResults, null, 2));
+    console.log(chalk.green(`Link check results saved: ${LINK_CHECK_RESULTS_PATH}`));
 
-  test("Verify broken image links automatically on staging pages from config.js", async ({
-    page,
-  }) => {
-    const stagingUrls = config.staging.urls.map(
-      (url) => `${config.staging.baseUrl}${url}`
+    const failures = pageResults.flatMap((pageResult) =>
+      getFailingResources(pageResult).map(
+        (resource) => `${pageResult.pageUrl}: ${resource.severity} ${resource.url} (${resource.status || resource.error})`
+      )
     );
+    if (failures.length > 0) {
+      throw new Error(
+        `Found ${failures.length} failing resources:\n${failures.join("\n")}`
+      );
+    }
+  });
 
-    for (const url of stagingUrls) {
-      console.log(chalk.blue(`Navigating to: ${url}`));
-      await page.goto(url, { waitUntil: "domcontentloaded" });
-      console.log(chalk.green(`Page loaded successfully: ${url}`));
-
-      console.log(chalk.blue("Finding all image elements on the page..."));
-      const images = await page.locator("img");
-      const imageCount = await images.count();
-      console.log(chalk.green(`Found ${imageCount} images on the page.`));
-
-      let brokenImages = 0;
-
-      for (let i = 0; i < imageCount; i++) {
-        let imageUrl = await images.nth(i).getAttribute("src");
-
-        if (!imageUrl) {
-          console.log(
-            chalk.yellow(`Image ${i + 1} does not have a valid src attribute.`)
-          );
-          brokenImages++;
-          continue;
-        }
-
-        // Handle relative and protocol-relative URLs
-        if (!imageUrl.startsWith("http") && !imageUrl.startsWith("//")) {
-          imageUrl = new URL(imageUrl, url).toString();
-        } else if (imageUrl.startsWith("//")) {
-          imageUrl = `https:${imageUrl}`;
-        }
-
-        // Exclude known tracking pixels or problematic URLs
-        if (
-          imageUrl.includes("bat.bing.com") ||
-          imageUrl.includes("tracking")
-        ) {
-          console.log(
-            chalk.yellow(
-              `Image ${i + 1} is a tracking pixel or excluded URL: ${imageUrl}`
-            )
-          );
-          continue;
-        }
+  test("Audit SEO metadata parity across environments", async ({ page }, testInfo) => {
+    skipOutsideAuditProject(testInfo);
+    test.skip(
+      getNetworkMode() === "replay",
+      "HAR replay only covers the comparisons, link and HTTP checks and forms"
+    );
+    const pages = getSelectedPages();
+    const environmentNames = getComparisonEnvironments();
+    test.setTimeout(pages.length * environmentNames.length * 30000);
+
+    const pageResults = [];
+    for (const pageConfig of pages) {
+      const pageResult = {
+        path: pageConfig.path,
+        environments: {},
+        differences: [],
+        violations: [],
+      };
 
+      for (const environmentName of environmentNames) {
+        console.log(
+          chalk.blue(`Auditing metadata of ${pageConfig.path} on ${environmentName}...`)
+        );
         try {
-          console.log(chalk.blue(`Checking image ${i + 1}: ${imageUrl}`));
-          const response = await axios.get(imageUrl);
-
-          if (response.status !== 200) {
-            console.log(
-              chalk.red(
-                `Image ${i + 1} failed to load. Status Code: ${response.status}`
-              )
-            );
-            brokenImages++;
-          } else {
-            console.log(chalk.green(`Image ${i + 1} loaded successfully.`));
-          }
+          const metadata = await auditPage(page, environmentName, pageConfig.path);
+          pageResult.environments[environmentName] = metadata;
+          pageResult.violations.push(...checkPageRules(metadata, environmentName));
         } catch (error) {
-          console.log(
-            chalk.red(`Image ${i + 1} failed to load. Error: ${error.message}`)
-          );
-          brokenImages++;
+          pageResult.violations.push({
+            rule: "unreachable",
+            severity: "error",
+            environment: environmentName,
+            message: error.message,
+          });
         }
       }
 
-      if (brokenImages > 0) {
-        console.log(
-          chalk.red(
-            `Test failed for ${url}. Found ${brokenImages} broken images on the page.`
-          )
-        );
-      } else {
-        console.log(
-          chalk.green(
-            `Test passed for ${url}. No broken images found on the page.`
-          )
+      for (const comparison of config.comparisons) {
+        const current = pageResult.environments[comparison.current];
+        const reference = pageResult.environments[comparison.reference];
+        if (!current || !reference) {
+          continue;
+        }
+        pageResult.differences.push(
+          ...diffMetadata(
+            reference,
+            current,
+            config.environments[comparison.reference].baseUrl,
+            config.environments[comparison.current].baseUrl
+          ).map((difference) => ({ comparison: comparison.name, ...difference }))
         );
       }
+      pageResults.push(pageResult);
     }
-  });
 
-  test("Fill out the form one field at a time and submit (Staging Only)", async ({ browser }) => {
-    const context = await browser.newContext();
-    const page = await context.newPage();
-  
-    try {
-      // Navigate to the staging form page
-      const formPageUrl = `${config.staging.baseUrl}${config.staging.urls[0]}`;
-      console.log(chalk.blue(`Navigating to the staging form page: ${formPageUrl}`));
-  
-      await page.goto(formPageUrl, { waitUntil: "domcontentloaded" });
-      console.log(chalk.green("Page loaded successfully on staging."));
-  
-      // Click the "Request Info" button to display the form
-      console.log(chalk.blue("Clicking 'Request Info' button..."));
-      await page.click("button.request-info-popup");
-      console.log(chalk.green("Form popup displayed successfully."));
-  
-      console.log(chalk.blue("Blocking unnecessary resources on staging..."));
-      await page.route("**/*", (route) => {
-        const url = route.request().url();
-        if (
-          url.endsWith(".png") ||
-          url.endsWith(".jpg") ||
-          url.endsWith(".css") ||
-          url.endsWith(".js")
-        ) {
-          route.abort();
-        } else {
-          route.continue();
-        }
-      });
-      console.log(chalk.green("Unnecessary resources blocked."));
-  
-      // Fill out the form fields
-      console.log(chalk.blue("Filling out the form..."));
-      await page.selectOption("#input_6_1", { value: "AVILA-M-MBAFIN" }); // Select "MBA with a concentration in Finance"
-      const firstName = `John${Date.now()}`;
-      await page.fill("#input_6_2", firstName); // First Name
-      console.log(chalk.green(`Filled 'First Name' with: ${firstName}`));
-      await page.fill("#input_6_3", "Doe"); // Last Name
-      console.log(chalk.green("Filled 'Last Name' with: Doe"));
-      const email = `johndoe${Date.now()}@example.com`;
-      await page.fill("#input_6_6", email); // Email
-      console.log(chalk.green(`Filled 'Email' with: ${email}`));
-      await page.fill("#input_6_4", "5551234567"); // Phone
-      console.log(chalk.green("Filled 'Phone' with: 5551234567"));
-      await page.fill("#input_6_5", "12345"); // ZIP Code
-      console.log(chalk.green("Filled 'ZIP Code' with: 12345"));
-      await page.selectOption("#input_6_7", { value: "Email" }); // Select "How did you hear about us?" as "Email"
-      console.log(chalk.green("Filled 'How did you hear about us?' with: Email"));
-  
-      // Submit the form
-      console.log(chalk.blue("Submitting the form..."));
-      await Promise.all([
-        page.waitForNavigation({ waitUntil: "domcontentloaded" }),
-        page.click("#gform_submit_button_6"),
-      ]);
-      console.log(chalk.green("Form submitted successfully on staging."));
-  
-      // Wait for confirmation page
-      const confirmationUrl = page.url();
-      console.log(chalk.blue(`Current URL after submission: ${confirmationUrl}`));
-      if (!confirmationUrl.includes("/confirmation/")) {
-        console.error(chalk.red("Did not navigate to the expected confirmation URL."));
-        throw new Error("Confirmation URL mismatch.");
-      }
-  
-      // Verify confirmation message
-      console.log(chalk.blue("Waiting for confirmation message..."));
-      await page.waitForSelector(".elementor-widget-container h1.header2", {
-        timeout: 20000,
-      });
-      const confirmationText = await page.textContent(
-        ".elementor-widget-container h1.header2"
+    const siteViolations = environmentNames.flatMap((environmentName) =>
+      checkDuplicates(pageResults, environmentName)
+    );
+    await attachResults(testInfo, path.basename(SEO_RESULTS_PATH), SEO_RESULTS_PATH, {
+      generatedAt: new Date().toISOString(),
+      pages: pageResults,
+      siteViolations,
+    });
+
+    const failures = getFailingViolations([
+      ...pageResults.flatMap((pageResult) =>
+        pageResult.violations.map((item) => ({ ...item, path: pageResult.path }))
+      ),
+      ...siteViolations,
+    ]).map(
+      (item) =>
+        `${item.path ? `${item.path} ` : ""}[${item.environment}] ${item.rule}: ${item.message}`
+    );
+    if (failures.length > 0) {
+      throw new Error(
+        `Found ${failures.length} SEO problems:\n${failures.join("\n")}`
       );
+    }
+  });
+
+  test("Check HTTP status, redirect and header parity across environments", async ({}, testInfo) => {
+    skipOutsideAuditProject(testInfo);
+    const pages = getSelectedPages();
+    const redirectMap = loadRedirectMap();
+    const environmentNames = getComparisonEnvironments();
+    test.setTimeout((pages.length * 3 + redirectMap.length) * environmentNames.length * 30000);
+
+    const pageResults = [];
+    for (const pageConfig of pages) {
+      const pageResult = {
+        path: pageConfig.path,
+        environments: {},
+        mismatches: [],
+        violations: [],
+      };
 
-      const normalizedText = confirmationText.trim().replace(/\s+/g, " ").toLowerCase();
-      const expectedText = "Thanks for your submission!".toLowerCase();
-  
-      if (normalizedText === expectedText) {
+      for (const environmentName of environmentNames) {
         console.log(
-          chalk.green(
-            "Form submitted successfully and confirmation message displayed on staging."
-          )
+          chalk.blue(`Requesting ${pageConfig.path} on ${environmentName}...`)
         );
-      } else {
-        console.error(
-          chalk.red(
-            `Confirmation message mismatch. Found: "${confirmationText.trim()}"`
-          )
+        const responses = await auditResponses(environmentName, pageConfig.path);
+        pageResult.environments[environmentName] = responses;
+        pageResult.violations.push(...checkResponseRules(responses, environmentName));
+      }
+
+      for (const comparison of config.comparisons) {
+        pageResult.mismatches.push(
+          ...diffResponses(
+            pageResult.environments[comparison.reference],
+            pageResult.environments[comparison.current],
+            config.environments[comparison.reference].baseUrl,
+            config.environments[comparison.current].baseUrl
+          ).map((mismatch) => ({ comparison: comparison.name, ...mismatch }))
         );
-        throw new Error("Confirmation message mismatch.");
       }
-    } catch (error) {
-      console.error(chalk.red(`Error during test: ${error.message}`));
-    } finally {
-      await context.close();
+      pageResults.push(pageResult);
     }
-  });
-  
-
-  test("Click Apply Now, fill out the form, and submit", async ({ page }) => {
-    const homePageUrl = "https://live-web-online-avila.pantheonsite.io/";
-    const formPageUrl = "https://live-web-online-avila.pantheonsite.io/apply/";
-    const formSelectors = {
-      applyNowButton: "#mega-menu-item-7370 a.mega-menu-link",
-      programOfInterest: "#input_1_1",
-      firstName: "#input_1_2",
-      lastName: "#input_1_3",
-      email: "#input_1_4",
-      phone: "#input_1_5",
-      zipCode: "#input_1_6",
-      deliveryMethod: "#input_1_7",
-      submitButton: "#gform_submit_button_1",
-      confirmationMessage: ".elementor-element-375b1cc6 h1.header2.mb",
-    };
 
-    try {
-      // Navigate to the homepage
-      console.log(chalk.blue(`Navigating to the home page: ${homePageUrl}`));
-      await page.goto(homePageUrl, { waitUntil: "domcontentloaded" });
-      console.log(chalk.green("Homepage loaded successfully."));
+    const redirectResults = [];
+    for (const entry of redirectMap) {
+      const redirectResult = { ...entry, environments: {}, violations: [] };
+      for (const environmentName of environmentNames) {
+        const response = await fetchChain(getPageUrl(environmentName, entry.from));
+        redirectResult.environments[environmentName] = response;
+        redirectResult.violations.push(...checkRedirect(response, entry, environmentName));
+      }
+      redirectResults.push(redirectResult);
+    }
 
-      // Click on the "Apply Now" button
-      console.log(chalk.blue("Clicking on the 'Apply Now' button..."));
-      await page.click(formSelectors.applyNowButton);
+    saveLinkCheckArchive(testInfo.testId);
+    await attachResults(testInfo, path.basename(HTTP_RESULTS_PATH), HTTP_RESULTS_PATH, {
+      generatedAt: new Date().toISOString(),
+      pages: pageResults,
+      redirects: redirectResults,
+    });
 
-      // Wait for the form page to load
-      console.log(
-        chalk.blue(`Waiting for navigation to the form page: ${formPageUrl}`)
+    const failures = [
+      ...pageResults.flatMap((pageResult) => [
+        ...getFailingProblems(pageResult.mismatches).map(
+          (item) =>
+            `${pageResult.path} [${item.comparison}] ${item.rule} (${item.check} ${item.field}): ${item.reference} → ${item.current}`
+        ),
+        ...getFailingProblems(pageResult.violations).map(
+          (item) => `${pageResult.path} [${item.environment}] ${item.rule}: ${item.message}`
+        ),
+      ]),
+      ...redirectResults.flatMap((redirectResult) =>
+        getFailingProblems(redirectResult.violations).map(
+          (item) => `${redirectResult.from} [${item.environment}] ${item.rule}: ${item.message}`
+        )
+      ),
+    ];
+    if (failures.length > 0) {
+      throw new Error(
+        `Found ${failures.length} HTTP problems:\n${failures.join("\n")}`
       );
-      await page.waitForURL(formPageUrl, { timeout: 10000 });
-      console.log(chalk.green("Navigated to the Apply Now form page."));
-
-      // Fill out the form fields
-      const testData = {
-        program: "AVILA-M-MBAFIN", // Example program value: MBA with a concentration in Finance
-        firstName: "Jane",
-        lastName: "Doe",
-        email: `janedoe${Date.now()}@example.com`, // Unique email for testing
-        phone: "5551234567",
-        zipCode: "67890",
-        deliveryMethod: "Online",
-      };
+    }
+  });
 
-      console.log(chalk.blue("Filling out the Apply Now form fields..."));
-      await page.selectOption(formSelectors.programOfInterest, {
-        value: testData.program,
-      });
-      console.log(chalk.green(`Selected program: ${testData.program}`));
+  test("Audit accessibility and fail on new violations", async ({ page }, testInfo) => {
+    skipOutsideAuditProject(testInfo);
+    test.skip(
+      getNetworkMode() === "replay",
+      "HAR replay only covers the comparisons, link and HTTP checks and forms"
+    );
+    const scans = getScans(getSelectedPages());
+    const environmentNames = getComparisonEnvironments();
+    test.setTimeout(scans.length * environmentNames.length * 60000);
+    const baseline = loadAccessibilityBaseline();
+
+    const scanResults = [];
+    for (const scan of scans) {
+      const scanResult = { ...scan, environments: {}, errors: {}, comparisons: [] };
+      for (const environmentName of environmentNames) {
+        console.log(chalk.blue(`Scanning ${scan.id} on ${environmentName}...`));
+        try {
+          scanResult.environments[environmentName] = await runScan(
+            page,
+            scan,
+            environmentName
+          );
+        } catch (error) {
+          scanResult.errors[environmentName] = error.message;
+        }
+      }
+      for (const comparison of config.comparisons) {
+        if (scanResult.environments[comparison.current]) {
+          scanResult.comparisons.push(compareViolations(scanResult, comparison, baseline));
+        }
+      }
+      scanResults.push(scanResult);
+    }
 
-      await page.fill(formSelectors.firstName, testData.firstName);
-      console.log(chalk.green(`Filled First Name: ${testData.firstName}`));
+    await attachResults(testInfo, path.basename(ACCESSIBILITY_RESULTS_PATH), ACCESSIBILITY_RESULTS_PATH, {
+      generatedAt: new Date().toISOString(),
+      scans: scanResults,
+    });
 
-      await page.fill(formSelectors.lastName, testData.lastName);
-      console.log(chalk.green(`Filled Last Name: ${testData.lastName}`));
+    const failures = scanResults.flatMap((scanResult) => [
+      ...Object.entries(scanResult.errors).map(
+        ([environmentName, message]) => `${scanResult.id} [${environmentName}] scan failed: ${message}`
+      ),
+      ...scanResult.comparisons.flatMap((comparisonResult) =>
+        getFailingAccessibilityViolations(comparisonResult).map(
+          (violation) =>
+            `${scanResult.id} [${comparisonResult.current}] ${violation.impact} ${violation.rule}: ${violation.target}`
+        )
+      ),
+    ]);
+    if (failures.length > 0) {
+      throw new Error(
+        `Found ${failures.length} new accessibility violations:\n${failures.join("\n")}`
+      );
+    }
+  });
 
-      await page.fill(formSelectors.email, testData.email);
-      console.log(chalk.green(`Filled Email: ${testData.email}`));
+  // One test per form described in forms.js
+  for (const [formId, form] of Object.entries(forms)) {
+    test(`Fill out and submit the ${form.name} form (${formId})`, async ({
+      context,
+      page,
+      browserName,
+    }, testInfo) => {
+      skipOutsideAuditProject(testInfo);
+      // The project's own context, with its default device
+      const network = await routeNetwork(context, {
+        kind: "form",
+        browserName,
+        deviceName: "default",
+        environmentName: config.targetEnvironment,
+        pagePath: form.page,
+      });
+      await runForm(page, form, config.targetEnvironment);
+      reportMissingEntries(network, `${form.name} form`);
+    });
+  }
 
-      await page.fill(formSelectors.phone, testData.phone);
-      console.log(chalk.green(`Filled Phone: ${testData.phone}`));
+  test("Verify mega menu links and staging/prod menu parity", async ({ page }, testInfo) => {
+    skipOutsideAuditProject(testInfo);
+    test.skip(
+      getNetworkMode() === "replay",
+      "HAR replay only covers the comparisons, link and HTTP checks and forms"
+    );
+    const pages = getSelectedPages();
+    test.setTimeout((config.comparisons.length + pages.length) * 60000);
+    const problems = [];
+    const menuResults = [];
+
+    // Menu tree of an environment, read from the configured menu page
+    const readMenu = async (environmentName, pagePath = config.menu.page) => {
+      const pageUrl = getPageUrl(environmentName, pagePath);
+      console.log(chalk.blue(`Reading the mega menu on: ${pageUrl}`));
+      await page.goto(pageUrl, { waitUntil: "domcontentloaded" });
+      return extractMenuTree(page);
+    };
 
-      await page.fill(formSelectors.zipCode, testData.zipCode);
-      console.log(chalk.green(`Filled ZIP Code: ${testData.zipCode}`));
+    for (const comparison of config.comparisons) {
+      const { current, reference } = comparison;
+      const currentTree = await readMenu(current);
+      const referenceTree = await readMenu(reference);
+      if (!currentTree || currentTree.length === 0) {
+        problems.push(`${current}: mega menu not found on ${config.menu.page}`);
+        continue;
+      }
+      if (!referenceTree || referenceTree.length === 0) {
+        problems.push(`${reference}: mega menu not found on ${config.menu.page}`);
+        continue;
+      }
 
-      await page.selectOption(formSelectors.deliveryMethod, {
-        value: testData.deliveryMethod,
-      });
+      const currentBase = config.environments[current].baseUrl;
+      const links = await checkMenuLinks(currentTree, currentBase);
+      const changes = [
+        ...links
+          .filter((link) => !link.ok)
+          .map((link) => ({
+            type: "broken",
+            path: link.path,
+            to: link.url || link.href || "",
+            status: link.status,
+            error: link.error,
+          })),
+        ...diffMenuTrees(
+          referenceTree,
+          currentTree,
+          config.environments[reference].baseUrl,
+          currentBase
+        ),
+      ];
       console.log(
-        chalk.green(`Selected Delivery Method: ${testData.deliveryMethod}`)
-      );
-
-      console.log(chalk.green("Form fields filled successfully."));
-
-      // Submit the form and wait for navigation to the confirmation page
-      console.log(chalk.blue("Submitting the Apply Now form..."));
-      await Promise.all([
-        page.waitForSelector(formSelectors.confirmationMessage, {
-          timeout: 30000,
-        }),
-        page.click(formSelectors.submitButton),
-      ]);
-      console.log(chalk.green("Form submitted successfully."));
-
-      // Wait for the confirmation message
-      console.log(chalk.blue("Verifying confirmation message..."));
-      const confirmationText = await page.textContent(
-        formSelectors.confirmationMessage
+        chalk.green(
+          `${comparison.name}: ${flattenMenuTree(currentTree).length} menu entries, ${links.length} links checked, ${changes.length} changes.`
+        )
       );
 
-      // Verify the confirmation message
-      console.log(
-        chalk.blue(`Confirmation message found: "${confirmationText.trim()}"`)
-      );
-      if (
-        confirmationText.trim() ===
-        "Great! Now, take the next step to complete your application."
-      ) {
-        console.log(
-          chalk.green("Confirmation message matches expected value.")
-        );
-      } else {
-        console.log(
-          chalk.red(
-            "Confirmation message text did not match the expected value."
-          )
-        );
+      for (const change of changes) {
+        const fails = config.menu.failOn.includes(change.type);
+        const detail = [change.from, change.to].filter((value) => value !== undefined).join(" -> ");
+        const reason = change.error || (change.status ? `HTTP ${change.status}` : "");
+        const message = `${comparison.name}: ${change.type} '${change.path}' ${detail} ${reason}`.trim();
+        console.log(fails ? chalk.red(message) : chalk.yellow(message));
+        if (fails) {
+          problems.push(message);
+        }
       }
-    } catch (error) {
-      console.error(chalk.red(`Test failed: ${error.message}`));
+      menuResults.push({
+        comparison: comparison.name,
+        current,
+        reference,
+        currentTree,
+        referenceTree,
+        links,
+        changes,
+      });
     }
-  });
-
-  test("Verify Online Programs and Getting Started Menus - Avila", async ({
-    page,
-  }) => {
-    const verifyMenu = async (
-      menuName,
-      menuSelector,
-      submenuSelector,
-      linksSelector
-    ) => {
-      console.log(chalk.blue(`Locating the '${menuName}' menu...`));
-
-      // Locate the menu element
-      const menuElement = await page.locator(menuSelector);
-      if (!(await menuElement.isVisible())) {
-        throw new Error(`The '${menuName}' menu is not visible.`);
-      }
-      console.log(chalk.green(`The '${menuName}' menu is visible.`));
-
-      // Hover over the menu to display submenus
-      console.log(chalk.blue(`Hovering over the '${menuName}' menu...`));
-      await menuElement.hover();
+    await attachResults(testInfo, path.basename(MENU_RESULTS_PATH), MENU_RESULTS_PATH, {
+      generatedAt: new Date().toISOString(),
+      comparisons: menuResults,
+    });
 
-      // Locate submenus
-      const submenus = await page.locator(submenuSelector);
-      const submenuCount = await submenus.count();
-      if (submenuCount === 0) {
-        throw new Error(`No submenus found for '${menuName}' menu.`);
+    // The mega menu is site-wide, so check it renders on every page
+    for (const pageConfig of pages) {
+      const tree = await readMenu(config.targetEnvironment, pageConfig.path);
+      if (!tree || tree.length === 0) {
+        problems.push(`${config.targetEnvironment}: mega menu not found on ${pageConfig.path}`);
       }
-      console.log(
-        chalk.green(`Found ${submenuCount} submenus in the '${menuName}' menu.`)
-      );
+    }
 
-      // Locate links in the submenus
-      const links = await page.locator(linksSelector);
-      const linkCount = await links.count();
-      if (linkCount === 0) {
-        throw new Error(`No links found in the '${menuName}' menu.`);
-      }
-      console.log(
-        chalk.green(`Found ${linkCount} links in the '${menuName}' menu.`)
+    if (problems.length > 0) {
+      throw new Error(
+        `Found ${problems.length} mega menu problems:\n${problems.join("\n")}`
       );
+    }
+  });
 
-      // Verify each link
-      let invalidLinks = 0;
-      for (let i = 0; i < linkCount; i++) {
-        const linkText = await links.nth(i).textContent();
-        const linkHref = await links.nth(i).getAttribute("href");
-        console.log(
-          chalk.blue(
-            `Checking link ${i + 1} in '${menuName}' menu: ${linkText}`
-          )
-        );
-
-        if (!linkHref || linkHref.trim() === "") {
-          console.log(
-            chalk.yellow(
-              `Warning: Link '${linkText}' in '${menuName}' menu does not have a valid href attribute.`
-            )
-          );
-          invalidLinks++;
-        } else {
-          console.log(
-            chalk.green(
-              `Link '${linkText}' in '${menuName}' menu is valid with href: ${linkHref}`
-            )
-          );
+  test("Check program catalog parity across forms, menu and environments", async ({ page }, testInfo) => {
+    skipOutsideAuditProject(testInfo);
+    test.skip(
+      getNetworkMode() === "replay",
+      "HAR replay only covers the comparisons, link and HTTP checks and forms"
+    );
+    const catalogForms = getCatalogForms();
+    const catalog = loadExpectedCatalog();
+    const environmentNames = getComparisonEnvironments();
+    test.setTimeout(environmentNames.length * (catalogForms.length + 1) * 60000);
+    const menuSource = `${config.catalog.menuSection} menu`;
+
+    const environments = {};
+    const indexed = {};
+    const mismatches = [];
+    for (const environmentName of environmentNames) {
+      const sources = {};
+      const errors = {};
+      for (const { form, field } of catalogForms) {
+        console.log(chalk.blue(`Reading programs from the ${form.name} form on ${environmentName}...`));
+        try {
+          sources[form.name] = await extractFormPrograms(page, form, field, environmentName);
+        } catch (error) {
+          errors[form.name] = error.message;
         }
       }
-
-      console.log(
-        chalk.green(
-          `All checks complete for '${menuName}' menu. Found ${invalidLinks} invalid links.`
+      console.log(chalk.blue(`Reading programs from the ${menuSource} on ${environmentName}...`));
+      try {
+        sources[menuSource] = await extractMenuPrograms(page, environmentName);
+      } catch (error) {
+        errors[menuSource] = error.message;
+      }
+      for (const [source, message] of Object.entries(errors)) {
+        mismatches.push({
+          type: "unreadable",
+          environment: environmentName,
+          message: `${environmentName}: could not read ${source}: ${message}`,
+        });
+      }
+      indexed[environmentName] = indexSources(sources, catalog);
+      environments[environmentName] = {
+        sources,
+        errors,
+        programs: listPrograms(indexed[environmentName]),
+      };
+      mismatches.push(...checkSources(indexed[environmentName], environmentName, catalog));
+    }
+    for (const comparison of config.comparisons) {
+      mismatches.push(
+        ...diffEnvironments(
+          indexed[comparison.reference],
+          indexed[comparison.current],
+          comparison
         )
       );
+    }
 
-      if (invalidLinks > 0) {
-        console.log(
-          chalk.yellow(
-            `Test completed with ${invalidLinks} warnings for invalid links in the '${menuName}' menu.`
-          )
-        );
-      } else {
-        console.log(
-          chalk.green(`All links in the '${menuName}' menu are valid.`)
-        );
-      }
-    };
-
-    const homePageUrl = "https://live-web-online-avila.pantheonsite.io/";
-    console.log(chalk.blue("Navigating to the Avila homepage..."));
-    await page.goto(homePageUrl, { waitUntil: "domcontentloaded" });
-    console.log(chalk.green("Homepage loaded successfully."));
-
-    // Verify the "Online Programs" menu
-    await verifyMenu(
-      "Online Programs",
-      "#mega-menu-item-7306 > a.mega-menu-link",
-      "#mega-menu-item-7306 ul.mega-sub-menu",
-      "#mega-menu-item-7306 ul.mega-sub-menu a.mega-menu-link"
-    );
+    await attachResults(testInfo, path.basename(CATALOG_RESULTS_PATH), CATALOG_RESULTS_PATH, {
+      generatedAt: new Date().toISOString(),
+      expected: config.catalog.expected,
+      sources: [...catalogForms.map(({ form }) => form.name), menuSource],
+      environments,
+      mismatches,
+    });
 
-    // Verify the "Getting Started" menu
-    await verifyMenu(
-      "Getting Started",
-      "#mega-menu-item-7361 > a.mega-menu-link",
-      "#mega-menu-item-7361 ul.mega-sub-menu",
-      "#mega-menu-item-7361 ul.mega-sub-menu a.mega-menu-link"
-    );
+    if (mismatches.length > 0) {
+      throw new Error(
+        `Found ${mismatches.length} program catalog mismatches:\n${mismatches
+          .map((mismatch) => mismatch.message)
+          .join("\n")}`
+      );
+    }
   });
 });
@@ -0,0 +1,145 @@
+const fs = require("fs");
+const path = require("path");
+const { default: AxeBuilder } = require("@axe-core/playwright");
+const { config, getPageUrl } = require("./config");
+const { ensureDirectoryExistence } = require("./screenshots");
+const { BASELINE_DIR } = require("./baseline");
+const { forms, openForm } = require("./forms");
+
+// Where the accessibility audit writes its results for the report
+const ACCESSIBILITY_RESULTS_PATH = "accessibility_results.json";
+// Accepted violation keys per scan, for `compareTo: "baseline"`
+const ACCESSIBILITY_BASELINE_PATH = path.join(BASELINE_DIR, "accessibility.json");
+
+// Every scan to run: each selected page, then each configured form opened
+function getScans(pages) {
+  const scans = pages.map((page) => ({ id: page.path, path: page.path }));
+  for (const formId of config.accessibility.forms) {
+    const form = forms[formId];
+    if (!form) {
+      throw new Error(
+        `accessibility.forms: '${formId}' is not a form in forms.js (${Object.keys(forms).join(", ")}).`
+      );
+    }
+    scans.push({ id: `${form.page} (${form.name} open)`, path: form.page, formId });
+  }
+  return scans;
+}
+
+// Run axe-core on the loaded page, returning one entry per violating node
+// keyed by rule and target
+async function analyzePage(page) {
+  let builder = new AxeBuilder({ page }).withTags(config.accessibility.tags);
+  for (const selector of config.accessibility.exclude) {
+    builder = builder.exclude(selector);
+  }
+  const { violations } = await builder.analyze();
+
+  return violations.flatMap((violation) =>
+    violation.nodes.map((node) => {
+      const target = node.target.flat().join(" >>> ");
+      return {
+        key: `${violation.id}|${target}`,
+        rule: violation.id,
+        impact: node.impact || violation.impact,
+        help: violation.help,
+        helpUrl: violation.helpUrl,
+        target,
+        html: node.html,
+      };
+    })
+  );
+}
+
+// Open a scan's page (and form) on an environment and analyze it. Forms are
+// opened in a page of their own, as opening one may block resources.
+async function runScan(page, scan, environmentName) {
+  if (!scan.formId) {
+    await page.goto(getPageUrl(environmentName, scan.path), { waitUntil: "load" });
+    return analyzePage(page);
+  }
+
+  const formPage = await page.context().newPage();
+  try {
+    await openForm(formPage, forms[scan.formId], environmentName);
+    return await analyzePage(formPage);
+  } finally {
+    await formPage.close();
+  }
+}
+
+// Accepted baseline, keyed by scan id
+function loadAccessibilityBaseline() {
+  if (!fs.existsSync(ACCESSIBILITY_BASELINE_PATH)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(ACCESSIBILITY_BASELINE_PATH, "utf8"));
+}
+
+// Accept an environment's violations from the last audit as the baseline
+function acceptAccessibilityBaseline({ source, approvedBy }) {
+  if (!fs.existsSync(ACCESSIBILITY_RESULTS_PATH)) {
+    throw new Error(`No ${ACCESSIBILITY_RESULTS_PATH}. Run the accessibility audit first.`);
+  }
+  const { scans } = JSON.parse(fs.readFileSync(ACCESSIBILITY_RESULTS_PATH, "utf8"));
+  const baseline = loadAccessibilityBaseline();
+  const approvedAt = new Date().toISOString();
+  let accepted = 0;
+
+  for (const scan of scans) {
+    const violations = scan.environments[source];
+    if (!violations) {
+      continue;
+    }
+    baseline[scan.id] = {
+      source,
+      approvedBy,
+      approvedAt,
+      keys: [...new Set(violations.map((violation) => violation.key))].sort(),
+    };
+    accepted++;
+  }
+
+  ensureDirectoryExistence(ACCESSIBILITY_BASELINE_PATH);
+  fs.writeFileSync(ACCESSIBILITY_BASELINE_PATH, JSON.stringify(baseline, null, 2) + "\n");
+  return accepted;
+}
+
+// Compare the current environment's violations with the reference
+// environment's, or with the accepted baseline when configured and present
+function compareViolations(scan, comparison, baseline) {
+  const accepted = config.accessibility.compareTo === "baseline" && baseline[scan.id];
+  const known = new Set(
+    accepted
+      ? accepted.keys
+      : (scan.environments[comparison.reference] || []).map((violation) => violation.key)
+  );
+  const current = scan.environments[comparison.current] || [];
+
+  return {
+    comparison: comparison.name,
+    current: comparison.current,
+    comparedAgainst: accepted ? "baseline" : comparison.reference,
+    newViolations: current.filter((violation) => !known.has(violation.key)),
+    existingViolations: current.filter((violation) => known.has(violation.key)),
+  };
+}
+
+// New violations at an impact configured to fail the run
+function getFailingViolations(comparisonResult) {
+  return comparisonResult.newViolations.filter((violation) =>
+    config.accessibility.failOn.includes(violation.impact)
+  );
+}
+
+module.exports = {
+  ACCESSIBILITY_RESULTS_PATH,
+  ACCESSIBILITY_BASELINE_PATH,
+  getScans,
+  analyzePage,
+  runScan,
+  loadAccessibilityBaseline,
+  acceptAccessibilityBaseline,
+  compareViolations,
+  getFailingViolations,
+};
@@ -0,0 +1,117 @@
+// Row alignment for full-page captures of different heights. Each pixel row is
+// hashed, and the two row sequences are walked together; where they stop
+// matching, a small search decides whether rows were changed in place or a
+// vertical block was inserted or removed, so content below a new banner is
+// still compared against its counterpart instead of the pixels it displaced.
+
+// Hash each pixel row up to `width`, quantising channels so anti-aliasing
+// noise does not break an otherwise identical row. Uniform rows (blank
+// space) are flagged because they match anywhere and cannot anchor a shift.
+function hashRows(png, width) {
+  const hashes = new Uint32Array(png.height);
+  const uniform = new Uint8Array(png.height);
+
+  for (let y = 0; y < png.height; y++) {
+    const rowStart = y * png.width * 4;
+    let hash = 2166136261;
+    let isUniform = true;
+
+    for (let x = 0; x < width; x++) {
+      const offset = rowStart + x * 4;
+      for (let channel = 0; channel < 3; channel++) {
+        const value = png.data[offset + channel] >> 3;
+        hash = Math.imul(hash ^ value, 16777619);
+        if (isUniform && value !== png.data[rowStart + channel] >> 3) {
+          isUniform = false;
+        }
+      }
+    }
+
+    hashes[y] = hash >>> 0;
+    uniform[y] = isUniform ? 1 : 0;
+  }
+
+  return { hashes, uniform };
+}
+
+// Align the rows of two images. Returns the paired rows that should be
+// pixel-compared and the blocks that exist in only one image: `removed`
+// blocks are in the baseline (a) only, `inserted` blocks in the current (b).
+function alignRows(a, b, options = {}) {
+  const windowSize = options.windowSize || 24;
+  const maxShift = options.maxShift || 2000;
+  const heightA = a.hashes.length;
+  const heightB = b.hashes.length;
+
+  // Whether `windowSize` rows match from the given rows on, with enough
+  // non-blank rows to be a meaningful anchor
+  const windowMatches = (rowA, rowB) => {
+    if (rowA + windowSize > heightA || rowB + windowSize > heightB) {
+      return false;
+    }
+    let contentRows = 0;
+    for (let k = 0; k < windowSize; k++) {
+      if (a.hashes[rowA + k] !== b.hashes[rowB + k]) {
+        return false;
+      }
+      contentRows += a.uniform[rowA + k] ? 0 : 1;
+    }
+    return contentRows >= windowSize / 4;
+  };
+
+  const pairs = [];
+  const blocks = [];
+  let rowA = 0;
+  let rowB = 0;
+
+  while (rowA < heightA && rowB < heightB) {
+    if (a.hashes[rowA] === b.hashes[rowB]) {
+      pairs.push([rowA, rowB]);
+      rowA++;
+      rowB++;
+      continue;
+    }
+
+    // Find the nearest point where the images line up again, preferring an
+    // in-place change over a shift at the same distance
+    let resync = null;
+    for (let shift = 1; shift <= maxShift && !resync; shift++) {
+      if (windowMatches(rowA + shift, rowB + shift)) {
+        resync = { type: "changed", height: shift };
+      } else if (windowMatches(rowA + shift, rowB)) {
+        resync = { type: "removed", height: shift };
+      } else if (windowMatches(rowA, rowB + shift)) {
+        resync = { type: "inserted", height: shift };
+      }
+    }
+
+    if (!resync || resync.type === "changed") {
+      // Rows changed in place (or nothing lines up again): compare them as is
+      const height = resync ? resync.height : 1;
+      for (let k = 0; k < height && rowA < heightA && rowB < heightB; k++) {
+        pairs.push([rowA++, rowB++]);
+      }
+    } else if (resync.type === "removed") {
+      blocks.push({ type: "removed", y: rowA, atY: rowB, height: resync.height });
+      rowA += resync.height;
+    } else {
+      blocks.push({ type: "inserted", y: rowB, height: resync.height });
+      rowB += resync.height;
+    }
+  }
+
+  // Whatever is left at the bottom of the longer page exists in only one image
+  if (rowA < heightA) {
+    blocks.push({ type: "removed", y: rowA, atY: rowB, height: heightA - rowA });
+  }
+  if (rowB < heightB) {
+    blocks.push({ type: "inserted", y: rowB, height: heightB - rowB });
+  }
+
+  return { pairs, blocks };
+}
+
+module.exports = {
+  hashRows,
+  alignRows,
+};
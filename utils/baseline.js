@@ -0,0 +1,167 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const {
+  ensureDirectoryExistence,
+  getScreenshotPath,
+} = require("./screenshots");
+
+// Approved baselines are versioned per page/device/browser under this
+// directory, with every approval and rejection recorded in the manifest.
+const BASELINE_DIR = "baselines";
+const MANIFEST_PATH = path.join(BASELINE_DIR, "manifest.json");
+
+// Manifest key for a page within a device/browser combination
+function getBaselineKey(deviceName, browserName, pagePath) {
+  return `${deviceName}/${browserName}/${pagePath}`;
+}
+
+// Load the baseline manifest, or an empty one before the first approval
+function loadManifest() {
+  if (!fs.existsSync(MANIFEST_PATH)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(MANIFEST_PATH, "utf8"));
+}
+
+// Write the baseline manifest
+function saveManifest(manifest) {
+  ensureDirectoryExistence(MANIFEST_PATH);
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + "\n");
+}
+
+// Hash a capture so each decision is tied to the exact image reviewed
+function hashFile(filePath) {
+  return crypto
+    .createHash("sha256")
+    .update(fs.readFileSync(filePath))
+    .digest("hex");
+}
+
+// Manifest entry for a page, created on first use
+function getManifestEntry(manifest, deviceName, browserName, pagePath) {
+  const key = getBaselineKey(deviceName, browserName, pagePath);
+  if (!manifest[key]) {
+    manifest[key] = {
+      deviceName,
+      browserName,
+      pagePath,
+      current: null,
+      versions: [],
+      rejections: [],
+    };
+  }
+  return manifest[key];
+}
+
+// Current approved baseline for a page, or null if none has been accepted
+function getApprovedBaseline(deviceName, browserName, pagePath) {
+  const entry =
+    loadManifest()[getBaselineKey(deviceName, browserName, pagePath)];
+  if (!entry || entry.current === null) {
+    return null;
+  }
+
+  const version = entry.versions.find((v) => v.version === entry.current);
+  const lastRejection = entry.rejections[entry.rejections.length - 1] || null;
+  return {
+    ...version,
+    path: path.join(BASELINE_DIR, version.file),
+    lastRejection:
+      lastRejection && lastRejection.rejectedAt > version.approvedAt
+        ? lastRejection
+        : null,
+  };
+}
+
+// Accept a current capture as the next approved baseline version
+function acceptBaseline({
+  deviceName,
+  browserName,
+  pagePath,
+  source,
+  approvedBy,
+  note,
+}) {
+  const capturePath = getScreenshotPath(
+    deviceName,
+    browserName,
+    source,
+    pagePath
+  );
+  if (!fs.existsSync(capturePath)) {
+    throw new Error(`No ${source} capture found at ${capturePath}`);
+  }
+
+  const manifest = loadManifest();
+  const entry = getManifestEntry(manifest, deviceName, browserName, pagePath);
+  const version =
+    entry.versions.reduce((max, v) => Math.max(max, v.version), 0) + 1;
+  const file = [
+    deviceName,
+    browserName,
+    pagePath.replace(/\//g, "_"),
+    `v${version}.png`,
+  ].join("/");
+
+  const baselinePath = path.join(BASELINE_DIR, file);
+  ensureDirectoryExistence(baselinePath);
+  fs.copyFileSync(capturePath, baselinePath);
+
+  const record = {
+    version,
+    file,
+    source,
+    sha256: hashFile(capturePath),
+    approvedBy,
+    approvedAt: new Date().toISOString(),
+    note: note || null,
+  };
+  entry.versions.push(record);
+  entry.current = version;
+  saveManifest(manifest);
+  return record;
+}
+
+// Reject a current capture, leaving the approved baseline in place
+function rejectCapture({
+  deviceName,
+  browserName,
+  pagePath,
+  source,
+  rejectedBy,
+  reason,
+}) {
+  const capturePath = getScreenshotPath(
+    deviceName,
+    browserName,
+    source,
+    pagePath
+  );
+  if (!fs.existsSync(capturePath)) {
+    throw new Error(`No ${source} capture found at ${capturePath}`);
+  }
+
+  const manifest = loadManifest();
+  const entry = getManifestEntry(manifest, deviceName, browserName, pagePath);
+  const record = {
+    source,
+    sha256: hashFile(capturePath),
+    rejectedBy,
+    rejectedAt: new Date().toISOString(),
+    reason: reason || null,
+  };
+  entry.rejections.push(record);
+  saveManifest(manifest);
+  return record;
+}
+
+module.exports = {
+  BASELINE_DIR,
+  MANIFEST_PATH,
+  getBaselineKey,
+  loadManifest,
+  getApprovedBaseline,
+  acceptBaseline,
+  rejectCapture,
+};
@@ -0,0 +1,248 @@
+const fs = require("fs");
+const { config, getPageUrl } = require("./config");
+const { forms, openForm } = require("./forms");
+const { extractMenuTree, flattenMenuTree } = require("./menu");
+
+// Where the catalog check writes its results for the report
+const CATALOG_RESULTS_PATH = "catalog_results.json";
+
+// Program name as compared across sources: case, punctuation and "&" vs
+// "and" do not matter
+function normalizeProgramName(name) {
+  return name
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// The forms whose program field is read, with that field
+function getCatalogForms() {
+  return config.catalog.forms.map((formId) => {
+    const form = forms[formId];
+    if (!form) {
+      throw new Error(
+        `catalog.forms: '${formId}' is not a form in forms.js (${Object.keys(forms).join(", ")}).`
+      );
+    }
+    const field = form.fields.find(
+      (candidate) => candidate.label === config.catalog.field && candidate.type === "select"
+    );
+    if (!field) {
+      throw new Error(
+        `catalog.field: ${form.name} (${formId}) has no select field labelled '${config.catalog.field}'`
+      );
+    }
+    return { form, field };
+  });
+}
+
+// Programs in the expected-catalog file, or null when none is configured.
+// Each is { name, code?, aliases? }: `code` is the form option value and
+// `aliases` are other names the menu or forms use for it.
+function loadExpectedCatalog() {
+  const file = config.catalog.expected;
+  if (!file) {
+    return null;
+  }
+  if (!fs.existsSync(file)) {
+    throw new Error(`catalog.expected: ${file} does not exist`);
+  }
+  const programs = JSON.parse(fs.readFileSync(file, "utf8"));
+  const errors = [];
+  if (!Array.isArray(programs)) {
+    errors.push("must be an array of { name, code?, aliases? }");
+  } else {
+    programs.forEach((program, i) => {
+      if (typeof program !== "object" || program === null || typeof program.name !== "string") {
+        errors.push(`[${i}]: must have a name`);
+      } else if (program.aliases !== undefined && !Array.isArray(program.aliases)) {
+        errors.push(`[${i}].aliases: must be an array`);
+      }
+    });
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${file}:\n${errors.map((error) => `  - ${error}`).join("\n")}`);
+  }
+  return programs;
+}
+
+// Program options of a form's program field on an environment, without the
+// placeholder. The form is opened in a page of its own, as opening it may
+// block resources.
+async function extractFormPrograms(page, form, field, environmentName) {
+  const formPage = await page.context().newPage();
+  try {
+    await openForm(formPage, form, environmentName);
+    const options = await formPage.$$eval(`${field.selector} option`, (elements) =>
+      elements.map((option) => ({
+        value: option.value,
+        label: option.textContent.replace(/\s+/g, " ").trim(),
+      }))
+    );
+    return options.filter((option) => option.value !== "");
+  } finally {
+    await formPage.close();
+  }
+}
+
+// Programs listed under the menu section on an environment: every entry
+// under it without a submenu of its own
+async function extractMenuPrograms(page, environmentName) {
+  await page.goto(getPageUrl(environmentName, config.menu.page), {
+    waitUntil: "domcontentloaded",
+  });
+  const tree = await extractMenuTree(page);
+  const section = (tree || []).find(
+    (entry) =>
+      normalizeProgramName(entry.label) === normalizeProgramName(config.catalog.menuSection)
+  );
+  if (!section) {
+    throw new Error(
+      `No '${config.catalog.menuSection}' entry in the mega menu on ${environmentName}`
+    );
+  }
+  return flattenMenuTree(section.children)
+    .filter((entry) => entry.children.length === 0)
+    .map((entry) => ({ label: entry.label, href: entry.href }));
+}
+
+// Identify a listed program: the expected-catalog entry it matches by code
+// or name, or its own normalized label. Programs the catalog does not know
+// are marked `unknown`.
+function identifyProgram(item, catalog) {
+  const name = normalizeProgramName(item.label);
+  if (!catalog) {
+    return { key: name, name: item.label };
+  }
+  const program = catalog.find(
+    (candidate) =>
+      (candidate.code !== undefined && candidate.code === item.value) ||
+      [candidate.name, ...(candidate.aliases || [])].some(
+        (alias) => normalizeProgramName(alias) === name
+      )
+  );
+  return program
+    ? { key: program.code || normalizeProgramName(program.name), name: program.name }
+    : { key: name, name: item.label, unknown: true };
+}
+
+// Programs of every source on one environment, keyed by program. Sources
+// are the configured forms (by name) and the menu section.
+function indexSources(sources, catalog) {
+  return Object.fromEntries(
+    Object.entries(sources).map(([source, items]) => [
+      source,
+      new Map(
+        items.map((item) => {
+          const program = identifyProgram(item, catalog);
+          return [program.key, { ...program, item }];
+        })
+      ),
+    ])
+  );
+}
+
+// Every program on one environment with the sources listing it, by name
+function listPrograms(indexed) {
+  const programs = new Map();
+  for (const [source, sourcePrograms] of Object.entries(indexed)) {
+    for (const [key, program] of sourcePrograms) {
+      if (!programs.has(key)) {
+        programs.set(key, { key, name: program.name, sources: [] });
+      }
+      programs.get(key).sources.push(source);
+    }
+  }
+  return [...programs.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Mismatches on one environment: programs some sources list and others do
+// not, and with a catalog, programs it does not know or that no source lists
+function checkSources(indexed, environmentName, catalog) {
+  const mismatches = [];
+  const names = new Map();
+  for (const programs of Object.values(indexed)) {
+    for (const [key, program] of programs) {
+      names.set(key, program.name);
+    }
+  }
+  const sourceNames = Object.keys(indexed);
+
+  for (const [key, name] of names) {
+    const presentIn = sourceNames.filter((source) => indexed[source].has(key));
+    const missingFrom = sourceNames.filter((source) => !indexed[source].has(key));
+    if (missingFrom.length > 0) {
+      mismatches.push({
+        type: "source-mismatch",
+        environment: environmentName,
+        program: name,
+        message: `${environmentName}: "${name}" is in ${presentIn.join(", ")} but not ${missingFrom.join(", ")}`,
+      });
+    }
+    const unknownIn = presentIn.filter((source) => indexed[source].get(key).unknown);
+    if (unknownIn.length > 0) {
+      mismatches.push({
+        type: "not-in-catalog",
+        environment: environmentName,
+        program: name,
+        message: `${environmentName}: "${name}" in ${unknownIn.join(", ")} is not in the expected catalog`,
+      });
+    }
+  }
+
+  for (const program of catalog || []) {
+    const key = program.code || normalizeProgramName(program.name);
+    const missingFrom = sourceNames.filter((source) => !indexed[source].has(key));
+    if (missingFrom.length === sourceNames.length) {
+      mismatches.push({
+        type: "catalog-missing",
+        environment: environmentName,
+        program: program.name,
+        message: `${environmentName}: expected program "${program.name}" is not listed anywhere`,
+      });
+    }
+  }
+  return mismatches;
+}
+
+// Programs a source lists on one environment of a comparison but not the other
+function diffEnvironments(reference, current, comparison) {
+  const mismatches = [];
+  for (const source of Object.keys(current)) {
+    const referencePrograms = reference[source];
+    const currentPrograms = current[source];
+    if (!referencePrograms) {
+      continue;
+    }
+    for (const [programs, other, presentOn, missingFrom] of [
+      [currentPrograms, referencePrograms, comparison.current, comparison.reference],
+      [referencePrograms, currentPrograms, comparison.reference, comparison.current],
+    ]) {
+      for (const [key, program] of programs) {
+        if (!other.has(key)) {
+          mismatches.push({
+            type: "environment-mismatch",
+            comparison: comparison.name,
+            program: program.name,
+            message: `${comparison.name}: "${program.name}" is in ${source} on ${presentOn} but not on ${missingFrom}`,
+          });
+        }
+      }
+    }
+  }
+  return mismatches;
+}
+
+module.exports = {
+  CATALOG_RESULTS_PATH,
+  normalizeProgramName,
+  getCatalogForms,
+  loadExpectedCatalog,
+  extractFormPrograms,
+  extractMenuPrograms,
+  indexSources,
+  listPrograms,
+  checkSources,
+  diffEnvironments,
+};
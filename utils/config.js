@@ -0,0 +1,1007 @@
+const fs = require("fs");
+const { devices } = require("@playwright/test");
+const rawConfig = require("../config.js");
+
+// Pages found by sitemap/crawler discovery, written by the global setup
+const DISCOVERY_PATH = "discovered-pages.json";
+
+// Keys allowed at each level of config.js
+const TOP_LEVEL_KEYS = [
+  "environments",
+  "targetEnvironment",
+  "comparisons",
+  "matrix",
+  "defaults",
+  "masking",
+  "diff",
+  "capture",
+  "stabilization",
+  "discovery",
+  "linkCheck",
+  "menu",
+  "catalog",
+  "seo",
+  "http",
+  "accessibility",
+  "performance",
+  "pageErrors",
+  "history",
+  "pages",
+];
+const ENVIRONMENT_KEYS = ["baseUrl", "auth", "headers", "cookies", "storageState"];
+const AUTH_KEYS = ["username", "password"];
+const COOKIE_KEYS = ["name", "value", "domain", "path"];
+const COMPARISON_KEYS = ["name", "current", "reference"];
+const MATRIX_KEYS = ["devices", "browsers"];
+const DEVICE_KEYS = ["descriptor", "viewport"];
+const DEFAULTS_KEYS = ["threshold", "compareMode", "waitFor", "diffRules"];
+const MASKING_KEYS = ["hide", "mask", "ignoreRegions"];
+const REGION_KEYS = ["x", "y", "width", "height", "reason"];
+const DIFF_KEYS = ["pixelThreshold", "regionGap", "maxRegions", "cropPadding"];
+const DIFF_RULE_KEYS = ["minSsim", "maxRegions", "maxRegionSize", "maxRegionArea"];
+const WAIT_FOR_KEYS = ["waitUntil", "timeout", "selector", "delay"];
+const CAPTURE_KEYS = ["workers", "concurrency"];
+const STABILIZATION_KEYS = [
+  "steps",
+  "frozenTime",
+  "overlays",
+  "scrollDelay",
+  "maxScrolls",
+  "frameInterval",
+  "stepTimeout",
+];
+const STABILIZATION_STEPS = [
+  "freezeTime",
+  "disableAnimations",
+  "waitForFonts",
+  "dismissOverlays",
+  "autoScroll",
+  "waitForStableFrames",
+];
+const DISCOVERY_KEYS = [
+  "enabled",
+  "sitemaps",
+  "crawl",
+  "include",
+  "exclude",
+  "maxPages",
+];
+const CRAWL_KEYS = ["enabled", "maxDepth", "maxPages"];
+const LINK_CHECK_KEYS = [
+  "types",
+  "concurrency",
+  "perHostIntervalMs",
+  "retries",
+  "timeout",
+  "allow",
+  "deny",
+  "failOn",
+];
+const RESOURCE_TYPES = [
+  "anchor",
+  "script",
+  "stylesheet",
+  "font",
+  "image",
+  "srcset",
+  "background",
+  "iframe",
+];
+const SEVERITIES = ["error", "warning"];
+const MENU_KEYS = ["page", "selector", "item", "link", "failOn"];
+const CATALOG_KEYS = ["forms", "field", "menuSection", "expected"];
+const SEO_KEYS = ["indexable", "failOn"];
+const HTTP_KEYS = [
+  "securityHeaders",
+  "cachingHeaders",
+  "requiredHeaders",
+  "enforceOn",
+  "redirectMap",
+  "maxRedirects",
+  "failOn",
+];
+const ACCESSIBILITY_KEYS = ["tags", "exclude", "forms", "compareTo", "failOn"];
+const IMPACTS = ["minor", "moderate", "serious", "critical"];
+const PERFORMANCE_KEYS = ["budgets", "compare", "maxRegressionPercent"];
+const PERFORMANCE_METRICS = [
+  "ttfb",
+  "domContentLoaded",
+  "load",
+  "lcp",
+  "cls",
+  "tbt",
+  "requests",
+  "totalBytes",
+];
+const PAGE_ERRORS_KEYS = ["ignore", "failOn"];
+const PAGE_ERROR_KINDS = ["pageError", "consoleError", "failedRequest", "mixedContent"];
+const HISTORY_KEYS = ["maxRuns", "recentRuns", "flakyFlips"];
+const MENU_CHANGE_TYPES = ["broken", "missing", "added", "renamed", "repointed"];
+const PAGE_KEYS = [
+  "path",
+  "threshold",
+  "compareMode",
+  "viewport",
+  "masking",
+  "waitFor",
+  "diffRules",
+  "tags",
+];
+
+const BROWSERS = ["chromium", "firefox", "webkit"];
+const COMPARE_MODES = ["aligned", "resize"];
+const WAIT_UNTIL_VALUES = ["load", "domcontentloaded", "networkidle", "commit"];
+
+// Levenshtein distance, for "did you mean" hints on mistyped keys
+function editDistance(a, b) {
+  const distances = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = distances[0];
+    distances[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = distances[j];
+      distances[j] = Math.min(
+        distances[j] + 1,
+        distances[j - 1] + 1,
+        previous + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      previous = current;
+    }
+  }
+  return distances[b.length];
+}
+
+// Create a set of checks that collect errors with the path to the
+// offending value instead of stopping at the first one
+function createValidator() {
+  const v = { errors: [] };
+
+  v.error = (at, message) => {
+    v.errors.push(`${at}: ${message}`);
+  };
+
+  v.isObject = (value, at) => {
+    if (typeof value !== "object" || value === null || Array.isArray(value)) {
+      v.error(at, "must be an object");
+      return false;
+    }
+    return true;
+  };
+
+  v.isArray = (value, at) => {
+    if (!Array.isArray(value)) {
+      v.error(at, "must be an array");
+      return false;
+    }
+    return true;
+  };
+
+  v.isString = (value, at) => {
+    if (typeof value !== "string" || value.trim() === "") {
+      v.error(at, "must be a non-empty string");
+      return false;
+    }
+    return true;
+  };
+
+  v.isNumber = (value, at, min, max) => {
+    if (typeof value !== "number" || Number.isNaN(value)) {
+      v.error(at, "must be a number");
+      return false;
+    }
+    if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+      v.error(at, `must be between ${min} and ${max}, got ${value}`);
+      return false;
+    }
+    return true;
+  };
+
+  v.isOneOf = (value, allowed, at) => {
+    if (!allowed.includes(value)) {
+      v.error(
+        at,
+        `must be one of ${allowed.map((option) => `'${option}'`).join(", ")}, got '${value}'`
+      );
+      return false;
+    }
+    return true;
+  };
+
+  v.knownKeys = (object, allowed, at) => {
+    for (const key of Object.keys(object)) {
+      if (allowed.includes(key)) {
+        continue;
+      }
+      const suggestion = allowed.find((k) => editDistance(k, key) <= 2);
+      v.error(
+        `${at}.${key}`,
+        `unknown key` + (suggestion ? ` (did you mean '${suggestion}'?)` : "")
+      );
+    }
+  };
+
+  v.isUrl = (value, at) => {
+    if (!v.isString(value, at)) {
+      return false;
+    }
+    try {
+      const url = new URL(value);
+      if (url.protocol !== "http:" && url.protocol !== "https:") {
+        v.error(at, `must be an http(s) URL, got '${value}'`);
+        return false;
+      }
+    } catch (error) {
+      v.error(at, `is not a valid URL: '${value}'`);
+      return false;
+    }
+    return true;
+  };
+
+  v.isStringList = (value, at) => {
+    if (!v.isArray(value, at)) {
+      return false;
+    }
+    value.forEach((item, i) => v.isString(item, `${at}[${i}]`));
+    return true;
+  };
+
+  v.isViewport = (value, at) => {
+    if (!v.isObject(value, at)) {
+      return;
+    }
+    v.knownKeys(value, ["width", "height"], at);
+    v.isNumber(value.width, `${at}.width`, 1, 10000);
+    v.isNumber(value.height, `${at}.height`, 1, 10000);
+  };
+
+  v.isMasking = (value, at) => {
+    if (!v.isObject(value, at)) {
+      return;
+    }
+    v.knownKeys(value, MASKING_KEYS, at);
+    if (value.hide !== undefined) {
+      v.isStringList(value.hide, `${at}.hide`);
+    }
+    if (value.mask !== undefined) {
+      v.isStringList(value.mask, `${at}.mask`);
+    }
+    if (
+      value.ignoreRegions !== undefined &&
+      v.isArray(value.ignoreRegions, `${at}.ignoreRegions`)
+    ) {
+      value.ignoreRegions.forEach((region, i) => {
+        const regionAt = `${at}.ignoreRegions[${i}]`;
+        if (!v.isObject(region, regionAt)) {
+          return;
+        }
+        v.knownKeys(region, REGION_KEYS, regionAt);
+        ["x", "y", "width", "height"].forEach((key) =>
+          v.isNumber(region[key], `${regionAt}.${key}`, 0, 100000)
+        );
+      });
+    }
+  };
+
+  v.isWaitFor = (value, at) => {
+    if (!v.isObject(value, at)) {
+      return;
+    }
+    v.knownKeys(value, WAIT_FOR_KEYS, at);
+    if (value.waitUntil !== undefined) {
+      v.isOneOf(value.waitUntil, WAIT_UNTIL_VALUES, `${at}.waitUntil`);
+    }
+    if (value.timeout !== undefined) {
+      v.isNumber(value.timeout, `${at}.timeout`, 0, 600000);
+    }
+    if (value.selector !== undefined) {
+      v.isString(value.selector, `${at}.selector`);
+    }
+    if (value.delay !== undefined) {
+      v.isNumber(value.delay, `${at}.delay`, 0, 60000);
+    }
+  };
+
+  v.isDiffRules = (value, at) => {
+    if (!v.isObject(value, at)) {
+      return;
+    }
+    v.knownKeys(value, DIFF_RULE_KEYS, at);
+    if (value.minSsim !== undefined) {
+      v.isNumber(value.minSsim, `${at}.minSsim`, 0, 1);
+    }
+    if (value.maxRegions !== undefined) {
+      v.isNumber(value.maxRegions, `${at}.maxRegions`, 0, 10000);
+    }
+    if (value.maxRegionSize !== undefined) {
+      v.isViewport(value.maxRegionSize, `${at}.maxRegionSize`);
+    }
+    if (value.maxRegionArea !== undefined) {
+      v.isNumber(value.maxRegionArea, `${at}.maxRegionArea`, 0, 100000000);
+    }
+  };
+
+  return v;
+}
+
+// Validate the raw config.js export, returning every problem found
+function validateConfig(config) {
+  const v = createValidator();
+  if (!v.isObject(config, "config")) {
+    return v.errors;
+  }
+  v.knownKeys(config, TOP_LEVEL_KEYS, "config");
+
+  const environmentNames = [];
+  if (v.isObject(config.environments, "environments")) {
+    for (const [name, environment] of Object.entries(config.environments)) {
+      const at = `environments.${name}`;
+      environmentNames.push(name);
+      if (v.isObject(environment, at)) {
+        v.knownKeys(environment, ENVIRONMENT_KEYS, at);
+        v.isUrl(environment.baseUrl, `${at}.baseUrl`);
+        if (environment.auth !== undefined && v.isObject(environment.auth, `${at}.auth`)) {
+          v.knownKeys(environment.auth, AUTH_KEYS, `${at}.auth`);
+          v.isString(environment.auth.username, `${at}.auth.username`);
+          v.isString(environment.auth.password, `${at}.auth.password`);
+        }
+        if (environment.headers !== undefined && v.isObject(environment.headers, `${at}.headers`)) {
+          for (const [name, value] of Object.entries(environment.headers)) {
+            v.isString(value, `${at}.headers.${name}`);
+          }
+        }
+        if (environment.cookies !== undefined && v.isArray(environment.cookies, `${at}.cookies`)) {
+          environment.cookies.forEach((cookie, i) => {
+            const cookieAt = `${at}.cookies[${i}]`;
+            if (v.isObject(cookie, cookieAt)) {
+              v.knownKeys(cookie, COOKIE_KEYS, cookieAt);
+              v.isString(cookie.name, `${cookieAt}.name`);
+              v.isString(cookie.value, `${cookieAt}.value`);
+              for (const key of ["domain", "path"]) {
+                if (cookie[key] !== undefined) {
+                  v.isString(cookie[key], `${cookieAt}.${key}`);
+                }
+              }
+            }
+          });
+        }
+        if (environment.storageState !== undefined) {
+          v.isString(environment.storageState, `${at}.storageState`);
+        }
+      }
+    }
+    if (environmentNames.length === 0) {
+      v.error("environments", "must define at least one environment");
+    }
+  }
+
+  if (v.isString(config.targetEnvironment, "targetEnvironment")) {
+    v.isOneOf(config.targetEnvironment, environmentNames, "targetEnvironment");
+  }
+
+  if (v.isArray(config.comparisons, "comparisons")) {
+    const names = new Set();
+    config.comparisons.forEach((comparison, i) => {
+      const at = `comparisons[${i}]`;
+      if (!v.isObject(comparison, at)) {
+        return;
+      }
+      v.knownKeys(comparison, COMPARISON_KEYS, at);
+      if (v.isString(comparison.name, `${at}.name`)) {
+        if (names.has(comparison.name)) {
+          v.error(`${at}.name`, `duplicate comparison '${comparison.name}'`);
+        }
+        names.add(comparison.name);
+      }
+      for (const key of ["current", "reference"]) {
+        if (v.isString(comparison[key], `${at}.${key}`)) {
+          v.isOneOf(comparison[key], environmentNames, `${at}.${key}`);
+        }
+      }
+      if (comparison.current === comparison.reference) {
+        v.error(at, "current and reference must be different environments");
+      }
+    });
+  }
+
+  const deviceNames = [];
+  if (v.isObject(config.matrix, "matrix")) {
+    v.knownKeys(config.matrix, MATRIX_KEYS, "matrix");
+    if (v.isObject(config.matrix.devices, "matrix.devices")) {
+      for (const [name, device] of Object.entries(config.matrix.devices)) {
+        const at = `matrix.devices.${name}`;
+        deviceNames.push(name);
+        if (!v.isObject(device, at)) {
+          continue;
+        }
+        v.knownKeys(device, DEVICE_KEYS, at);
+        if (device.descriptor !== undefined) {
+          if (v.isString(device.descriptor, `${at}.descriptor`) && !devices[device.descriptor]) {
+            v.error(`${at}.descriptor`, `unknown Playwright device '${device.descriptor}'`);
+          }
+        } else if (device.viewport !== undefined) {
+          v.isViewport(device.viewport, `${at}.viewport`);
+        } else {
+          v.error(at, "must declare a descriptor or a viewport");
+        }
+      }
+    }
+    if (v.isArray(config.matrix.browsers, "matrix.browsers")) {
+      config.matrix.browsers.forEach((browser, i) =>
+        v.isOneOf(browser, BROWSERS, `matrix.browsers[${i}]`)
+      );
+    }
+  }
+
+  if (v.isObject(config.defaults, "defaults")) {
+    v.knownKeys(config.defaults, DEFAULTS_KEYS, "defaults");
+    v.isNumber(config.defaults.threshold, "defaults.threshold", 0, 100);
+    v.isOneOf(config.defaults.compareMode, COMPARE_MODES, "defaults.compareMode");
+    v.isWaitFor(config.defaults.waitFor, "defaults.waitFor");
+    if (config.defaults.diffRules !== undefined) {
+      v.isDiffRules(config.defaults.diffRules, "defaults.diffRules");
+    }
+  }
+
+  if (config.masking !== undefined) {
+    v.isMasking(config.masking, "masking");
+  }
+
+  if (config.diff !== undefined && v.isObject(config.diff, "diff")) {
+    v.knownKeys(config.diff, DIFF_KEYS, "diff");
+    if (config.diff.pixelThreshold !== undefined) {
+      v.isNumber(config.diff.pixelThreshold, "diff.pixelThreshold", 0, 1);
+    }
+    if (config.diff.regionGap !== undefined) {
+      v.isNumber(config.diff.regionGap, "diff.regionGap", 1, 1000);
+    }
+    if (config.diff.maxRegions !== undefined) {
+      v.isNumber(config.diff.maxRegions, "diff.maxRegions", 1, 1000);
+    }
+    if (config.diff.cropPadding !== undefined) {
+      v.isNumber(config.diff.cropPadding, "diff.cropPadding", 0, 1000);
+    }
+  }
+
+  if (config.capture !== undefined && v.isObject(config.capture, "capture")) {
+    v.knownKeys(config.capture, CAPTURE_KEYS, "capture");
+    if (config.capture.workers !== undefined) {
+      v.isNumber(config.capture.workers, "capture.workers", 1, 64);
+    }
+    if (config.capture.concurrency !== undefined) {
+      v.isNumber(config.capture.concurrency, "capture.concurrency", 1, 32);
+    }
+  }
+
+  if (config.stabilization !== undefined && v.isObject(config.stabilization, "stabilization")) {
+    const { stabilization } = config;
+    v.knownKeys(stabilization, STABILIZATION_KEYS, "stabilization");
+    if (stabilization.steps !== undefined && v.isArray(stabilization.steps, "stabilization.steps")) {
+      stabilization.steps.forEach((step, i) =>
+        v.isOneOf(step, STABILIZATION_STEPS, `stabilization.steps[${i}]`)
+      );
+    }
+    if (
+      stabilization.frozenTime !== undefined &&
+      v.isString(stabilization.frozenTime, "stabilization.frozenTime") &&
+      Number.isNaN(Date.parse(stabilization.frozenTime))
+    ) {
+      v.error("stabilization.frozenTime", `must be a date, got '${stabilization.frozenTime}'`);
+    }
+    if (stabilization.overlays !== undefined) {
+      v.isStringList(stabilization.overlays, "stabilization.overlays");
+    }
+    if (stabilization.scrollDelay !== undefined) {
+      v.isNumber(stabilization.scrollDelay, "stabilization.scrollDelay", 0, 10000);
+    }
+    if (stabilization.maxScrolls !== undefined) {
+      v.isNumber(stabilization.maxScrolls, "stabilization.maxScrolls", 0, 1000);
+    }
+    if (stabilization.frameInterval !== undefined) {
+      v.isNumber(stabilization.frameInterval, "stabilization.frameInterval", 16, 10000);
+    }
+    if (stabilization.stepTimeout !== undefined) {
+      v.isNumber(stabilization.stepTimeout, "stabilization.stepTimeout", 100, 120000);
+    }
+  }
+
+  if (config.discovery !== undefined && v.isObject(config.discovery, "discovery")) {
+    const { discovery } = config;
+    v.knownKeys(discovery, DISCOVERY_KEYS, "discovery");
+    if (discovery.enabled !== undefined && typeof discovery.enabled !== "boolean") {
+      v.error("discovery.enabled", "must be true or false");
+    }
+    if (discovery.sitemaps !== undefined && v.isStringList(discovery.sitemaps, "discovery.sitemaps")) {
+      discovery.sitemaps.forEach((sitemap, i) => {
+        if (!sitemap.startsWith("/")) {
+          v.error(`discovery.sitemaps[${i}]`, `must start with '/', got '${sitemap}'`);
+        }
+      });
+    }
+    if (discovery.crawl !== undefined && v.isObject(discovery.crawl, "discovery.crawl")) {
+      v.knownKeys(discovery.crawl, CRAWL_KEYS, "discovery.crawl");
+      if (discovery.crawl.enabled !== undefined && typeof discovery.crawl.enabled !== "boolean") {
+        v.error("discovery.crawl.enabled", "must be true or false");
+      }
+      if (discovery.crawl.maxDepth !== undefined) {
+        v.isNumber(discovery.crawl.maxDepth, "discovery.crawl.maxDepth", 0, 10);
+      }
+      if (discovery.crawl.maxPages !== undefined) {
+        v.isNumber(discovery.crawl.maxPages, "discovery.crawl.maxPages", 1, 5000);
+      }
+    }
+    if (discovery.include !== undefined) {
+      v.isStringList(discovery.include, "discovery.include");
+    }
+    if (discovery.exclude !== undefined) {
+      v.isStringList(discovery.exclude, "discovery.exclude");
+    }
+    if (discovery.maxPages !== undefined) {
+      v.isNumber(discovery.maxPages, "discovery.maxPages", 1, 5000);
+    }
+  }
+
+  if (config.linkCheck !== undefined && v.isObject(config.linkCheck, "linkCheck")) {
+    const { linkCheck } = config;
+    v.knownKeys(linkCheck, LINK_CHECK_KEYS, "linkCheck");
+    if (linkCheck.types !== undefined && v.isArray(linkCheck.types, "linkCheck.types")) {
+      linkCheck.types.forEach((type, i) =>
+        v.isOneOf(type, RESOURCE_TYPES, `linkCheck.types[${i}]`)
+      );
+    }
+    if (linkCheck.concurrency !== undefined) {
+      v.isNumber(linkCheck.concurrency, "linkCheck.concurrency", 1, 50);
+    }
+    if (linkCheck.perHostIntervalMs !== undefined) {
+      v.isNumber(linkCheck.perHostIntervalMs, "linkCheck.perHostIntervalMs", 0, 60000);
+    }
+    if (linkCheck.retries !== undefined) {
+      v.isNumber(linkCheck.retries, "linkCheck.retries", 0, 10);
+    }
+    if (linkCheck.timeout !== undefined) {
+      v.isNumber(linkCheck.timeout, "linkCheck.timeout", 1, 600000);
+    }
+    for (const key of ["allow", "deny"]) {
+      if (linkCheck[key] !== undefined) {
+        v.isStringList(linkCheck[key], `linkCheck.${key}`);
+      }
+    }
+    if (linkCheck.failOn !== undefined && v.isArray(linkCheck.failOn, "linkCheck.failOn")) {
+      linkCheck.failOn.forEach((severity, i) =>
+        v.isOneOf(severity, SEVERITIES, `linkCheck.failOn[${i}]`)
+      );
+    }
+  }
+
+  if (config.menu !== undefined && v.isObject(config.menu, "menu")) {
+    const { menu } = config;
+    v.knownKeys(menu, MENU_KEYS, "menu");
+    if (menu.page !== undefined && v.isString(menu.page, "menu.page") && !menu.page.startsWith("/")) {
+      v.error("menu.page", `must start with '/', got '${menu.page}'`);
+    }
+    for (const key of ["selector", "item", "link"]) {
+      if (menu[key] !== undefined) {
+        v.isString(menu[key], `menu.${key}`);
+      }
+    }
+    if (menu.failOn !== undefined && v.isArray(menu.failOn, "menu.failOn")) {
+      menu.failOn.forEach((type, i) =>
+        v.isOneOf(type, MENU_CHANGE_TYPES, `menu.failOn[${i}]`)
+      );
+    }
+  }
+
+  if (config.catalog !== undefined && v.isObject(config.catalog, "catalog")) {
+    const { catalog } = config;
+    v.knownKeys(catalog, CATALOG_KEYS, "catalog");
+    if (catalog.forms !== undefined) {
+      v.isStringList(catalog.forms, "catalog.forms");
+    }
+    for (const key of ["field", "menuSection"]) {
+      if (catalog[key] !== undefined) {
+        v.isString(catalog[key], `catalog.${key}`);
+      }
+    }
+    if (catalog.expected !== undefined && catalog.expected !== null) {
+      v.isString(catalog.expected, "catalog.expected");
+    }
+  }
+
+  if (config.http !== undefined && v.isObject(config.http, "http")) {
+    const { http } = config;
+    v.knownKeys(http, HTTP_KEYS, "http");
+    for (const key of ["securityHeaders", "cachingHeaders", "requiredHeaders"]) {
+      if (http[key] !== undefined) {
+        v.isStringList(http[key], `http.${key}`);
+      }
+    }
+    if (http.enforceOn !== undefined && v.isArray(http.enforceOn, "http.enforceOn")) {
+      http.enforceOn.forEach((name, i) =>
+        v.isOneOf(name, environmentNames, `http.enforceOn[${i}]`)
+      );
+    }
+    if (http.redirectMap !== undefined && http.redirectMap !== null) {
+      v.isString(http.redirectMap, "http.redirectMap");
+    }
+    if (http.maxRedirects !== undefined) {
+      v.isNumber(http.maxRedirects, "http.maxRedirects", 1, 50);
+    }
+    if (http.failOn !== undefined && v.isArray(http.failOn, "http.failOn")) {
+      http.failOn.forEach((severity, i) =>
+        v.isOneOf(severity, SEVERITIES, `http.failOn[${i}]`)
+      );
+    }
+  }
+
+  if (config.seo !== undefined && v.isObject(config.seo, "seo")) {
+    const { seo } = config;
+    v.knownKeys(seo, SEO_KEYS, "seo");
+    if (seo.indexable !== undefined && v.isArray(seo.indexable, "seo.indexable")) {
+      seo.indexable.forEach((name, i) =>
+        v.isOneOf(name, environmentNames, `seo.indexable[${i}]`)
+      );
+    }
+    if (seo.failOn !== undefined && v.isArray(seo.failOn, "seo.failOn")) {
+      seo.failOn.forEach((severity, i) =>
+        v.isOneOf(severity, SEVERITIES, `seo.failOn[${i}]`)
+      );
+    }
+  }
+
+  if (config.accessibility !== undefined && v.isObject(config.accessibility, "accessibility")) {
+    const { accessibility } = config;
+    v.knownKeys(accessibility, ACCESSIBILITY_KEYS, "accessibility");
+    for (const key of ["tags", "exclude", "forms"]) {
+      if (accessibility[key] !== undefined) {
+        v.isStringList(accessibility[key], `accessibility.${key}`);
+      }
+    }
+    if (accessibility.compareTo !== undefined) {
+      v.isOneOf(accessibility.compareTo, ["reference", "baseline"], "accessibility.compareTo");
+    }
+    if (accessibility.failOn !== undefined && v.isArray(accessibility.failOn, "accessibility.failOn")) {
+      accessibility.failOn.forEach((impact, i) =>
+        v.isOneOf(impact, IMPACTS, `accessibility.failOn[${i}]`)
+      );
+    }
+  }
+
+  if (config.performance !== undefined && v.isObject(config.performance, "performance")) {
+    const { performance } = config;
+    v.knownKeys(performance, PERFORMANCE_KEYS, "performance");
+    if (performance.budgets !== undefined && v.isObject(performance.budgets, "performance.budgets")) {
+      v.knownKeys(performance.budgets, PERFORMANCE_METRICS, "performance.budgets");
+      for (const [metric, budget] of Object.entries(performance.budgets)) {
+        v.isNumber(budget, `performance.budgets.${metric}`, 0, 1e12);
+      }
+    }
+    if (performance.compare !== undefined && v.isArray(performance.compare, "performance.compare")) {
+      performance.compare.forEach((metric, i) =>
+        v.isOneOf(metric, PERFORMANCE_METRICS, `performance.compare[${i}]`)
+      );
+    }
+    if (performance.maxRegressionPercent !== undefined) {
+      v.isNumber(performance.maxRegressionPercent, "performance.maxRegressionPercent", 0, 1000);
+    }
+  }
+
+  if (config.pageErrors !== undefined && v.isObject(config.pageErrors, "pageErrors")) {
+    v.knownKeys(config.pageErrors, PAGE_ERRORS_KEYS, "pageErrors");
+    if (config.pageErrors.ignore !== undefined) {
+      v.isStringList(config.pageErrors.ignore, "pageErrors.ignore");
+    }
+    if (config.pageErrors.failOn !== undefined && v.isArray(config.pageErrors.failOn, "pageErrors.failOn")) {
+      config.pageErrors.failOn.forEach((kind, i) =>
+        v.isOneOf(kind, PAGE_ERROR_KINDS, `pageErrors.failOn[${i}]`)
+      );
+    }
+  }
+
+  if (config.history !== undefined && v.isObject(config.history, "history")) {
+    const { history } = config;
+    v.knownKeys(history, HISTORY_KEYS, "history");
+    if (history.maxRuns !== undefined) {
+      v.isNumber(history.maxRuns, "history.maxRuns", 1, 10000);
+    }
+    if (history.recentRuns !== undefined) {
+      v.isNumber(history.recentRuns, "history.recentRuns", 2, 1000);
+    }
+    if (history.flakyFlips !== undefined) {
+      v.isNumber(history.flakyFlips, "history.flakyFlips", 1, 1000);
+    }
+  }
+
+  if (v.isArray(config.pages, "pages")) {
+    const paths = new Set();
+    config.pages.forEach((entry, i) => {
+      const at = `pages[${i}]`;
+      const page = typeof entry === "string" ? { path: entry } : entry;
+      if (!v.isObject(page, at)) {
+        return;
+      }
+      v.knownKeys(page, PAGE_KEYS, at);
+      if (v.isString(page.path, `${at}.path`)) {
+        if (!page.path.startsWith("/")) {
+          v.error(`${at}.path`, `must start with '/', got '${page.path}'`);
+        }
+        if (paths.has(page.path)) {
+          v.error(`${at}.path`, `duplicate page '${page.path}'`);
+        }
+        paths.add(page.path);
+      }
+      if (page.threshold !== undefined) {
+        v.isNumber(page.threshold, `${at}.threshold`, 0, 100);
+      }
+      if (page.compareMode !== undefined) {
+        v.isOneOf(page.compareMode, COMPARE_MODES, `${at}.compareMode`);
+      }
+      if (page.viewport !== undefined && v.isObject(page.viewport, `${at}.viewport`)) {
+        for (const [deviceName, viewport] of Object.entries(page.viewport)) {
+          if (v.isOneOf(deviceName, deviceNames, `${at}.viewport.${deviceName}`)) {
+            v.isViewport(viewport, `${at}.viewport.${deviceName}`);
+          }
+        }
+      }
+      if (page.masking !== undefined) {
+        v.isMasking(page.masking, `${at}.masking`);
+      }
+      if (page.waitFor !== undefined) {
+        v.isWaitFor(page.waitFor, `${at}.waitFor`);
+      }
+      if (page.diffRules !== undefined) {
+        v.isDiffRules(page.diffRules, `${at}.diffRules`);
+      }
+      if (page.tags !== undefined) {
+        v.isStringList(page.tags, `${at}.tags`);
+      }
+    });
+  }
+
+  return v.errors;
+}
+
+// Fill in page defaults so the rest of the suite never has to
+function normalizePage(entry, defaults) {
+  const page = typeof entry === "string" ? { path: entry } : entry;
+  return {
+    path: page.path,
+    threshold: page.threshold ?? defaults.threshold,
+    compareMode: page.compareMode || defaults.compareMode,
+    viewport: page.viewport || {},
+    masking: { hide: [], mask: [], ignoreRegions: [], ...page.masking },
+    waitFor: { ...defaults.waitFor, ...page.waitFor },
+    diffRules: { ...defaults.diffRules, ...page.diffRules },
+    tags: page.tags || [],
+  };
+}
+
+// Fill in defaults so the rest of the suite never has to
+function normalizeConfig(config) {
+  const masking = {
+    hide: [],
+    mask: [],
+    ignoreRegions: [],
+    ...config.masking,
+  };
+
+  return {
+    environments: Object.fromEntries(
+      Object.entries(config.environments).map(([name, environment]) => [
+        name,
+        {
+          name,
+          baseUrl: environment.baseUrl,
+          auth: environment.auth || null,
+          headers: environment.headers || {},
+          cookies: environment.cookies || [],
+          storageState: environment.storageState || null,
+        },
+      ])
+    ),
+    targetEnvironment: process.env.TARGET_ENV || config.targetEnvironment,
+    comparisons: config.comparisons.map((comparison) => ({ ...comparison })),
+    matrix: config.matrix,
+    defaults: config.defaults,
+    masking,
+    diff: {
+      pixelThreshold: 0.1,
+      regionGap: 20,
+      maxRegions: 20,
+      cropPadding: 10,
+      ...config.diff,
+    },
+    capture: {
+      workers: undefined,
+      concurrency: 2,
+      ...config.capture,
+    },
+    stabilization: {
+      steps: [],
+      frozenTime: "2025-01-01T12:00:00Z",
+      overlays: [],
+      scrollDelay: 150,
+      maxScrolls: 40,
+      frameInterval: 250,
+      stepTimeout: 10000,
+      ...config.stabilization,
+    },
+    discovery: {
+      enabled: false,
+      sitemaps: ["/sitemap.xml"],
+      include: ["/**"],
+      exclude: [],
+      maxPages: 100,
+      ...config.discovery,
+      crawl: {
+        enabled: false,
+        maxDepth: 2,
+        maxPages: 50,
+        ...(config.discovery || {}).crawl,
+      },
+    },
+    linkCheck: {
+      types: RESOURCE_TYPES,
+      concurrency: 8,
+      perHostIntervalMs: 100,
+      retries: 2,
+      timeout: 15000,
+      allow: [],
+      deny: [],
+      failOn: ["error"],
+      ...config.linkCheck,
+    },
+    menu: {
+      page: "/",
+      selector: "ul.max-mega-menu",
+      item: "li.mega-menu-item",
+      link: "a.mega-menu-link",
+      failOn: ["broken", "missing"],
+      ...config.menu,
+    },
+    catalog: {
+      forms: ["requestInfo", "applyNow"],
+      field: "Program of Interest",
+      menuSection: "Online Programs",
+      expected: null,
+      ...config.catalog,
+    },
+    accessibility: {
+      tags: ["wcag2a", "wcag2aa", "wcag21a", "wcag21aa"],
+      exclude: [],
+      forms: [],
+      compareTo: "reference",
+      failOn: IMPACTS,
+      ...config.accessibility,
+    },
+    performance: {
+      budgets: {},
+      compare: ["load", "lcp", "requests", "totalBytes"],
+      maxRegressionPercent: 30,
+      ...config.performance,
+    },
+    pageErrors: {
+      ignore: [],
+      failOn: ["pageError", "consoleError"],
+      ...config.pageErrors,
+    },
+    history: {
+      maxRuns: 200,
+      recentRuns: 10,
+      flakyFlips: 3,
+      ...config.history,
+    },
+    http: {
+      securityHeaders: [
+        "content-security-policy",
+        "strict-transport-security",
+        "x-frame-options",
+        "x-content-type-options",
+        "referrer-policy",
+        "permissions-policy",
+      ],
+      cachingHeaders: ["cache-control", "vary", "content-type"],
+      requiredHeaders: [],
+      enforceOn: [],
+      redirectMap: null,
+      maxRedirects: 10,
+      failOn: ["error"],
+      ...config.http,
+    },
+    seo: {
+      indexable: [],
+      failOn: ["error"],
+      ...config.seo,
+    },
+    pages: config.pages.map((entry) => normalizePage(entry, config.defaults)),
+  };
+}
+
+// Validate config.js and fail fast with every problem listed
+function loadConfig(config = rawConfig) {
+  const errors = validateConfig(config);
+  if (process.env.TARGET_ENV && config.environments && !config.environments[process.env.TARGET_ENV]) {
+    errors.push(`TARGET_ENV: unknown environment '${process.env.TARGET_ENV}'`);
+  }
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid config.js:\n${errors.map((error) => `  - ${error}`).join("\n")}`
+    );
+  }
+  return normalizeConfig(config);
+}
+
+const config = loadConfig();
+
+// Full URL of a page on a named environment
+function getPageUrl(environmentName, pagePath) {
+  const { baseUrl } = config.environments[environmentName];
+  return `${baseUrl.replace(/\/+$/, "")}${pagePath}`;
+}
+
+// Discovery results from the last global setup, or null if discovery is off
+function loadDiscovery() {
+  if (!config.discovery.enabled || !fs.existsSync(DISCOVERY_PATH)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(DISCOVERY_PATH, "utf8"));
+}
+
+// Every environment taking part in a comparison, each once
+function getComparisonEnvironments() {
+  return [
+    ...new Set(
+      config.comparisons.flatMap((comparison) => [comparison.current, comparison.reference])
+    ),
+  ];
+}
+
+// Configured pages plus any discovered ones, configured entries winning
+function getAllPages() {
+  const discovery = loadDiscovery();
+  if (!discovery) {
+    return config.pages;
+  }
+
+  const configuredPaths = new Set(config.pages.map((page) => page.path));
+  const discoveredPages = discovery.pages
+    .filter((pagePath) => !configuredPaths.has(pagePath))
+    .map((pagePath) =>
+      normalizePage({ path: pagePath, tags: ["discovered"] }, config.defaults)
+    );
+  return [...config.pages, ...discoveredPages];
+}
+
+// Configured or discovered page by path
+function getPage(pagePath) {
+  const page = getAllPages().find((p) => p.path === pagePath);
+  if (!page) {
+    throw new Error(`Page '${pagePath}' is not configured in config.js.`);
+  }
+  return page;
+}
+
+// Pages selected for this run, filtered by the PAGE_TAGS environment variable
+function getSelectedPages() {
+  const tags = (process.env.PAGE_TAGS || "")
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+  const pages = getAllPages();
+  if (tags.length === 0) {
+    return pages;
+  }
+  return pages.filter((page) => page.tags.some((tag) => tags.includes(tag)));
+}
+
+module.exports = {
+  DISCOVERY_PATH,
+  config,
+  createValidator,
+  validateConfig,
+  loadConfig,
+  getPageUrl,
+  getComparisonEnvironments,
+  loadDiscovery,
+  getAllPages,
+  getPage,
+  getSelectedPages,
+};
@@ -0,0 +1,313 @@
+const { normalizeHref } = require("./linkChecker");
+
+// Top-level page sections. Nested matches belong to their outermost section.
+const SECTION_SELECTOR = [
+  "header",
+  "nav",
+  "main > section",
+  "section",
+  "article",
+  "aside",
+  "footer",
+  ".elementor-top-section",
+  ".e-con.e-parent",
+].join(", ");
+
+// Largest word LCS table to build; longer changes are reported whole
+const MAX_WORD_DIFF_CELLS = 2000000;
+// Unchanged words shown before each copy change
+const CONTEXT_WORDS = 6;
+
+// Normalized snapshot of the visible page: each top-level section with its
+// key, headings, words and links. Elements matching `excludeSelectors` (hidden
+// or masked content) are left out. Taken on the page captureScreenshot left
+// loaded, so it costs no extra navigation.
+async function takeContentSnapshot(page, excludeSelectors = []) {
+  return page.evaluate(
+    ({ sectionSelector, excludeSelector }) => {
+      const normalize = (text) => (text || "").replace(/\s+/g, " ").trim();
+      const isVisible = (element) =>
+        element.checkVisibility
+          ? element.checkVisibility({ checkOpacity: true, checkVisibilityCSS: true })
+          : element.getClientRects().length > 0;
+      const isExcluded = (element) =>
+        Boolean(excludeSelector) && Boolean(element.closest(excludeSelector));
+
+      const visibleText = (root) => {
+        const parts = [];
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        const visibility = new Map();
+        while (walker.nextNode()) {
+          const parent = walker.currentNode.parentElement;
+          if (!parent || /^(SCRIPT|STYLE|NOSCRIPT|TEMPLATE)$/.test(parent.tagName)) {
+            continue;
+          }
+          if (!visibility.has(parent)) {
+            visibility.set(parent, isVisible(parent) && !isExcluded(parent));
+          }
+          if (visibility.get(parent)) {
+            parts.push(walker.currentNode.textContent);
+          }
+        }
+        return normalize(parts.join(" "));
+      };
+
+      const visibleIn = (root, selector) =>
+        [...root.querySelectorAll(selector)].filter(
+          (element) => isVisible(element) && !isExcluded(element)
+        );
+
+      let sections = [...document.querySelectorAll(sectionSelector)].filter(
+        (element) =>
+          !element.parentElement.closest(sectionSelector) &&
+          isVisible(element) &&
+          !isExcluded(element)
+      );
+      if (sections.length === 0) {
+        sections = [document.body];
+      }
+
+      const tagCounts = {};
+      return sections.map((element) => {
+        const tag = element.tagName.toLowerCase();
+        tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+        const headings = visibleIn(element, "h1, h2, h3, h4, h5, h6")
+          .map((heading) => ({
+            level: Number(heading.tagName[1]),
+            text: normalize(heading.textContent),
+          }))
+          .filter((heading) => heading.text);
+        return {
+          key:
+            element.id ||
+            element.getAttribute("data-id") ||
+            `${tag}-${tagCounts[tag]}`,
+          label: (headings[0] && headings[0].text) || element.id || tag,
+          headings,
+          words: visibleText(element).split(" ").filter(Boolean),
+          links: visibleIn(element, "a[href]")
+            .map((link) => ({
+              text: normalize(link.textContent) || normalize(link.getAttribute("aria-label")),
+              href: link.getAttribute("href"),
+            }))
+            .filter((link) => link.text),
+        };
+      });
+    },
+    {
+      sectionSelector: SECTION_SELECTOR,
+      excludeSelector: excludeSelectors.join(", "),
+    }
+  );
+}
+
+// Longest-common-subsequence diff of two sequences, as runs of
+// { type: "equal" | "removed" | "added", items }
+function diffSequences(before, after, equals = (a, b) => a === b) {
+  // Trim the common ends so the table only covers the changed middle
+  let start = 0;
+  while (start < before.length && start < after.length && equals(before[start], after[start])) {
+    start++;
+  }
+  let end = 0;
+  while (
+    end < before.length - start &&
+    end < after.length - start &&
+    equals(before[before.length - 1 - end], after[after.length - 1 - end])
+  ) {
+    end++;
+  }
+
+  const a = before.slice(start, before.length - end);
+  const b = after.slice(start, after.length - end);
+  const ops = [];
+  const push = (type, item) => {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) {
+      last.items.push(item);
+    } else {
+      ops.push({ type, items: [item] });
+    }
+  };
+
+  before.slice(0, start).forEach((item) => push("equal", item));
+  if ((a.length + 1) * (b.length + 1) > MAX_WORD_DIFF_CELLS) {
+    a.forEach((item) => push("removed", item));
+    b.forEach((item) => push("added", item));
+  } else {
+    const width = b.length + 1;
+    const lengths = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i * width + j] = equals(a[i], b[j])
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && equals(a[i], b[j])) {
+        push("equal", a[i++]);
+        j++;
+      } else if (
+        j >= b.length ||
+        (i < a.length && lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])
+      ) {
+        push("removed", a[i++]);
+      } else {
+        push("added", b[j++]);
+      }
+    }
+  }
+  after.slice(after.length - end).forEach((item) => push("equal", item));
+  return ops;
+}
+
+// Group diff runs into changes: each removed and/or added run, with the
+// unchanged items just before it
+function toChanges(ops) {
+  const changes = [];
+  let before = [];
+  let change = null;
+  for (const op of ops) {
+    if (op.type === "equal") {
+      change = null;
+      before = op.items;
+      continue;
+    }
+    if (!change) {
+      change = { before, removed: [], added: [] };
+      changes.push(change);
+    }
+    change[op.type].push(...op.items);
+  }
+  return changes;
+}
+
+// Changed link targets: links with the same text pointing somewhere else
+function diffLinks(referenceLinks, currentLinks, referenceBase, currentBase, section) {
+  const targets = (links, baseUrl) => {
+    const byText = new Map();
+    for (const link of links) {
+      if (!byText.has(link.text)) {
+        byText.set(link.text, new Set());
+      }
+      byText.get(link.text).add(normalizeHref(link.href, baseUrl));
+    }
+    return byText;
+  };
+  const reference = targets(referenceLinks, referenceBase);
+  const current = targets(currentLinks, currentBase);
+
+  const changes = [];
+  for (const [text, referenceHrefs] of reference) {
+    const currentHrefs = current.get(text);
+    if (!currentHrefs) {
+      continue;
+    }
+    const from = [...referenceHrefs].filter((href) => !currentHrefs.has(href));
+    const to = [...currentHrefs].filter((href) => !referenceHrefs.has(href));
+    if (from.length > 0 || to.length > 0) {
+      changes.push({ section, text, from, to });
+    }
+  }
+  return changes;
+}
+
+// Structural diff of two content snapshots: added or removed sections,
+// changed headings, word-level copy changes and changed link targets
+function diffContent(reference, current, referenceBase, currentBase) {
+  const diff = { sections: [], headings: [], copy: [], links: [] };
+
+  // Pair sections by key; a removed section directly replaced by an added one
+  // is treated as the same section changed
+  const pairs = [];
+  let referenceIndex = 0;
+  let currentIndex = 0;
+  let pending = null;
+  const flush = () => {
+    if (!pending) {
+      return;
+    }
+    const paired = Math.min(pending.removed.length, pending.added.length);
+    for (let i = 0; i < paired; i++) {
+      pairs.push([pending.removed[i], pending.added[i]]);
+    }
+    pending.removed.slice(paired).forEach((section) =>
+      diff.sections.push({ type: "removed", label: section.label })
+    );
+    pending.added.slice(paired).forEach((section) =>
+      diff.sections.push({ type: "added", label: section.label })
+    );
+    pending = null;
+  };
+  for (const op of diffSequences(reference, current, (a, b) => a.key === b.key)) {
+    if (op.type === "equal") {
+      flush();
+      op.items.forEach(() =>
+        pairs.push([reference[referenceIndex++], current[currentIndex++]])
+      );
+      continue;
+    }
+    pending = pending || { removed: [], added: [] };
+    pending[op.type].push(...op.items);
+    if (op.type === "removed") {
+      referenceIndex += op.items.length;
+    } else {
+      currentIndex += op.items.length;
+    }
+  }
+  flush();
+
+  const headingText = (heading) => `h${heading.level}: ${heading.text}`;
+  for (const change of toChanges(
+    diffSequences(
+      reference.flatMap((section) => section.headings).map(headingText),
+      current.flatMap((section) => section.headings).map(headingText)
+    )
+  )) {
+    const paired = Math.min(change.removed.length, change.added.length);
+    for (let i = 0; i < change.removed.length || i < change.added.length; i++) {
+      if (i < paired) {
+        diff.headings.push({ type: "changed", from: change.removed[i], to: change.added[i] });
+      } else if (i < change.removed.length) {
+        diff.headings.push({ type: "removed", from: change.removed[i] });
+      } else {
+        diff.headings.push({ type: "added", to: change.added[i] });
+      }
+    }
+  }
+
+  for (const [referenceSection, currentSection] of pairs) {
+    for (const change of toChanges(
+      diffSequences(referenceSection.words, currentSection.words)
+    )) {
+      diff.copy.push({
+        section: currentSection.label,
+        before: change.before.slice(-CONTEXT_WORDS).join(" "),
+        removed: change.removed.join(" "),
+        added: change.added.join(" "),
+      });
+    }
+    diff.links.push(
+      ...diffLinks(
+        referenceSection.links,
+        currentSection.links,
+        referenceBase,
+        currentBase,
+        currentSection.label
+      )
+    );
+  }
+
+  diff.changeCount =
+    diff.sections.length + diff.headings.length + diff.copy.length + diff.links.length;
+  return diff;
+}
+
+module.exports = {
+  takeContentSnapshot,
+  diffSequences,
+  diffContent,
+};
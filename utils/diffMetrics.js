@@ -0,0 +1,286 @@
+// Measures of how two captures differ beyond a single pixel count: SSIM over
+// the luma channel, anti-aliasing-aware pixel counts, and changed pixels
+// clustered into bounding boxes that can be cropped and checked one by one
+// against a page's diff rules.
+const fs = require("fs");
+const path = require("path");
+const { PNG } = require("pngjs");
+const { config } = require("./config");
+const esm = require("./esm");
+
+// Colours pixelmatch paints into the diff image
+const DIFF_COLOR = [255, 0, 0];
+const AA_COLOR = [255, 255, 0];
+
+// SSIM window size and stabilising constants for 8-bit luma
+const SSIM_WINDOW = 8;
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+// Diff two equally sized images with pixelmatch. Anti-aliased pixels are
+// painted yellow instead of red and not counted as mismatches; they are
+// counted separately so text rendering noise is visible without failing.
+function diffImages(img1, img2, diff, width, height) {
+  const mismatchedPixels = esm.pixelmatch(img1.data, img2.data, diff.data, width, height, {
+    threshold: config.diff.pixelThreshold,
+    includeAA: false,
+    diffColor: DIFF_COLOR,
+    aaColor: AA_COLOR,
+  });
+  let antialiasedPixels = 0;
+  for (let offset = 0; offset < width * height * 4; offset += 4) {
+    if (
+      diff.data[offset] === AA_COLOR[0] &&
+      diff.data[offset + 1] === AA_COLOR[1] &&
+      diff.data[offset + 2] === AA_COLOR[2]
+    ) {
+      antialiasedPixels++;
+    }
+  }
+  return { mismatchedPixels, antialiasedPixels };
+}
+
+// Luma of every pixel, up to `width` x `height`
+function toLuma(png, width, height) {
+  const luma = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * png.width + x) * 4;
+      luma[y * width + x] =
+        0.299 * png.data[offset] + 0.587 * png.data[offset + 1] + 0.114 * png.data[offset + 2];
+    }
+  }
+  return luma;
+}
+
+// Mean structural similarity (0 to 1) of two images over non-overlapping
+// 8x8 windows. Unlike a pixel count it scores a shifted glyph as nearly
+// identical and a missing image as very different.
+function computeSsim(img1, img2, width, height) {
+  if (width < SSIM_WINDOW || height < SSIM_WINDOW) {
+    return 1;
+  }
+  const luma1 = toLuma(img1, width, height);
+  const luma2 = toLuma(img2, width, height);
+  const n = SSIM_WINDOW * SSIM_WINDOW;
+  let total = 0;
+  let windows = 0;
+
+  for (let top = 0; top + SSIM_WINDOW <= height; top += SSIM_WINDOW) {
+    for (let left = 0; left + SSIM_WINDOW <= width; left += SSIM_WINDOW) {
+      let sum1 = 0;
+      let sum2 = 0;
+      let sumSquares1 = 0;
+      let sumSquares2 = 0;
+      let sumProducts = 0;
+      for (let y = top; y < top + SSIM_WINDOW; y++) {
+        for (let x = left; x < left + SSIM_WINDOW; x++) {
+          const a = luma1[y * width + x];
+          const b = luma2[y * width + x];
+          sum1 += a;
+          sum2 += b;
+          sumSquares1 += a * a;
+          sumSquares2 += b * b;
+          sumProducts += a * b;
+        }
+      }
+      const mean1 = sum1 / n;
+      const mean2 = sum2 / n;
+      const variance1 = sumSquares1 / n - mean1 * mean1;
+      const variance2 = sumSquares2 / n - mean2 * mean2;
+      const covariance = sumProducts / n - mean1 * mean2;
+      total +=
+        ((2 * mean1 * mean2 + SSIM_C1) * (2 * covariance + SSIM_C2)) /
+        ((mean1 * mean1 + mean2 * mean2 + SSIM_C1) * (variance1 + variance2 + SSIM_C2));
+      windows++;
+    }
+  }
+  return Number((total / windows).toFixed(4));
+}
+
+// Group the diff image's mismatched (red) pixels into bounding boxes. The
+// image is split into cells of `regionGap` pixels and touching cells with
+// changes are joined, so changes closer than about one gap form one region.
+// Returns every region, top to bottom; listRegions picks those the report
+// shows.
+function clusterRegions(diff, width, height) {
+  const cellSize = Math.max(config.diff.regionGap, 1);
+  const columns = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  const cells = new Map();
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * diff.width + x) * 4;
+      if (
+        diff.data[offset] !== DIFF_COLOR[0] ||
+        diff.data[offset + 1] !== DIFF_COLOR[1] ||
+        diff.data[offset + 2] !== DIFF_COLOR[2]
+      ) {
+        continue;
+      }
+      const index = Math.floor(y / cellSize) * columns + Math.floor(x / cellSize);
+      const cell = cells.get(index);
+      if (cell) {
+        cell.minX = Math.min(cell.minX, x);
+        cell.maxX = Math.max(cell.maxX, x);
+        cell.maxY = y;
+        cell.pixels++;
+      } else {
+        cells.set(index, { minX: x, maxX: x, minY: y, maxY: y, pixels: 1 });
+      }
+    }
+  }
+
+  const regions = [];
+  const visited = new Set();
+  for (const start of cells.keys()) {
+    if (visited.has(start)) {
+      continue;
+    }
+    visited.add(start);
+    const box = { minX: Infinity, maxX: -1, minY: Infinity, maxY: -1, pixels: 0 };
+    const queue = [start];
+    while (queue.length > 0) {
+      const index = queue.pop();
+      const cell = cells.get(index);
+      box.minX = Math.min(box.minX, cell.minX);
+      box.maxX = Math.max(box.maxX, cell.maxX);
+      box.minY = Math.min(box.minY, cell.minY);
+      box.maxY = Math.max(box.maxY, cell.maxY);
+      box.pixels += cell.pixels;
+
+      const column = index % columns;
+      const row = Math.floor(index / columns);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const neighbourColumn = column + dx;
+          const neighbourRow = row + dy;
+          const neighbour = neighbourRow * columns + neighbourColumn;
+          if (
+            neighbourColumn >= 0 &&
+            neighbourColumn < columns &&
+            neighbourRow >= 0 &&
+            neighbourRow < rows &&
+            cells.has(neighbour) &&
+            !visited.has(neighbour)
+          ) {
+            visited.add(neighbour);
+            queue.push(neighbour);
+          }
+        }
+      }
+    }
+    regions.push({
+      x: box.minX,
+      y: box.minY,
+      width: box.maxX + 1 - box.minX,
+      height: box.maxY + 1 - box.minY,
+      changedPixels: box.pixels,
+    });
+  }
+
+  return regions
+    .map((region) => ({ ...region, area: region.width * region.height }))
+    .sort((a, b) => a.y - b.y);
+}
+
+// The entries whose regions the report lists: regions breaking a diff rule
+// first, then the largest by changed pixels, up to `diff.maxRegions`, top to
+// bottom. Each entry has a `region`, as passed to writeRegionCrops.
+function listRegions(entries) {
+  return [...entries]
+    .sort(
+      (a, b) =>
+        Boolean(b.region.violation) - Boolean(a.region.violation) ||
+        b.region.changedPixels - a.region.changedPixels
+    )
+    .slice(0, config.diff.maxRegions)
+    .sort((a, b) => a.region.y - b.region.y);
+}
+
+// Copy a region of an image, padded and clipped to the image, into a new PNG
+function cropImage(png, region) {
+  const padding = config.diff.cropPadding;
+  const x = Math.max(region.x - padding, 0);
+  const y = Math.max(region.y - padding, 0);
+  const width = Math.min(region.x + region.width + padding, png.width) - x;
+  const height = Math.min(region.y + region.height + padding, png.height) - y;
+  const crop = new PNG({ width, height });
+  PNG.bitblt(png, crop, x, y, width, height, 0, 0);
+  return crop;
+}
+
+// Directory holding the region crops that belong to a diff image
+function getCropDirectory(diffPath) {
+  return diffPath.replace(/\.png$/, "-regions");
+}
+
+// Write before/after/diff crops next to the diff image and record their
+// paths on each region as `crops`. Every entry gives the `region` reported,
+// the `box` to crop (in the coordinates of its `images`, which can differ
+// from the reported ones) and the `images` to crop from; a missing image,
+// such as the baseline side of an inserted section, is left out. Crops from
+// an earlier run are removed first.
+function writeRegionCrops(diffPath, entries) {
+  const directory = getCropDirectory(diffPath);
+  fs.rmSync(directory, { recursive: true, force: true });
+  if (entries.length === 0) {
+    return;
+  }
+  fs.mkdirSync(directory, { recursive: true });
+  entries.forEach(({ region, box, images }, i) => {
+    region.crops = {};
+    for (const [side, png] of Object.entries(images)) {
+      if (png) {
+        const cropPath = path.join(directory, `${i + 1}-${side}.png`);
+        fs.writeFileSync(cropPath, PNG.sync.write(cropImage(png, box)));
+        region.crops[side] = cropPath;
+      }
+    }
+  });
+}
+
+// Check a comparison against a page's diff rules, returning a message per
+// broken rule. `changedRegions` must be every clustered region, not just the
+// listed ones; those breaking a size rule are flagged with `violation`.
+function checkDiffRules(comparison, rules = {}) {
+  const violations = [];
+  const { metrics, changedRegions = [], regionCount = changedRegions.length } = comparison;
+
+  if (rules.minSsim !== undefined && metrics && metrics.ssim < rules.minSsim) {
+    violations.push(`SSIM ${metrics.ssim} is below ${rules.minSsim}`);
+  }
+  if (rules.maxRegions !== undefined && regionCount > rules.maxRegions) {
+    violations.push(`${regionCount} changed regions, more than ${rules.maxRegions}`);
+  }
+  for (const region of changedRegions) {
+    const problems = [];
+    const { maxRegionSize, maxRegionArea } = rules;
+    if (
+      maxRegionSize &&
+      (region.width > maxRegionSize.width || region.height > maxRegionSize.height)
+    ) {
+      problems.push(`larger than ${maxRegionSize.width}x${maxRegionSize.height}`);
+    }
+    if (maxRegionArea !== undefined && region.area > maxRegionArea) {
+      problems.push(`over ${maxRegionArea}px²`);
+    }
+    if (problems.length > 0) {
+      region.violation = problems.join(", ");
+      violations.push(
+        `Region ${region.width}x${region.height} at (${region.x}, ${region.y}) is ${region.violation}`
+      );
+    }
+  }
+  return violations;
+}
+
+module.exports = {
+  diffImages,
+  computeSsim,
+  clusterRegions,
+  listRegions,
+  writeRegionCrops,
+  checkDiffRules,
+};
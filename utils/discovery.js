@@ -0,0 +1,249 @@
+const fs = require("fs");
+const axios = require("axios");
+const esm = require("./esm");
+const { DISCOVERY_PATH, config, getPageUrl } = require("./config");
+const { getRequestHeaders } = require("./environments");
+
+// File extensions that are never pages
+const NON_PAGE_EXTENSIONS =
+  /\.(pdf|jpe?g|png|gif|svg|webp|ico|css|js|json|xml|zip|docx?|xlsx?|pptx?|mp4|mp3)$/i;
+
+// Convert a glob to a RegExp: `**` matches across path segments, `*` within
+// one segment and `?` a single character
+function globToRegExp(glob) {
+  let pattern = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      pattern += ".*";
+      i++;
+    } else if (char === "*") {
+      pattern += "[^/]*";
+    } else if (char === "?") {
+      pattern += "[^/]";
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+// Whether a path passes the include and exclude globs
+function isPathSelected(pagePath, include, exclude) {
+  const matches = (globs) =>
+    globs.some((glob) => globToRegExp(glob).test(pagePath));
+  return matches(include) && !matches(exclude);
+}
+
+// Path of a URL relative to an environment's base URL, or null if it points
+// somewhere else or is not a page
+function toPagePath(url, baseUrl) {
+  let parsed;
+  try {
+    parsed = new URL(url, baseUrl);
+  } catch (error) {
+    return null;
+  }
+
+  const base = new URL(baseUrl);
+  const basePath = base.pathname.replace(/\/+$/, "");
+  if (
+    parsed.origin !== base.origin ||
+    !parsed.pathname.startsWith(basePath) ||
+    NON_PAGE_EXTENSIONS.test(parsed.pathname)
+  ) {
+    return null;
+  }
+  return parsed.pathname.slice(basePath.length) || "/";
+}
+
+// Extract the <loc> entries of a sitemap or sitemap index
+function parseSitemap(xml) {
+  const locations = [...xml.matchAll(/<loc>\s*(?:<!\[CDATA\[)?(.*?)(?:\]\]>)?\s*<\/loc>/gi)].map(
+    (match) => match[1].replace(/&amp;/g, "&")
+  );
+  return { isIndex: /<sitemapindex[\s>]/i.test(xml), locations };
+}
+
+// Every page URL listed by a sitemap, following sitemap index files
+async function fetchSitemapUrls(sitemapUrl, seen = new Set()) {
+  if (seen.has(sitemapUrl)) {
+    return [];
+  }
+  seen.add(sitemapUrl);
+
+  const response = await axios.get(sitemapUrl, {
+    headers: getRequestHeaders(sitemapUrl),
+    responseType: "text",
+    timeout: 30000,
+  });
+  const { isIndex, locations } = parseSitemap(response.data);
+  if (!isIndex) {
+    return locations;
+  }
+
+  const urls = [];
+  for (const location of locations) {
+    urls.push(...(await fetchSitemapUrls(location, seen)));
+  }
+  return urls;
+}
+
+// Crawl same-origin links breadth-first from the home page
+async function crawlSite(baseUrl, { maxDepth, maxPages }) {
+  const found = new Set(["/"]);
+  let frontier = ["/"];
+
+  for (let depth = 0; depth < maxDepth && frontier.length > 0; depth++) {
+    const nextFrontier = [];
+    for (const pagePath of frontier) {
+      let html;
+      try {
+        const pageUrl = `${baseUrl.replace(/\/+$/, "")}${pagePath}`;
+        const response = await axios.get(pageUrl, {
+          headers: getRequestHeaders(pageUrl),
+          responseType: "text",
+          timeout: 30000,
+        });
+        if (!String(response.headers["content-type"]).includes("text/html")) {
+          continue;
+        }
+        html = response.data;
+      } catch (error) {
+        continue;
+      }
+
+      for (const match of html.matchAll(/<a\s[^>]*href=["']([^"'#]+)/gi)) {
+        const linkedPath = toPagePath(match[1], baseUrl);
+        if (linkedPath && !found.has(linkedPath) && found.size < maxPages) {
+          found.add(linkedPath);
+          nextFrontier.push(linkedPath);
+        }
+      }
+    }
+    frontier = nextFrontier;
+  }
+
+  return [...found];
+}
+
+// Discover the page paths of one environment
+async function discoverEnvironment(environmentName) {
+  const { baseUrl } = config.environments[environmentName];
+  const { sitemaps, crawl, include, exclude, maxPages } = config.discovery;
+  const paths = new Set();
+
+  for (const sitemap of sitemaps) {
+    try {
+      const urls = await fetchSitemapUrls(getPageUrl(environmentName, sitemap));
+      urls
+        .map((url) => toPagePath(url, baseUrl))
+        .filter(Boolean)
+        .forEach((pagePath) => paths.add(pagePath));
+      console.log(
+        esm.chalk.green(`Read ${urls.length} URLs from ${environmentName} ${sitemap}`)
+      );
+      break;
+    } catch (error) {
+      console.log(
+        esm.chalk.yellow(
+          `No sitemap at ${environmentName} ${sitemap}: ${error.message}`
+        )
+      );
+    }
+  }
+
+  if (crawl.enabled) {
+    const crawled = await crawlSite(baseUrl, crawl);
+    crawled.forEach((pagePath) => paths.add(pagePath));
+    console.log(
+      esm.chalk.green(`Crawled ${crawled.length} pages on ${environmentName}`)
+    );
+  }
+
+  return [...paths]
+    .filter((pagePath) => isPathSelected(pagePath, include, exclude))
+    .sort()
+    .slice(0, maxPages);
+}
+
+// Whether a page responds without an error status on an environment
+async function pageExists(environmentName, pagePath) {
+  try {
+    const pageUrl = getPageUrl(environmentName, pagePath);
+    const response = await axios.get(pageUrl, {
+      headers: getRequestHeaders(pageUrl),
+      timeout: 30000,
+      maxRedirects: 5,
+      validateStatus: () => true,
+    });
+    return response.status < 400;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Discover pages on every environment and record the pages that exist on
+// some environments but not others. Only pages present everywhere are fed to
+// the tests; the rest are reported.
+async function discoverPages() {
+  await esm.ready;
+
+  const environments = {};
+  for (const environmentName of Object.keys(config.environments)) {
+    environments[environmentName] = await discoverEnvironment(environmentName);
+  }
+
+  const allPaths = [...new Set(Object.values(environments).flat())].sort();
+  const pages = [];
+  const missing = [];
+
+  for (const pagePath of allPaths) {
+    const presentOn = [];
+    const missingFrom = [];
+    for (const [environmentName, paths] of Object.entries(environments)) {
+      // A page missing from one sitemap may still be served, so check it
+      if (paths.includes(pagePath) || (await pageExists(environmentName, pagePath))) {
+        presentOn.push(environmentName);
+      } else {
+        missingFrom.push(environmentName);
+      }
+    }
+
+    if (missingFrom.length === 0) {
+      pages.push(pagePath);
+    } else {
+      missing.push({ path: pagePath, presentOn, missingFrom });
+      console.log(
+        esm.chalk.red(
+          `${pagePath} exists on ${presentOn.join(", ")} but not on ${missingFrom.join(", ")}`
+        )
+      );
+    }
+  }
+
+  const discovery = {
+    generatedAt: new Date().toISOString(),
+    environments,
+    pages,
+    missing,
+  };
+  fs.writeFileSync(DISCOVERY_PATH, JSON.stringify(discovery, null, 2));
+  console.log(
+    esm.chalk.green(
+      `Discovered ${pages.length} pages (${missing.length} missing on some environments): ${DISCOVERY_PATH}`
+    )
+  );
+  return discovery;
+}
+
+module.exports = {
+  globToRegExp,
+  isPathSelected,
+  toPagePath,
+  parseSitemap,
+  fetchSitemapUrls,
+  crawlSite,
+  discoverEnvironment,
+  discoverPages,
+};
@@ -0,0 +1,165 @@
+const fs = require("fs");
+const { config } = require("./config");
+
+// Prefix of setting values read from an environment variable, so secrets
+// stay out of config.js: `password: "env:STAGING_PASSWORD"`
+const SECRET_PREFIX = "env:";
+
+// A setting's value, read from the environment variable it names if it is
+// written as "env:NAME"
+function resolveSecret(value, at) {
+  if (!value.startsWith(SECRET_PREFIX)) {
+    return value;
+  }
+  const variable = value.slice(SECRET_PREFIX.length);
+  if (process.env[variable] === undefined) {
+    throw new Error(`${at}: environment variable ${variable} is not set`);
+  }
+  return process.env[variable];
+}
+
+// The configured environment serving a URL, or null for any other host.
+// Credentials, headers and cookies are only ever sent to their own
+// environment.
+function getEnvironmentForUrl(url) {
+  let origin;
+  try {
+    origin = new URL(url).origin;
+  } catch (error) {
+    return null;
+  }
+  return (
+    Object.values(config.environments).find(
+      (environment) => new URL(environment.baseUrl).origin === origin
+    ) || null
+  );
+}
+
+// Saved Playwright storage state of an environment, or null
+function loadStorageState(environment) {
+  if (!environment.storageState) {
+    return null;
+  }
+  if (!fs.existsSync(environment.storageState)) {
+    throw new Error(
+      `environments.${environment.name}.storageState: ${environment.storageState} does not exist`
+    );
+  }
+  return JSON.parse(fs.readFileSync(environment.storageState, "utf8"));
+}
+
+// Cookies an environment starts with, in Playwright's format: those in its
+// storage state, then its own `cookies`
+function getEnvironmentCookies(environment) {
+  const { hostname } = new URL(environment.baseUrl);
+  const storageState = loadStorageState(environment);
+  return [
+    ...(storageState ? storageState.cookies : []),
+    ...environment.cookies.map((cookie, i) => ({
+      name: cookie.name,
+      value: resolveSecret(cookie.value, `environments.${environment.name}.cookies[${i}].value`),
+      domain: cookie.domain || hostname,
+      path: cookie.path || "/",
+    })),
+  ];
+}
+
+// Basic auth and extra headers of an environment
+function getEnvironmentHeaders(environment) {
+  const at = `environments.${environment.name}`;
+  const headers = {};
+  for (const [name, value] of Object.entries(environment.headers)) {
+    headers[name.toLowerCase()] = resolveSecret(value, `${at}.headers.${name}`);
+  }
+  if (environment.auth) {
+    const username = resolveSecret(environment.auth.username, `${at}.auth.username`);
+    const password = resolveSecret(environment.auth.password, `${at}.auth.password`);
+    headers.authorization = `Basic ${Buffer.from(`${username}:${password}`).toString("base64")}`;
+  }
+  return headers;
+}
+
+// Whether a cookie would be sent to a URL
+function cookieMatches(cookie, url) {
+  const domain = cookie.domain.replace(/^\./, "");
+  return (
+    (url.hostname === domain || url.hostname.endsWith(`.${domain}`)) &&
+    url.pathname.startsWith(cookie.path || "/")
+  );
+}
+
+// Headers for a request made outside the browser (link checks, discovery,
+// real form submissions): the environment's auth, headers and cookies, or
+// nothing for URLs on other hosts
+function getRequestHeaders(url) {
+  const environment = getEnvironmentForUrl(url);
+  if (!environment) {
+    return {};
+  }
+  const headers = getEnvironmentHeaders(environment);
+  const cookies = getEnvironmentCookies(environment).filter((cookie) =>
+    cookieMatches(cookie, new URL(url))
+  );
+  if (cookies.length > 0) {
+    headers.cookie = cookies.map((cookie) => `${cookie.name}=${cookie.value}`).join("; ");
+  }
+  return headers;
+}
+
+// Give a browser context every environment's settings: cookies and local
+// storage up front, and auth and extra headers on each request to the
+// environment's own origin
+async function applyEnvironmentSettings(context) {
+  const environments = Object.values(config.environments);
+  const origins = [];
+
+  for (const environment of environments) {
+    const cookies = getEnvironmentCookies(environment);
+    if (cookies.length > 0) {
+      await context.addCookies(cookies);
+    }
+    const storageState = loadStorageState(environment);
+    if (storageState) {
+      origins.push(...(storageState.origins || []));
+    }
+  }
+
+  if (origins.length > 0) {
+    await context.addInitScript((stateOrigins) => {
+      const state = stateOrigins.find((entry) => entry.origin === window.location.origin);
+      if (state) {
+        for (const { name, value } of state.localStorage) {
+          window.localStorage.setItem(name, value);
+        }
+      }
+    }, origins);
+  }
+
+  const headersByOrigin = new Map(
+    environments
+      .map((environment) => [
+        new URL(environment.baseUrl).origin,
+        getEnvironmentHeaders(environment),
+      ])
+      .filter(([, headers]) => Object.keys(headers).length > 0)
+  );
+  // Page routes run before this one, so they must hand requests on with
+  // `route.fallback()` for the headers to be added
+  if (headersByOrigin.size > 0) {
+    await context.route("**/*", async (route) => {
+      const request = route.request();
+      const headers = headersByOrigin.get(new URL(request.url()).origin);
+      if (!headers) {
+        return route.fallback();
+      }
+      return route.fallback({ headers: { ...request.headers(), ...headers } });
+    });
+  }
+}
+
+module.exports = {
+  resolveSecret,
+  getEnvironmentForUrl,
+  getRequestHeaders,
+  applyEnvironmentSettings,
+};
@@ -0,0 +1,11 @@
+// `pixelmatch` and `chalk` are ESM-only, so they are loaded once with a
+// dynamic import and shared by the CommonJS helpers. Await `ready` before
+// using them outside the test runner.
+const esm = {};
+
+esm.ready = (async () => {
+  esm.pixelmatch = (await import("pixelmatch")).default;
+  esm.chalk = (await import("chalk")).default;
+})();
+
+module.exports = esm;
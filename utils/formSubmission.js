@@ -0,0 +1,263 @@
+const fs = require("fs");
+const path = require("path");
+const esm = require("./esm");
+const { getPageUrl } = require("./config");
+const { getRequestHeaders } = require("./environments");
+const { ensureDirectoryExistence } = require("./screenshots");
+
+// Confirmation responses recorded from real submissions, replayed in dry runs
+const RECORDINGS_DIR = path.join("fixtures", "forms");
+
+// Submission mode: dry runs never reach the server. Real submissions create
+// leads in the CRM and must be requested explicitly with FORM_SUBMIT=real.
+function getSubmissionMode() {
+  return process.env.FORM_SUBMIT === "real" ? "real" : "dry-run";
+}
+
+// Path of the recorded confirmation response for a form
+function getRecordingPath(formId) {
+  return path.join(RECORDINGS_DIR, `${formId}.json`);
+}
+
+// Decode a urlencoded or multipart form body into { name: value }
+function parseFormPayload(contentType = "", body) {
+  const payload = {};
+  if (!body) {
+    return payload;
+  }
+
+  const boundaryMatch = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  if (!boundaryMatch) {
+    for (const [name, value] of new URLSearchParams(body.toString("utf8"))) {
+      payload[name] = value;
+    }
+    return payload;
+  }
+
+  const boundary = `--${boundaryMatch[1] || boundaryMatch[2]}`;
+  for (const part of body.toString("utf8").split(boundary)) {
+    const headerEnd = part.indexOf("\r\n\r\n");
+    if (headerEnd === -1) {
+      continue;
+    }
+    const headers = part.slice(0, headerEnd);
+    const nameMatch = headers.match(/name="([^"]*)"/i);
+    if (!nameMatch || /filename="/i.test(headers)) {
+      continue;
+    }
+    payload[nameMatch[1]] = part.slice(headerEnd + 4).replace(/\r\n$/, "");
+  }
+  return payload;
+}
+
+// Save a real submission's response so dry runs can replay it. Redirects are
+// stored as paths so a recording replays on any environment.
+async function saveRecording(formId, response) {
+  const headers = response.headers();
+  const recording = {
+    recordedAt: new Date().toISOString(),
+    status: response.status(),
+    headers: {
+      "content-type": headers["content-type"] || "text/html; charset=UTF-8",
+    },
+    body: (await response.body()).toString("utf8"),
+  };
+  if (headers.location) {
+    const location = new URL(headers.location, response.url());
+    recording.headers.location = `${location.pathname}${location.search}${location.hash}`;
+  }
+
+  const recordingPath = getRecordingPath(formId);
+  ensureDirectoryExistence(recordingPath);
+  fs.writeFileSync(recordingPath, JSON.stringify(recording, null, 2) + "\n");
+  console.log(esm.chalk.green(`Recorded confirmation response: ${recordingPath}`));
+}
+
+// Escape text for HTML
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// A page holding the confirmation text in markup its selector matches, for
+// forms that confirm in place. Only selectors made of tags, ids and classes,
+// joined by descendant or child combinators, can be built; returns null for
+// anything else.
+function renderConfirmationPage(confirmation) {
+  const compounds = confirmation.selector.trim().split(/\s*>\s*|\s+/);
+  const elements = [];
+  for (const compound of compounds) {
+    const match = compound.match(/^([a-z][a-z0-9-]*)?((?:[.#][\w-]+)*)$/i);
+    if (!match || compound === "") {
+      return null;
+    }
+    const ids = [...match[2].matchAll(/#([\w-]+)/g)].map((part) => part[1]);
+    const classes = [...match[2].matchAll(/\.([\w-]+)/g)].map((part) => part[1]);
+    if (ids.length > 1) {
+      return null;
+    }
+    const attributes = [
+      ids.length > 0 ? ` id="${ids[0]}"` : "",
+      classes.length > 0 ? ` class="${classes.join(" ")}"` : "",
+    ].join("");
+    elements.push({ tag: match[1] || "div", attributes });
+  }
+  const markup = elements.reduceRight(
+    (inner, element) => `<${element.tag}${element.attributes}>${inner}</${element.tag}>`,
+    escapeHtml(confirmation.text)
+  );
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Dry run</title></head><body>${markup}</body></html>`;
+}
+
+// Response to fulfil a dry-run submission with: the recording if there is
+// one, otherwise a redirect to the form's confirmation page, or for a form
+// that confirms in place, a page showing the confirmation message
+function getDryRunResponse(form, environmentName) {
+  const recordingPath = getRecordingPath(form.id);
+  if (fs.existsSync(recordingPath)) {
+    const recording = JSON.parse(fs.readFileSync(recordingPath, "utf8"));
+    const headers = { ...recording.headers };
+    if (headers.location && headers.location.startsWith("/")) {
+      headers.location = getPageUrl(environmentName, headers.location);
+    }
+    return { status: recording.status, headers, body: recording.body };
+  }
+
+  if (form.confirmation.url) {
+    return {
+      status: 303,
+      headers: { location: getPageUrl(environmentName, form.confirmation.url) },
+      body: "",
+    };
+  }
+
+  const body = renderConfirmationPage(form.confirmation);
+  if (body) {
+    return {
+      status: 200,
+      headers: { "content-type": "text/html; charset=UTF-8" },
+      body,
+    };
+  }
+
+  throw new Error(
+    `No recorded confirmation response for the ${form.name} form at ${recordingPath}, ` +
+      `and its confirmation selector '${form.confirmation.selector}' is too complex to ` +
+      "build a page for. Give it a confirmation url or a simpler selector."
+  );
+}
+
+// Intercept the form's Gravity Forms POST. `submitted` resolves with the
+// posted payload once the request has been answered: from the recording in a
+// dry run, or by the server (and recorded) in a real submission.
+async function interceptSubmission(page, form, environmentName, mode) {
+  let settled = false;
+  let resolveSubmitted;
+  let rejectSubmitted;
+  const submitted = new Promise((resolve, reject) => {
+    resolveSubmitted = resolve;
+    rejectSubmitted = reject;
+  });
+
+  await page.route("**/*", async (route) => {
+    const request = route.request();
+    if (settled || request.method() !== "POST") {
+      return route.fallback();
+    }
+
+    const payload = parseFormPayload(
+      request.headers()["content-type"],
+      request.postDataBuffer()
+    );
+    if (!("gform_submit" in payload)) {
+      return route.fallback();
+    }
+    settled = true;
+
+    try {
+      if (mode === "real") {
+        console.log(esm.chalk.yellow(`Sending a real ${form.name} submission.`));
+        // Sent straight to the server, past the context's routes, so the
+        // environment's auth and headers are added here. Its cookies are
+        // already in the context.
+        const { cookie, ...headers } = getRequestHeaders(request.url());
+        const response = await route.fetch({
+          maxRedirects: 0,
+          headers: { ...request.headers(), ...headers },
+        });
+        await saveRecording(form.id, response);
+        await route.fulfill({ response });
+      } else {
+        console.log(esm.chalk.blue(`Dry run: intercepted the ${form.name} submission.`));
+        await route.fulfill(getDryRunResponse(form, environmentName));
+      }
+      resolveSubmitted(payload);
+    } catch (error) {
+      await route.abort().catch(() => {});
+      rejectSubmitted(error);
+    }
+  });
+
+  return { submitted };
+}
+
+// Check the captured payload holds every filled value, the expected hidden
+// fields and, in their tracking fields, the UTM parameters the page was
+// opened with. Parameters without a tracking field in `utmFields` are not
+// checked.
+function assertPayload(form, payload, filledFields) {
+  const problems = [];
+
+  for (const field of filledFields) {
+    if (!field.name || field.type === "checkbox" || field.type === "radio") {
+      continue;
+    }
+    if (payload[field.name] !== String(field.value)) {
+      problems.push(
+        `'${field.label}' (${field.name}) was ${JSON.stringify(
+          payload[field.name]
+        )}, expected ${JSON.stringify(String(field.value))}`
+      );
+    }
+  }
+
+  for (const [name, value] of Object.entries(form.payload || {})) {
+    if (payload[name] !== value) {
+      problems.push(
+        `Hidden field ${name} was ${JSON.stringify(payload[name])}, expected ${JSON.stringify(value)}`
+      );
+    }
+  }
+
+  for (const [parameter, name] of Object.entries(form.utmFields || {})) {
+    const value = form.utm[parameter];
+    if (payload[name] !== value) {
+      problems.push(
+        `UTM ${parameter} (${name}) was ${JSON.stringify(payload[name])}, expected ${JSON.stringify(value)}`
+      );
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(
+      `${form.name} submission payload mismatch:\n${problems
+        .map((problem) => `  - ${problem}`)
+        .join("\n")}`
+    );
+  }
+  console.log(esm.chalk.green(`${form.name} submission payload verified.`));
+}
+
+module.exports = {
+  RECORDINGS_DIR,
+  getSubmissionMode,
+  getRecordingPath,
+  parseFormPayload,
+  renderConfirmationPage,
+  getDryRunResponse,
+  interceptSubmission,
+  assertPayload,
+};
@@ -0,0 +1,281 @@
+const esm = require("./esm");
+const rawForms = require("../forms.js");
+const {
+  config,
+  createValidator,
+  getPage,
+  getPageUrl,
+} = require("./config");
+const {
+  getSubmissionMode,
+  interceptSubmission,
+  assertPayload,
+} = require("./formSubmission");
+const { getNetworkMode } = require("./har");
+
+const FORM_KEYS = [
+  "name",
+  "page",
+  "open",
+  "blockResources",
+  "fields",
+  "submit",
+  "confirmation",
+  "payload",
+  "utm",
+  "utmFields",
+];
+const OPEN_STEP_KEYS = ["click", "waitForUrl", "waitFor"];
+const FIELD_KEYS = ["label", "selector", "type", "value", "generate", "options"];
+const CONFIRMATION_KEYS = ["url", "selector", "text", "caseSensitive", "timeout"];
+const FIELD_TYPES = [
+  "text",
+  "email",
+  "tel",
+  "textarea",
+  "select",
+  "checkbox",
+  "radio",
+];
+
+// Value generators for fields that must differ on every submission
+const generators = {
+  uniqueEmail: ({ prefix = "test", domain = "example.com" } = {}) =>
+    `${prefix}${Date.now()}@${domain}`,
+  uniqueName: ({ prefix = "Test" } = {}) => `${prefix}${Date.now()}`,
+  phone: ({ areaCode = "555" } = {}) =>
+    `${areaCode}${String(Math.floor(Math.random() * 1e7)).padStart(7, "0")}`,
+  zip: () => String(10000 + Math.floor(Math.random() * 89999)),
+};
+
+// Validate forms.js, returning every problem found
+function validateForms(forms) {
+  const v = createValidator();
+  if (!v.isObject(forms, "forms")) {
+    return v.errors;
+  }
+
+  for (const [formId, form] of Object.entries(forms)) {
+    const at = `forms.${formId}`;
+    if (!v.isObject(form, at)) {
+      continue;
+    }
+    v.knownKeys(form, FORM_KEYS, at);
+    v.isString(form.name, `${at}.name`);
+    if (v.isString(form.page, `${at}.page`) && !config.pages.some((p) => p.path === form.page)) {
+      v.error(`${at}.page`, `'${form.page}' is not a page in config.js`);
+    }
+    if (form.open !== undefined && v.isArray(form.open, `${at}.open`)) {
+      form.open.forEach((step, i) => {
+        const stepAt = `${at}.open[${i}]`;
+        if (v.isObject(step, stepAt)) {
+          v.knownKeys(step, OPEN_STEP_KEYS, stepAt);
+          v.isString(step.click, `${stepAt}.click`);
+        }
+      });
+    }
+    if (form.blockResources !== undefined) {
+      v.isStringList(form.blockResources, `${at}.blockResources`);
+    }
+    if (v.isArray(form.fields, `${at}.fields`)) {
+      form.fields.forEach((field, i) => {
+        const fieldAt = `${at}.fields[${i}]`;
+        if (!v.isObject(field, fieldAt)) {
+          return;
+        }
+        v.knownKeys(field, FIELD_KEYS, fieldAt);
+        v.isString(field.label, `${fieldAt}.label`);
+        v.isString(field.selector, `${fieldAt}.selector`);
+        v.isOneOf(field.type, FIELD_TYPES, `${fieldAt}.type`);
+        if ((field.value === undefined) === (field.generate === undefined)) {
+          v.error(fieldAt, "must have exactly one of value or generate");
+        } else if (field.generate !== undefined) {
+          v.isOneOf(field.generate, Object.keys(generators), `${fieldAt}.generate`);
+        }
+      });
+    }
+    v.isString(form.submit, `${at}.submit`);
+    if (v.isObject(form.confirmation, `${at}.confirmation`)) {
+      v.knownKeys(form.confirmation, CONFIRMATION_KEYS, `${at}.confirmation`);
+      v.isString(form.confirmation.selector, `${at}.confirmation.selector`);
+      v.isString(form.confirmation.text, `${at}.confirmation.text`);
+    }
+    for (const key of ["payload", "utm", "utmFields"]) {
+      if (form[key] !== undefined && v.isObject(form[key], `${at}.${key}`)) {
+        for (const [name, value] of Object.entries(form[key])) {
+          v.isString(value, `${at}.${key}.${name}`);
+        }
+      }
+    }
+    for (const parameter of Object.keys(form.utmFields || {})) {
+      if (!form.utm || form.utm[parameter] === undefined) {
+        v.error(`${at}.utmFields.${parameter}`, "is not a parameter in utm");
+      }
+    }
+  }
+
+  return v.errors;
+}
+
+// Validate forms.js and fail fast with every problem listed. Each form is
+// returned with its key as `id`.
+function loadForms(forms = rawForms) {
+  const errors = validateForms(forms);
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid forms.js:\n${errors.map((error) => `  - ${error}`).join("\n")}`
+    );
+  }
+  return Object.fromEntries(
+    Object.entries(forms).map(([id, form]) => [id, { id, ...form }])
+  );
+}
+
+const forms = loadForms();
+
+// Value to enter in a field, generating a fresh one where configured
+function getFieldValue(field) {
+  return field.generate
+    ? generators[field.generate](field.options)
+    : field.value;
+}
+
+// Open the form's page (with the form's UTM parameters) and reveal the form
+async function openForm(page, form, environmentName) {
+  const url = new URL(getPageUrl(environmentName, getPage(form.page).path));
+  for (const [parameter, value] of Object.entries(form.utm || {})) {
+    url.searchParams.set(parameter, value);
+  }
+  const pageUrl = url.toString();
+  console.log(esm.chalk.blue(`Navigating to the ${form.name} form page: ${pageUrl}`));
+  await page.goto(pageUrl, { waitUntil: "domcontentloaded" });
+  console.log(esm.chalk.green("Page loaded successfully."));
+
+  for (const step of form.open || []) {
+    console.log(esm.chalk.blue(`Clicking '${step.click}'...`));
+    await page.click(step.click);
+    if (step.waitForUrl) {
+      const expectedUrl = getPageUrl(environmentName, step.waitForUrl);
+      console.log(esm.chalk.blue(`Waiting for navigation to: ${expectedUrl}`));
+      await page.waitForURL(expectedUrl, { timeout: 10000 });
+    }
+    if (step.waitFor) {
+      await page.waitForSelector(step.waitFor, { timeout: 10000 });
+    }
+  }
+  console.log(esm.chalk.green(`${form.name} form displayed successfully.`));
+
+  if (form.blockResources && form.blockResources.length > 0) {
+    console.log(esm.chalk.blue("Blocking unnecessary resources..."));
+    // Other requests fall back to the context's routes, which add the
+    // environment's auth and headers and replay them from the HAR archive in
+    // replay mode; `route.continue()` would send them past both
+    await page.route("**/*", async (route) => {
+      const url = route.request().url();
+      if (form.blockResources.some((suffix) => url.endsWith(suffix))) {
+        await route.abort();
+      } else {
+        await route.fallback();
+      }
+    });
+    console.log(esm.chalk.green("Unnecessary resources blocked."));
+  }
+}
+
+// Fill every field, returning what was entered: { label, name, type, value }
+// where `name` is the input name the value is posted under
+async function fillForm(page, form) {
+  console.log(esm.chalk.blue(`Filling out the ${form.name} form...`));
+  const filled = [];
+
+  for (const field of form.fields) {
+    const value = getFieldValue(field);
+    if (field.type === "select") {
+      await page.selectOption(field.selector, { value });
+    } else if (field.type === "checkbox" || field.type === "radio") {
+      if (value) {
+        await page.check(field.selector);
+      } else {
+        await page.uncheck(field.selector);
+      }
+    } else {
+      await page.fill(field.selector, String(value));
+    }
+    filled.push({
+      label: field.label,
+      name: await page.getAttribute(field.selector, "name"),
+      type: field.type,
+      value,
+    });
+    console.log(esm.chalk.green(`Filled '${field.label}' with: ${value}`));
+  }
+
+  return filled;
+}
+
+// Submit the form and check the confirmation message
+async function submitForm(page, form) {
+  const { confirmation } = form;
+  const timeout = confirmation.timeout || 30000;
+
+  console.log(esm.chalk.blue(`Submitting the ${form.name} form...`));
+  await page.click(form.submit);
+
+  if (confirmation.url) {
+    await page.waitForURL((url) => url.pathname.includes(confirmation.url), {
+      timeout,
+    });
+    console.log(esm.chalk.blue(`Current URL after submission: ${page.url()}`));
+  }
+
+  console.log(esm.chalk.blue("Waiting for confirmation message..."));
+  await page.waitForSelector(confirmation.selector, { timeout });
+  const confirmationText = await page.textContent(confirmation.selector);
+
+  const normalize = (text) => {
+    const normalized = text.trim().replace(/\s+/g, " ");
+    return confirmation.caseSensitive ? normalized : normalized.toLowerCase();
+  };
+  if (normalize(confirmationText) !== normalize(confirmation.text)) {
+    throw new Error(
+      `Confirmation message mismatch. Found: "${confirmationText.trim()}"`
+    );
+  }
+  console.log(
+    esm.chalk.green(`${form.name} form submitted and confirmation message displayed.`)
+  );
+}
+
+// Open, fill and submit a described form on an environment. The submission
+// is intercepted and its payload checked; in a dry run (the default) it never
+// reaches the server. Returns the filled fields and the posted payload.
+async function runForm(
+  page,
+  form,
+  environmentName = config.targetEnvironment,
+  mode = getSubmissionMode()
+) {
+  if (mode === "real" && getNetworkMode() === "replay") {
+    throw new Error(
+      `A real ${form.name} submission needs the network; run it without NETWORK_MODE=replay`
+    );
+  }
+  await openForm(page, form, environmentName);
+  const { submitted } = await interceptSubmission(page, form, environmentName, mode);
+  const fields = await fillForm(page, form);
+  const [payload] = await Promise.all([submitted, submitForm(page, form)]);
+  assertPayload(form, payload, fields);
+  return { mode, fields, payload };
+}
+
+module.exports = {
+  forms,
+  generators,
+  validateForms,
+  loadForms,
+  getFieldValue,
+  openForm,
+  fillForm,
+  submitForm,
+  runForm,
+};
@@ -0,0 +1,246 @@
+const fs = require("fs");
+const path = require("path");
+const esm = require("./esm");
+const { DISCOVERY_PATH } = require("./config");
+const { ensureDirectoryExistence } = require("./screenshots");
+
+// HAR archives recorded per check, browser, device, environment and page,
+// served back in replay mode
+const HAR_DIR = path.join("fixtures", "har");
+// Pages discovered while recording, so a replay tests the same page set
+const DISCOVERY_ARCHIVE_PATH = path.join(HAR_DIR, DISCOVERY_PATH);
+const NETWORK_MODES = ["live", "record", "replay"];
+
+// Link check responses seen in record mode, saved by saveLinkCheckArchive
+const recordedLinkChecks = new Map();
+// Archived responses by "METHOD url", loaded on first use in replay mode
+let archiveIndex = null;
+
+// Network mode: live runs hit the real hosts, NETWORK_MODE=record also saves
+// every response to HAR archives, NETWORK_MODE=replay serves them back with
+// no network access
+function getNetworkMode() {
+  const mode = process.env.NETWORK_MODE || "live";
+  if (!NETWORK_MODES.includes(mode)) {
+    throw new Error(
+      `NETWORK_MODE must be one of ${NETWORK_MODES.join(", ")}, got '${mode}'`
+    );
+  }
+  return mode;
+}
+
+// Path of the archive for one page visit. `kind` is the check visiting the
+// page ("capture", "link-check" or "form"); the browser and device are part of
+// the path because markup, images and cookies can differ between them.
+function getHarPath({ kind, browserName, deviceName, environmentName, pagePath }) {
+  return path.join(
+    HAR_DIR,
+    kind,
+    browserName,
+    deviceName,
+    environmentName,
+    `${pagePath.replace(/\//g, "_")}.har`
+  );
+}
+
+// Path of the archive of the link checker's responses in one test. Tests run
+// in parallel workers, so each writes an archive of its own.
+function getLinkCheckHarPath(testId) {
+  return path.join(HAR_DIR, `link-check-${testId}.har`);
+}
+
+// Record to or replay from the archive of one page visit (see getHarPath).
+// Use a fresh context per archive: recordings are written when the context
+// closes. In replay mode, requests missing from the archive are aborted and
+// listed in `missingEntries` rather than sent to the network.
+async function routeNetwork(context, archive) {
+  const { environmentName, pagePath } = archive;
+  const mode = getNetworkMode();
+  const harPath = getHarPath(archive);
+  const network = { mode, harPath, missingEntries: [] };
+
+  if (mode === "record") {
+    ensureDirectoryExistence(harPath);
+    await context.routeFromHAR(harPath, { update: true, updateContent: "embed" });
+  } else if (mode === "replay") {
+    if (!fs.existsSync(harPath)) {
+      throw new Error(
+        `No HAR archive for ${pagePath} on ${environmentName} at ${harPath}. ` +
+          "Record one with NETWORK_MODE=record."
+      );
+    }
+    // Registered first, so it only sees requests the archive falls back on
+    await context.route("**/*", async (route) => {
+      const request = route.request();
+      network.missingEntries.push(`${request.method()} ${request.url()}`);
+      await route.abort("internetdisconnected");
+    });
+    await context.routeFromHAR(harPath, { notFound: "fallback" });
+  }
+  return network;
+}
+
+// Log the requests a replayed page needed that its archive did not have
+function reportMissingEntries(network, label) {
+  if (network.missingEntries.length === 0) {
+    return;
+  }
+  console.log(
+    esm.chalk.yellow(
+      `${label}: ${network.missingEntries.length} requests missing from ${network.harPath}:\n  ${network.missingEntries.join("\n  ")}`
+    )
+  );
+}
+
+// HAR header list as a lower-cased header object
+function toHeaderObject(headers = []) {
+  return Object.fromEntries(headers.map(({ name, value }) => [name.toLowerCase(), value]));
+}
+
+// Index every archived response by method and URL
+function loadArchiveIndex() {
+  const index = new Map();
+  const visit = (directory) => {
+    if (!fs.existsSync(directory)) {
+      return;
+    }
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        visit(entryPath);
+      } else if (entry.name.endsWith(".har")) {
+        const har = JSON.parse(fs.readFileSync(entryPath, "utf8"));
+        for (const { request, response } of har.log.entries) {
+          index.set(`${request.method} ${request.url}`, {
+            status: response.status,
+            headers: toHeaderObject(response.headers),
+          });
+        }
+      }
+    }
+  };
+  visit(HAR_DIR);
+  return index;
+}
+
+// Archived response to a request, shaped like the axios responses the link
+// checker reads. A HEAD request is answered by an archived GET if needed.
+function getArchivedResponse(url, method = "GET") {
+  if (!archiveIndex) {
+    archiveIndex = loadArchiveIndex();
+  }
+  const response =
+    archiveIndex.get(`${method} ${url}`) || archiveIndex.get(`GET ${url}`);
+  if (!response) {
+    const error = new Error(`Missing from the HAR archives: ${method} ${url}`);
+    error.code = "ERR_HAR_ENTRY_MISSING";
+    throw error;
+  }
+  return response;
+}
+
+// Remember a response the link checker received, for saveLinkCheckArchive
+function recordLinkCheck(url, method, response) {
+  recordedLinkChecks.set(`${method} ${url}`, {
+    startedDateTime: new Date().toISOString(),
+    time: 0,
+    request: {
+      method,
+      url,
+      httpVersion: "HTTP/1.1",
+      cookies: [],
+      headers: [],
+      queryString: [],
+      headersSize: -1,
+      bodySize: -1,
+    },
+    response: {
+      status: response.status,
+      statusText: response.statusText || "",
+      httpVersion: "HTTP/1.1",
+      cookies: [],
+      headers: Object.entries(response.headers || {}).map(([name, value]) => ({
+        name,
+        value: String(value),
+      })),
+      content: { size: 0, mimeType: response.headers["content-type"] || "" },
+      redirectURL: response.headers.location || "",
+      headersSize: -1,
+      bodySize: -1,
+    },
+    cache: {},
+    timings: { send: 0, wait: 0, receive: 0 },
+  });
+}
+
+// Write the link checker's responses recorded since the last save to the
+// test's own archive
+function saveLinkCheckArchive(testId) {
+  if (recordedLinkChecks.size === 0) {
+    return;
+  }
+  const harPath = getLinkCheckHarPath(testId);
+  const entries = [...recordedLinkChecks.values()];
+  recordedLinkChecks.clear();
+
+  ensureDirectoryExistence(harPath);
+  fs.writeFileSync(
+    harPath,
+    JSON.stringify(
+      {
+        log: {
+          version: "1.2",
+          creator: { name: "avila link check", version: "1.0" },
+          entries,
+        },
+      },
+      null,
+      2
+    )
+  );
+  console.log(esm.chalk.green(`Recorded link check responses: ${harPath}`));
+}
+
+// Keep the pages discovered in record mode with the archives
+function saveDiscoveryArchive() {
+  if (!fs.existsSync(DISCOVERY_PATH)) {
+    return;
+  }
+  ensureDirectoryExistence(DISCOVERY_ARCHIVE_PATH);
+  fs.copyFileSync(DISCOVERY_PATH, DISCOVERY_ARCHIVE_PATH);
+  console.log(esm.chalk.green(`Recorded discovered pages: ${DISCOVERY_ARCHIVE_PATH}`));
+}
+
+// Use the pages discovered when the archives were recorded instead of
+// discovering them again, which needs the network. Without a recording the
+// last discovery results, if any, are left in place.
+function restoreDiscoveryArchive() {
+  if (fs.existsSync(DISCOVERY_ARCHIVE_PATH)) {
+    fs.copyFileSync(DISCOVERY_ARCHIVE_PATH, DISCOVERY_PATH);
+    console.log(esm.chalk.blue(`Replaying discovered pages from ${DISCOVERY_ARCHIVE_PATH}`));
+  } else {
+    console.log(
+      esm.chalk.yellow(
+        `No recorded discovered pages at ${DISCOVERY_ARCHIVE_PATH}; ` +
+          (fs.existsSync(DISCOVERY_PATH)
+            ? `using ${DISCOVERY_PATH} as it is.`
+            : "testing the configured pages only.")
+      )
+    );
+  }
+}
+
+module.exports = {
+  HAR_DIR,
+  DISCOVERY_ARCHIVE_PATH,
+  getNetworkMode,
+  getHarPath,
+  getLinkCheckHarPath,
+  routeNetwork,
+  reportMissingEntries,
+  getArchivedResponse,
+  recordLinkCheck,
+  saveDiscoveryArchive,
+  restoreDiscoveryArchive,
+  saveLinkCheckArchive,
+};
@@ -0,0 +1,161 @@
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const { config } = require("./config");
+const { ensureDirectoryExistence } = require("./screenshots");
+
+// Append-only store of every run's results, one JSON record per line. The
+// comparison reporter appends one record per invocation; a sharded run is
+// recorded once, when its shard reports are merged. Records sharing a run id
+// belong to the same logical run and are read back as one.
+const HISTORY_PATH = path.join("history", "runs.jsonl");
+
+// Output of a git command, or null outside a git checkout
+function git(command) {
+  try {
+    return execSync(`git ${command}`, {
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    }).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Commit, branch and working tree state of the checkout being run
+function getGitMetadata() {
+  const commit = git("rev-parse HEAD");
+  if (!commit) {
+    return null;
+  }
+  return {
+    commit,
+    branch: git("rev-parse --abbrev-ref HEAD"),
+    subject: git("log -1 --format=%s"),
+    dirty: Boolean(git("status --porcelain")),
+  };
+}
+
+// CI variables identifying a pipeline run, the same on every shard and on
+// the job merging their reports
+const CI_RUN_IDS = [
+  () =>
+    process.env.GITHUB_RUN_ID &&
+    `github-${process.env.GITHUB_RUN_ID}-${process.env.GITHUB_RUN_ATTEMPT || 1}`,
+  () => process.env.CI_PIPELINE_ID && `gitlab-${process.env.CI_PIPELINE_ID}`,
+  () => process.env.CIRCLE_WORKFLOW_ID && `circleci-${process.env.CIRCLE_WORKFLOW_ID}`,
+  () => process.env.BUILD_TAG && `jenkins-${process.env.BUILD_TAG}`,
+];
+
+// Id shared by every worker, shard and merge of one run: RUN_ID when set
+// (pass the same value to every shard), else the CI pipeline's run, else the
+// time the global setup started. Stored in RUN_ID for the workers.
+function getRunId() {
+  if (!process.env.RUN_ID) {
+    const ciRunId = CI_RUN_IDS.map((read) => read()).find(Boolean);
+    process.env.RUN_ID = ciRunId || new Date().toISOString();
+  }
+  return process.env.RUN_ID;
+}
+
+// History key of a result: one trend line per page, device, browser and
+// comparison
+function getHistoryKey(result) {
+  return `${result.deviceName}/${result.browserName}/${result.comparison}/${result.pagePath}`;
+}
+
+// Append a record of results to the history
+function appendRun(results, status) {
+  const record = {
+    runId: getRunId(),
+    recordedAt: new Date().toISOString(),
+    git: getGitMetadata(),
+    results: results.map((result) => ({
+      key: getHistoryKey(result),
+      pagePath: result.pagePath,
+      deviceName: result.deviceName,
+      browserName: result.browserName,
+      comparison: result.comparison,
+      similarity:
+        typeof result.similarityPercentage === "number"
+          ? Number(result.similarityPercentage.toFixed(2))
+          : null,
+      status: status(result),
+      error: result.error || null,
+      durationMs: result.durationMs ?? null,
+    })),
+  };
+  ensureDirectoryExistence(HISTORY_PATH);
+  fs.appendFileSync(HISTORY_PATH, JSON.stringify(record) + "\n");
+}
+
+// Every run in the history, oldest first, with the records sharing a run id
+// merged. Run ids need not sort by time, so runs keep the order of their
+// first record in the file.
+function loadHistory() {
+  if (!fs.existsSync(HISTORY_PATH)) {
+    return [];
+  }
+
+  const runs = new Map();
+  for (const line of fs.readFileSync(HISTORY_PATH, "utf8").split("\n")) {
+    if (!line.trim()) {
+      continue;
+    }
+    const record = JSON.parse(line);
+    if (!runs.has(record.runId)) {
+      runs.set(record.runId, { runId: record.runId, git: record.git, results: [] });
+    }
+    runs.get(record.runId).results.push(...record.results);
+  }
+  return [...runs.values()];
+}
+
+// Drop all but the most recent `history.maxRuns` runs. Only called from the
+// global setup, before any worker appends.
+function pruneHistory() {
+  const runs = loadHistory();
+  if (runs.length <= config.history.maxRuns) {
+    return;
+  }
+  const kept = new Set(runs.slice(-config.history.maxRuns).map((run) => run.runId));
+  const lines = fs
+    .readFileSync(HISTORY_PATH, "utf8")
+    .split("\n")
+    .filter((line) => line.trim() && kept.has(JSON.parse(line).runId));
+  fs.writeFileSync(HISTORY_PATH, lines.join("\n") + "\n");
+}
+
+// Recent results of one history key, oldest first (null for runs without it)
+function getTrend(runs, key) {
+  return runs
+    .slice(-config.history.recentRuns)
+    .map((run) => run.results.find((result) => result.key === key) || null);
+}
+
+// Whether a trend flips between pass and fail often enough to call flaky
+function isFlaky(trend) {
+  const statuses = trend
+    .filter(Boolean)
+    .map((result) => result.status)
+    .filter((status) => status === "pass" || status === "fail");
+  let flips = 0;
+  for (let i = 1; i < statuses.length; i++) {
+    if (statuses[i] !== statuses[i - 1]) {
+      flips++;
+    }
+  }
+  return flips >= config.history.flakyFlips;
+}
+
+module.exports = {
+  HISTORY_PATH,
+  getGitMetadata,
+  getRunId,
+  getHistoryKey,
+  appendRun,
+  loadHistory,
+  pruneHistory,
+  getTrend,
+  isFlaky,
+};
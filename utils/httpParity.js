@@ -0,0 +1,265 @@
+const fs = require("fs");
+const { config, getPageUrl } = require("./config");
+const { send, normalizeHref } = require("./linkChecker");
+
+// Where the HTTP parity check writes its results for the report
+const HTTP_RESULTS_PATH = "http_results.json";
+
+// Severity of each rule
+const HTTP_RULES = {
+  unreachable: "error",
+  "error-status": "error",
+  "status-mismatch": "error",
+  "redirect-mismatch": "error",
+  "security-header-mismatch": "error",
+  "missing-security-header": "error",
+  "no-https-redirect": "error",
+  "redirect-map": "error",
+  "caching-header-mismatch": "warning",
+  "temporary-redirect": "warning",
+};
+
+// Requests made for each page: as configured, over http:// and with the
+// trailing slash toggled, keyed by check name
+function getPageChecks(environmentName, pagePath) {
+  const url = getPageUrl(environmentName, pagePath);
+  const checks = { page: url };
+  if (url.startsWith("https:")) {
+    checks.http = url.replace(/^https:/, "http:");
+  }
+  if (pagePath !== "/") {
+    const toggled = new URL(url);
+    toggled.pathname = toggled.pathname.endsWith("/")
+      ? toggled.pathname.slice(0, -1)
+      : `${toggled.pathname}/`;
+    checks.slash = toggled.toString();
+  }
+  return checks;
+}
+
+// Headers kept from each final response, lower-cased
+function getTrackedHeaders() {
+  const { securityHeaders, cachingHeaders, requiredHeaders } = config.http;
+  return [
+    ...new Set([...securityHeaders, ...cachingHeaders, ...requiredHeaders].map((name) =>
+      name.toLowerCase()
+    )),
+  ];
+}
+
+// Request a URL without a browser, following redirects by hand so every hop
+// is recorded. Returns the hops, the final status and URL and the tracked
+// headers of the final response, or the error that stopped it.
+async function fetchChain(url) {
+  const redirects = [];
+  let currentUrl = url;
+  try {
+    for (let hop = 0; hop <= config.http.maxRedirects; hop++) {
+      const response = await send(currentUrl, "GET");
+      const { location } = response.headers;
+      if (response.status >= 300 && response.status < 400 && location) {
+        redirects.push({ url: currentUrl, status: response.status });
+        currentUrl = new URL(location, currentUrl).toString();
+        continue;
+      }
+      return {
+        url,
+        status: response.status,
+        finalUrl: currentUrl,
+        redirects,
+        headers: Object.fromEntries(
+          getTrackedHeaders().map((name) => [name, response.headers[name] ?? null])
+        ),
+      };
+    }
+    throw new Error(`More than ${config.http.maxRedirects} redirects`);
+  } catch (error) {
+    return { url, status: null, finalUrl: currentUrl, redirects, headers: {}, error: error.message };
+  }
+}
+
+// Request every check of a page on an environment
+async function auditResponses(environmentName, pagePath) {
+  const responses = {};
+  for (const [check, url] of Object.entries(getPageChecks(environmentName, pagePath))) {
+    responses[check] = await fetchChain(url);
+  }
+  return responses;
+}
+
+// A URL or header value with the environment's own host written as {host},
+// so values are comparable across environments
+function withoutHost(value, baseUrl) {
+  return value === null ? null : String(value).split(new URL(baseUrl).host).join("{host}");
+}
+
+// Redirect chain as compared across environments: each hop's status and URL,
+// then the URL it ends at
+function formatChain(response, baseUrl) {
+  return [
+    ...response.redirects.map((hop) => `${hop.status} ${withoutHost(hop.url, baseUrl)}`),
+    withoutHost(response.finalUrl, baseUrl),
+  ].join(" → ");
+}
+
+// Build a rule violation or mismatch with the rule's severity
+function violation(rule, environmentName, message) {
+  return { rule, severity: HTTP_RULES[rule], environment: environmentName, message };
+}
+
+// Statuses, redirect chains and headers that differ between the reference
+// and current environments. Headers are compared on the page check only.
+function diffResponses(reference, current, referenceBase, currentBase) {
+  const mismatches = [];
+  const mismatch = (rule, check, field, referenceValue, currentValue) =>
+    mismatches.push({
+      rule,
+      severity: HTTP_RULES[rule],
+      check,
+      field,
+      reference: referenceValue,
+      current: currentValue,
+    });
+
+  for (const [check, currentResponse] of Object.entries(current)) {
+    const referenceResponse = reference[check];
+    if (!referenceResponse || currentResponse.error || referenceResponse.error) {
+      continue;
+    }
+    if (currentResponse.status !== referenceResponse.status) {
+      mismatch("status-mismatch", check, "status", referenceResponse.status, currentResponse.status);
+    }
+    const referenceChain = formatChain(referenceResponse, referenceBase);
+    const currentChain = formatChain(currentResponse, currentBase);
+    if (currentChain !== referenceChain) {
+      mismatch("redirect-mismatch", check, "redirects", referenceChain, currentChain);
+    }
+  }
+
+  if (reference.page && current.page && !reference.page.error && !current.page.error) {
+    const securityHeaders = config.http.securityHeaders.map((name) => name.toLowerCase());
+    const cachingHeaders = config.http.cachingHeaders.map((name) => name.toLowerCase());
+    for (const [headers, rule] of [
+      [securityHeaders, "security-header-mismatch"],
+      [cachingHeaders, "caching-header-mismatch"],
+    ]) {
+      for (const name of headers) {
+        const referenceValue = withoutHost(reference.page.headers[name], referenceBase);
+        const currentValue = withoutHost(current.page.headers[name], currentBase);
+        if (referenceValue !== currentValue) {
+          mismatch(rule, "page", name, referenceValue, currentValue);
+        }
+      }
+    }
+  }
+  return mismatches;
+}
+
+// Rule violations for one page's responses on one environment
+function checkResponseRules(responses, environmentName) {
+  const violations = [];
+  const { page, http } = responses;
+
+  for (const [check, response] of Object.entries(responses)) {
+    if (response.error) {
+      violations.push(violation("unreachable", environmentName, `${check}: ${response.error}`));
+    }
+  }
+  if (page.status >= 400) {
+    violations.push(
+      violation("error-status", environmentName, `${page.finalUrl} returns ${page.status}`)
+    );
+  }
+  if (http && !http.error && !http.finalUrl.startsWith("https:")) {
+    violations.push(
+      violation("no-https-redirect", environmentName, `${http.url} is served without redirecting to https`)
+    );
+  }
+  if (!page.error && config.http.enforceOn.includes(environmentName)) {
+    for (const name of config.http.requiredHeaders) {
+      if (page.headers[name.toLowerCase()] === null) {
+        violations.push(
+          violation("missing-security-header", environmentName, `No ${name} header`)
+        );
+      }
+    }
+  }
+  return violations;
+}
+
+// Old → new paths from the `http.redirectMap` file, or none. Fails fast
+// with every malformed entry listed.
+function loadRedirectMap() {
+  const file = config.http.redirectMap;
+  if (!file) {
+    return [];
+  }
+  if (!fs.existsSync(file)) {
+    throw new Error(`http.redirectMap: ${file} does not exist`);
+  }
+  const redirectMap = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (typeof redirectMap !== "object" || redirectMap === null || Array.isArray(redirectMap)) {
+    throw new Error(`${file}: must be an object of old paths to new paths or URLs`);
+  }
+  const errors = Object.entries(redirectMap)
+    .filter(([from, to]) => !from.startsWith("/") || typeof to !== "string" || to.trim() === "")
+    .map(([from]) => `  - ${from}: must map a path starting with '/' to a path or URL`);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${file}:\n${errors.join("\n")}`);
+  }
+  return Object.entries(redirectMap).map(([from, to]) => ({ from, to }));
+}
+
+// Whether a redirect map entry holds on an environment: the old path must
+// redirect to the new one, permanently, and the new one must load
+function checkRedirect(response, entry, environmentName) {
+  const { baseUrl } = config.environments[environmentName];
+  const violations = [];
+  if (response.error) {
+    return [violation("unreachable", environmentName, `${entry.from}: ${response.error}`)];
+  }
+  const finalPath = normalizeHref(response.finalUrl, baseUrl);
+  if (response.redirects.length === 0) {
+    violations.push(
+      violation("redirect-map", environmentName, `${entry.from} does not redirect (${response.status})`)
+    );
+  } else if (finalPath !== normalizeHref(entry.to, baseUrl)) {
+    violations.push(
+      violation("redirect-map", environmentName, `${entry.from} ends at ${finalPath} instead of ${entry.to}`)
+    );
+  } else if (response.status >= 400) {
+    violations.push(
+      violation("redirect-map", environmentName, `${entry.to} returns ${response.status}`)
+    );
+  }
+  const temporary = response.redirects.filter((hop) => ![301, 308].includes(hop.status));
+  if (temporary.length > 0) {
+    violations.push(
+      violation(
+        "temporary-redirect",
+        environmentName,
+        `${entry.from} redirects with ${temporary.map((hop) => hop.status).join(", ")} instead of 301/308`
+      )
+    );
+  }
+  return violations;
+}
+
+// Mismatches and violations whose severity is configured to fail the run
+function getFailingProblems(problems) {
+  return problems.filter((item) => config.http.failOn.includes(item.severity));
+}
+
+module.exports = {
+  HTTP_RESULTS_PATH,
+  HTTP_RULES,
+  getPageChecks,
+  fetchChain,
+  auditResponses,
+  formatChain,
+  diffResponses,
+  checkResponseRules,
+  loadRedirectMap,
+  checkRedirect,
+  getFailingProblems,
+};
@@ -0,0 +1,307 @@
+const axios = require("axios");
+const { config } = require("./config");
+const { getNetworkMode, getArchivedResponse, recordLinkCheck } = require("./har");
+const { getRequestHeaders } = require("./environments");
+const { runWithConcurrency } = require("./concurrency");
+
+// Results shared across pages (and tests in the same worker), so a stylesheet
+// or logo used on every page is only requested once
+const resultCache = new Map();
+// Time of the last request to each host, for the per-host rate limit
+const lastRequestAt = new Map();
+
+// Collect every resource a page references: anchors, scripts, stylesheets,
+// fonts, images and their srcset candidates, CSS backgrounds and iframes
+async function collectResources(page) {
+  return page.evaluate(() => {
+    const resources = [];
+    const add = (url, type, source) => {
+      if (url && url.trim()) {
+        resources.push({ url: url.trim(), type, source });
+      }
+    };
+    const srcsetUrls = (srcset) =>
+      srcset
+        .split(",")
+        .map((candidate) => candidate.trim().split(/\s+/)[0])
+        .filter(Boolean);
+
+    document
+      .querySelectorAll("a[href]")
+      .forEach((a) => add(a.getAttribute("href"), "anchor", "a[href]"));
+    document
+      .querySelectorAll("script[src]")
+      .forEach((s) => add(s.getAttribute("src"), "script", "script[src]"));
+    document
+      .querySelectorAll("link[rel~='stylesheet'][href]")
+      .forEach((l) => add(l.getAttribute("href"), "stylesheet", "link[rel=stylesheet]"));
+    document
+      .querySelectorAll("link[rel='preload'][as='font'][href]")
+      .forEach((l) => add(l.getAttribute("href"), "font", "link[rel=preload]"));
+    document
+      .querySelectorAll("img[src]")
+      .forEach((img) => add(img.getAttribute("src"), "image", "img[src]"));
+    document
+      .querySelectorAll("img[srcset], picture source[srcset]")
+      .forEach((el) =>
+        srcsetUrls(el.getAttribute("srcset")).forEach((url) =>
+          add(url, "srcset", `${el.tagName.toLowerCase()}[srcset]`)
+        )
+      );
+    document
+      .querySelectorAll("iframe[src]")
+      .forEach((f) => add(f.getAttribute("src"), "iframe", "iframe[src]"));
+
+    // Fonts loaded from @font-face rules show up as resource timing entries
+    performance
+      .getEntriesByType("resource")
+      .filter((entry) => /\.(woff2?|ttf|otf|eot)(\?|$)/i.test(entry.name))
+      .forEach((entry) => add(entry.name, "font", "@font-face"));
+
+    document.querySelectorAll("*").forEach((el) => {
+      const background = getComputedStyle(el).backgroundImage;
+      for (const match of background.matchAll(/url\(["']?(.*?)["']?\)/g)) {
+        add(match[1], "background", `${el.tagName.toLowerCase()} background-image`);
+      }
+    });
+
+    return resources;
+  });
+}
+
+// Whether a URL matches a pattern: `/regex/` or a plain substring
+function matchesPattern(url, pattern) {
+  if (pattern.length > 2 && pattern.startsWith("/") && pattern.endsWith("/")) {
+    return new RegExp(pattern.slice(1, -1)).test(url);
+  }
+  return url.includes(pattern);
+}
+
+// Whether a URL should be skipped: it matches a deny pattern and no allow pattern
+function isDenied(url) {
+  const { allow, deny } = config.linkCheck;
+  return (
+    deny.some((pattern) => matchesPattern(url, pattern)) &&
+    !allow.some((pattern) => matchesPattern(url, pattern))
+  );
+}
+
+// Resolve a referenced URL against the page, or null for non-HTTP links
+function resolveUrl(url, pageUrl) {
+  if (/^(data|mailto|tel|javascript|blob|about):/i.test(url) || url.startsWith("#")) {
+    return null;
+  }
+  try {
+    const resolved = new URL(url, pageUrl);
+    if (resolved.protocol !== "http:" && resolved.protocol !== "https:") {
+      return null;
+    }
+    resolved.hash = "";
+    return resolved.toString();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Comparable form of a link: a path for links on the page's own site, the
+// full URL for external links, or "" for placeholder links
+function normalizeHref(href, baseUrl) {
+  const url = href ? resolveUrl(href, baseUrl) : null;
+  if (!url) {
+    return "";
+  }
+  const resolved = new URL(url);
+  if (resolved.origin === new URL(baseUrl).origin) {
+    return `${resolved.pathname}${resolved.search}`;
+  }
+  return url;
+}
+
+// Wait until the host's rate limit allows another request
+async function waitForHost(url) {
+  const host = new URL(url).host;
+  const interval = config.linkCheck.perHostIntervalMs;
+  const now = Date.now();
+  const next = Math.max(now, (lastRequestAt.get(host) || 0) + interval);
+  lastRequestAt.set(host, next);
+  if (next > now) {
+    await new Promise((resolve) => setTimeout(resolve, next - now));
+  }
+}
+
+// Send one request without following redirects. Replay mode answers from the
+// HAR archives; record mode adds the response to them.
+async function send(url, method) {
+  const mode = getNetworkMode();
+  if (mode === "replay") {
+    return getArchivedResponse(url, method);
+  }
+
+  await waitForHost(url);
+  const options = {
+    headers: getRequestHeaders(url),
+    maxRedirects: 0,
+    timeout: config.linkCheck.timeout,
+    validateStatus: () => true,
+  };
+  const response =
+    method === "HEAD"
+      ? await axios.head(url, options)
+      : await axios.get(url, { ...options, responseType: "stream" }).then((response) => {
+          response.data.destroy();
+          return response;
+        });
+  if (mode === "record") {
+    recordLinkCheck(url, method, response);
+  }
+  return response;
+}
+
+// Request a URL once without following redirects. Falls back from HEAD to
+// GET for servers that do not support HEAD.
+async function request(url) {
+  const head = await send(url, "HEAD");
+  if (![403, 405, 501].includes(head.status)) {
+    return head;
+  }
+  return send(url, "GET");
+}
+
+// Request a URL with retries on network errors, 429 and 5xx responses
+async function requestWithRetries(url) {
+  const { retries } = config.linkCheck;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await request(url);
+      if ((response.status === 429 || response.status >= 500) && attempt < retries) {
+        await new Promise((resolve) => setTimeout(resolve, 1000 * 2 ** attempt));
+        continue;
+      }
+      return response;
+    } catch (error) {
+      // A response missing from the archives will not appear on a retry
+      if (attempt >= retries || error.code === "ERR_HAR_ENTRY_MISSING") {
+        throw error;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 1000 * 2 ** attempt));
+    }
+  }
+}
+
+// Check a URL, following and recording its redirect chain
+async function checkUrl(url) {
+  const redirects = [];
+  let currentUrl = url;
+
+  try {
+    for (let hop = 0; hop <= 10; hop++) {
+      const response = await requestWithRetries(currentUrl);
+      const location = response.headers.location;
+      if (response.status >= 300 && response.status < 400 && location) {
+        redirects.push({ url: currentUrl, status: response.status });
+        currentUrl = new URL(location, currentUrl).toString();
+        continue;
+      }
+
+      const ok = response.status < 400;
+      return {
+        url,
+        status: response.status,
+        finalUrl: currentUrl,
+        redirects,
+        ok,
+        severity: !ok ? "error" : redirects.length > 0 ? "warning" : "ok",
+      };
+    }
+    return {
+      url,
+      status: null,
+      finalUrl: currentUrl,
+      redirects,
+      ok: false,
+      severity: "error",
+      error: "Too many redirects",
+    };
+  } catch (error) {
+    return {
+      url,
+      status: null,
+      finalUrl: currentUrl,
+      redirects,
+      ok: false,
+      severity: "error",
+      error: error.message,
+    };
+  }
+}
+
+// Check a URL once per run, sharing the result across pages
+function checkUrlCached(url) {
+  if (!resultCache.has(url)) {
+    resultCache.set(url, checkUrl(url));
+  }
+  return resultCache.get(url);
+}
+
+// Check every resource on a loaded page and return a structured result
+async function checkPageResources(page, pageUrl) {
+  const { types, concurrency } = config.linkCheck;
+  const references = (await collectResources(page)).filter((resource) =>
+    types.includes(resource.type)
+  );
+
+  // One check per URL, remembering every way the page referenced it
+  const byUrl = new Map();
+  const skipped = [];
+  for (const reference of references) {
+    const url = resolveUrl(reference.url, pageUrl);
+    if (!url) {
+      continue;
+    }
+    if (isDenied(url)) {
+      skipped.push({ ...reference, url });
+      continue;
+    }
+    if (!byUrl.has(url)) {
+      byUrl.set(url, []);
+    }
+    byUrl.get(url).push(reference);
+  }
+
+  const urls = [...byUrl.keys()];
+  const checks = await runWithConcurrency(urls, concurrency, checkUrlCached);
+  const resources = checks.map((check) => ({
+    ...check,
+    types: [...new Set(byUrl.get(check.url).map((reference) => reference.type))],
+    sources: [...new Set(byUrl.get(check.url).map((reference) => reference.source))],
+  }));
+
+  return {
+    pageUrl,
+    checked: resources.length,
+    skipped,
+    broken: resources.filter((resource) => resource.severity === "error"),
+    redirected: resources.filter((resource) => resource.redirects.length > 0),
+    resources,
+  };
+}
+
+// Resources whose severity is configured to fail the run
+function getFailingResources(pageResult) {
+  return pageResult.resources.filter((resource) =>
+    config.linkCheck.failOn.includes(resource.severity)
+  );
+}
+
+module.exports = {
+  collectResources,
+  matchesPattern,
+  isDenied,
+  resolveUrl,
+  normalizeHref,
+  send,
+  checkUrl,
+  checkUrlCached,
+  checkPageResources,
+  getFailingResources,
+};
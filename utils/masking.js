@@ -0,0 +1,133 @@
+const { config, getPage } = require("./config");
+
+// Colour painted over masked elements and ignore regions in both captures, so
+// pixelmatch always sees those pixels as identical
+const MASK_COLOR = { r: 255, g: 0, b: 255 };
+
+// Merge the global masking config with the overrides for one page
+function getMaskingOptions(pagePath) {
+  const pageMasking = getPage(pagePath).masking;
+
+  return {
+    hide: [...config.masking.hide, ...pageMasking.hide],
+    mask: [...config.masking.mask, ...pageMasking.mask],
+    ignoreRegions: [
+      ...config.masking.ignoreRegions,
+      ...pageMasking.ignoreRegions,
+    ].map((region) => ({ ...region, reason: region.reason || "ignore region" })),
+  };
+}
+
+// Page-coordinate bounding boxes of every element matching the selectors
+async function getElementRegions(page, selectors, reason) {
+  if (selectors.length === 0) {
+    return [];
+  }
+
+  return page.evaluate(
+    ({ selectors, reason }) => {
+      const regions = [];
+      for (const selector of selectors) {
+        let elements = [];
+        try {
+          elements = document.querySelectorAll(selector);
+        } catch (error) {
+          // Invalid selectors are reported by Playwright when masking
+          continue;
+        }
+        for (const element of elements) {
+          const rect = element.getBoundingClientRect();
+          if (rect.width > 0 && rect.height > 0) {
+            regions.push({
+              x: Math.round(rect.left + window.scrollX),
+              y: Math.round(rect.top + window.scrollY),
+              width: Math.round(rect.width),
+              height: Math.round(rect.height),
+              reason: `${reason}: ${selector}`,
+            });
+          }
+        }
+      }
+      return regions;
+    },
+    { selectors, reason }
+  );
+}
+
+// Map a region from an image's native size into a `fit: contain` resize
+function scaleRegion(region, sourceWidth, sourceHeight, width, height) {
+  const scale = Math.min(width / sourceWidth, height / sourceHeight);
+  const offsetX = Math.floor((width - Math.round(sourceWidth * scale)) / 2);
+  const offsetY = Math.floor((height - Math.round(sourceHeight * scale)) / 2);
+
+  const x = Math.max(0, Math.floor(region.x * scale) + offsetX);
+  const y = Math.max(0, Math.floor(region.y * scale) + offsetY);
+  return {
+    x,
+    y,
+    width: Math.min(width - x, Math.ceil(region.width * scale)),
+    height: Math.min(height - y, Math.ceil(region.height * scale)),
+    reason: region.reason,
+  };
+}
+
+// Round a region to whole pixels and clip it to an image of the given size
+function clipRegion(region, width, height) {
+  const x = Math.max(0, Math.floor(region.x));
+  const y = Math.max(0, Math.floor(region.y));
+  return {
+    ...region,
+    x,
+    y,
+    width: Math.max(0, Math.min(width, Math.ceil(region.x + region.width)) - x),
+    height: Math.max(0, Math.min(height, Math.ceil(region.y + region.height)) - y),
+  };
+}
+
+// Paint regions onto a decoded PNG and mark them in the ignore mask
+function paintRegions(png, regions, ignoreMask) {
+  for (const region of regions) {
+    for (let y = region.y; y < region.y + region.height; y++) {
+      for (let x = region.x; x < region.x + region.width; x++) {
+        const pixel = y * png.width + x;
+        const offset = pixel * 4;
+        png.data[offset] = MASK_COLOR.r;
+        png.data[offset + 1] = MASK_COLOR.g;
+        png.data[offset + 2] = MASK_COLOR.b;
+        png.data[offset + 3] = 255;
+        if (ignoreMask) {
+          ignoreMask[pixel] = 1;
+        }
+      }
+    }
+  }
+}
+
+// Paint the regions left out of an aligned comparison. `ignoreRegions` are
+// static, so they have the same page coordinates in both captures and go onto
+// both images. Masked regions are where each capture found its elements, so
+// `baselineRegions` go onto the baseline only and `currentRegions` onto the
+// current image only: a section shifting the page moves its masks with it.
+// Returns the regions painted onto the current image, marked in `ignoreMask`.
+function paintAlignedRegions(baseline, current, width, regions, ignoreMask) {
+  const clip = (list, png) =>
+    list
+      .map((region) => clipRegion(region, width, png.height))
+      .filter((region) => region.width > 0 && region.height > 0);
+  const { ignoreRegions = [], baselineRegions = [], currentRegions = [] } = regions;
+
+  paintRegions(baseline, clip([...ignoreRegions, ...baselineRegions], baseline));
+  const painted = clip([...ignoreRegions, ...currentRegions], current);
+  paintRegions(current, painted, ignoreMask);
+  return painted;
+}
+
+module.exports = {
+  MASK_COLOR,
+  getMaskingOptions,
+  getElementRegions,
+  scaleRegion,
+  clipRegion,
+  paintRegions,
+  paintAlignedRegions,
+};
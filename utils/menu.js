@@ -0,0 +1,167 @@
+const { config } = require("./config");
+const {
+  resolveUrl,
+  normalizeHref,
+  isDenied,
+  checkUrlCached,
+} = require("./linkChecker");
+const { runWithConcurrency } = require("./concurrency");
+
+// Menu trees, link checks and differences written by the menu test
+const MENU_RESULTS_PATH = "menu_check_results.json";
+
+// Read the mega menu as a tree of { id, label, href, children }. Items without
+// a link of their own (widgets in the mega panels) are left out.
+async function extractMenuTree(page) {
+  const { selector, item, link } = config.menu;
+  return page.evaluate(
+    ({ selector, item, link }) => {
+      const menu = document.querySelector(selector);
+      if (!menu) {
+        return null;
+      }
+      const childItems = (parent) =>
+        [...(parent || menu).querySelectorAll(item)].filter(
+          (li) => (li.parentElement.closest(item) || null) === (parent || null)
+        );
+      const build = (li) => {
+        const anchor = li.querySelector(`:scope > ${link}`);
+        if (!anchor) {
+          return null;
+        }
+        return {
+          id: li.id,
+          label: anchor.textContent.replace(/\s+/g, " ").trim(),
+          href: anchor.getAttribute("href"),
+          children: childItems(li).map(build).filter(Boolean),
+        };
+      };
+      return childItems(null).map(build).filter(Boolean);
+    },
+    { selector, item, link }
+  );
+}
+
+// Label path of an entry, e.g. "Online Programs > Business > MBA"
+function entryPath(parents, entry) {
+  return [...parents, entry.label].join(" > ");
+}
+
+// Diff two menu trees, matching siblings by label and then by href. Returns
+// changes of type missing, added, renamed and repointed.
+function diffMenuTrees(reference, current, referenceBase, currentBase, parents = []) {
+  const changes = [];
+  const unmatchedReference = [...reference];
+  const unmatchedCurrent = [...current];
+  const pairs = [];
+
+  const take = (list, predicate) => {
+    const index = list.findIndex(predicate);
+    return index === -1 ? null : list.splice(index, 1)[0];
+  };
+
+  for (const entry of reference) {
+    const match = take(unmatchedCurrent, (candidate) => candidate.label === entry.label);
+    if (match) {
+      unmatchedReference.splice(unmatchedReference.indexOf(entry), 1);
+      pairs.push([entry, match]);
+    }
+  }
+  for (const entry of [...unmatchedReference]) {
+    const href = normalizeHref(entry.href, referenceBase);
+    const match =
+      href &&
+      take(
+        unmatchedCurrent,
+        (candidate) => normalizeHref(candidate.href, currentBase) === href
+      );
+    if (match) {
+      unmatchedReference.splice(unmatchedReference.indexOf(entry), 1);
+      changes.push({
+        type: "renamed",
+        path: entryPath(parents, match),
+        from: entry.label,
+        to: match.label,
+      });
+      pairs.push([entry, match]);
+    }
+  }
+
+  for (const [entry, match] of pairs) {
+    const from = normalizeHref(entry.href, referenceBase);
+    const to = normalizeHref(match.href, currentBase);
+    if (from !== to) {
+      changes.push({ type: "repointed", path: entryPath(parents, match), from, to });
+    }
+    changes.push(
+      ...diffMenuTrees(entry.children, match.children, referenceBase, currentBase, [
+        ...parents,
+        match.label,
+      ])
+    );
+  }
+  for (const entry of unmatchedReference) {
+    changes.push({
+      type: "missing",
+      path: entryPath(parents, entry),
+      from: normalizeHref(entry.href, referenceBase),
+    });
+  }
+  for (const entry of unmatchedCurrent) {
+    changes.push({
+      type: "added",
+      path: entryPath(parents, entry),
+      to: normalizeHref(entry.href, currentBase),
+    });
+  }
+
+  return changes;
+}
+
+// Every entry of a menu tree with its label path
+function flattenMenuTree(tree, parents = []) {
+  return tree.flatMap((entry) => [
+    { ...entry, path: entryPath(parents, entry) },
+    ...flattenMenuTree(entry.children, [...parents, entry.label]),
+  ]);
+}
+
+// Request every menu link, returning its status and final URL. Entries with
+// no href are broken unless they only open a submenu.
+async function checkMenuLinks(tree, baseUrl) {
+  const entries = flattenMenuTree(tree);
+  const checks = await runWithConcurrency(
+    entries,
+    config.linkCheck.concurrency,
+    async (entry) => {
+      const url = entry.href ? resolveUrl(entry.href, baseUrl) : null;
+      if (!url) {
+        return entry.children.length > 0
+          ? null
+          : { path: entry.path, href: entry.href, ok: false, error: "No link" };
+      }
+      if (isDenied(url)) {
+        return null;
+      }
+      const check = await checkUrlCached(url);
+      return {
+        path: entry.path,
+        href: entry.href,
+        url,
+        status: check.status,
+        finalUrl: check.finalUrl,
+        ok: check.ok,
+        error: check.error,
+      };
+    }
+  );
+  return checks.filter(Boolean);
+}
+
+module.exports = {
+  MENU_RESULTS_PATH,
+  extractMenuTree,
+  diffMenuTrees,
+  flattenMenuTree,
+  checkMenuLinks,
+};
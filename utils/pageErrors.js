@@ -0,0 +1,132 @@
+const { config } = require("./config");
+const { matchesPattern } = require("./linkChecker");
+const { getNetworkMode } = require("./har");
+
+// Whether an entry matches one of the configured noise patterns
+function isNoise(entry) {
+  return config.pageErrors.ignore.some(
+    (pattern) =>
+      matchesPattern(entry.message, pattern) ||
+      Boolean(entry.url && matchesPattern(entry.url, pattern))
+  );
+}
+
+// Comparable form of an entry: every environment's host becomes {host} and
+// query strings (cache-busting versions) are dropped, so the same error on
+// two environments has the same key
+function getErrorKey(entry) {
+  let text = `${entry.kind} ${entry.message} ${entry.url || ""}`;
+  for (const environment of Object.values(config.environments)) {
+    text = text.split(new URL(environment.baseUrl).host).join("{host}");
+  }
+  return text.replace(/\?[^\s"'()]*/g, "");
+}
+
+// Record JavaScript exceptions (pageError), console errors (consoleError),
+// failed requests (failedRequest) and mixed content (mixedContent) on a page
+// until stopped. Failed requests include blocked ones and 4xx/5xx responses.
+// Entries matching `pageErrors.ignore` are dropped and repeats are counted
+// once, under the URL of the page first showing them. In replay mode, requests
+// aborted because the HAR archive lacks them are left to reportMissingEntries.
+function startErrorCollector(page) {
+  const entries = new Map();
+  const add = (entry) => {
+    if (isNoise(entry)) {
+      return;
+    }
+    const key = getErrorKey(entry);
+    if (entries.has(key)) {
+      entries.get(key).count++;
+    } else {
+      entries.set(key, { ...entry, key, pageUrl: page.url(), count: 1 });
+    }
+  };
+  const isSecurePage = () => page.url().startsWith("https:");
+
+  const listeners = {
+    pageerror: (error) => add({ kind: "pageError", message: error.message }),
+    console: (message) => {
+      const text = message.text();
+      if (/mixed content/i.test(text)) {
+        add({ kind: "mixedContent", message: text, url: message.location().url || null });
+      } else if (message.type() === "error") {
+        add({ kind: "consoleError", message: text, url: message.location().url || null });
+      }
+    },
+    request: (request) => {
+      if (request.url().startsWith("http:") && isSecurePage()) {
+        add({
+          kind: "mixedContent",
+          message: `Insecure ${request.resourceType()} requested over http`,
+          url: request.url(),
+        });
+      }
+    },
+    requestfailed: (request) => {
+      const errorText = request.failure() ? request.failure().errorText : "failed";
+      if (getNetworkMode() === "replay" && /INTERNET_DISCONNECTED/.test(errorText)) {
+        return;
+      }
+      add({
+        kind: "failedRequest",
+        message: `${request.resourceType()} ${errorText}`,
+        url: request.url(),
+      });
+    },
+    response: (response) => {
+      if (response.status() >= 400) {
+        add({
+          kind: "failedRequest",
+          message: `${response.request().resourceType()} ${response.status()}`,
+          url: response.url(),
+        });
+      }
+    },
+  };
+  for (const [event, listener] of Object.entries(listeners)) {
+    page.on(event, listener);
+  }
+
+  return {
+    stop() {
+      for (const [event, listener] of Object.entries(listeners)) {
+        page.off(event, listener);
+      }
+      return [...entries.values()];
+    },
+  };
+}
+
+// Record problems on every page of a context, open now or later, for tests
+// that visit many pages. stop() returns the entries of all of them.
+function startContextErrorCollector(context) {
+  const collectors = context.pages().map(startErrorCollector);
+  const onPage = (page) => collectors.push(startErrorCollector(page));
+  context.on("page", onPage);
+  return {
+    stop() {
+      context.off("page", onPage);
+      return collectors.flatMap((collector) => collector.stop());
+    },
+  };
+}
+
+// Entries on the current environment with no counterpart on the reference,
+// which usually point at a broken plugin or theme deploy
+function findNewErrors(current, reference) {
+  const referenceKeys = new Set(reference.map((entry) => entry.key));
+  return current.filter((entry) => !referenceKeys.has(entry.key));
+}
+
+// New entries of the kinds configured to fail the comparison
+function getFailingErrors(newErrors) {
+  return newErrors.filter((entry) => config.pageErrors.failOn.includes(entry.kind));
+}
+
+module.exports = {
+  getErrorKey,
+  startErrorCollector,
+  startContextErrorCollector,
+  findNewErrors,
+  getFailingErrors,
+};
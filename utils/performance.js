@@ -0,0 +1,131 @@
+const { config } = require("./config");
+
+// Pages that already have the observers installed
+const observedPages = new WeakSet();
+
+// Record LCP, layout shifts and long tasks from the start of every document
+// the page loads. Browsers without an entry type simply report nothing for it.
+async function installPerformanceObservers(page) {
+  if (observedPages.has(page)) {
+    return;
+  }
+  observedPages.add(page);
+
+  await page.addInitScript(() => {
+    const metrics = { lcp: null, cls: 0, tbt: 0, longTasks: 0 };
+    window.__performanceMetrics = metrics;
+    const observe = (type, callback) => {
+      try {
+        new PerformanceObserver((list) => list.getEntries().forEach(callback)).observe({
+          type,
+          buffered: true,
+        });
+      } catch (error) {
+        metrics[`${type}Unsupported`] = true;
+      }
+    };
+
+    observe("largest-contentful-paint", (entry) => {
+      metrics.lcp = entry.startTime;
+    });
+    observe("layout-shift", (entry) => {
+      if (!entry.hadRecentInput) {
+        metrics.cls += entry.value;
+      }
+    });
+    observe("longtask", (entry) => {
+      metrics.longTasks++;
+      metrics.tbt += Math.max(0, entry.duration - 50);
+    });
+  });
+}
+
+// Count requests and transferred bytes by resource type until stopped
+function startNetworkCollector(page) {
+  const sizes = [];
+  const onRequestFinished = (request) => {
+    sizes.push(
+      request
+        .sizes()
+        .then((size) => ({
+          type: request.resourceType(),
+          bytes: size.responseHeadersSize + size.responseBodySize,
+        }))
+        .catch(() => ({ type: request.resourceType(), bytes: 0 }))
+    );
+  };
+  page.on("requestfinished", onRequestFinished);
+
+  return {
+    async stop() {
+      page.off("requestfinished", onRequestFinished);
+      const finished = await Promise.all(sizes);
+      const bytesByType = {};
+      for (const { type, bytes } of finished) {
+        bytesByType[type] = (bytesByType[type] || 0) + Math.max(0, bytes);
+      }
+      return {
+        requests: finished.length,
+        totalBytes: Object.values(bytesByType).reduce((sum, bytes) => sum + bytes, 0),
+        bytesByType,
+      };
+    },
+  };
+}
+
+// Navigation timing and observer metrics of the loaded page, plus the
+// collector's network totals
+async function collectPerformanceMetrics(page, collector) {
+  const timing = await page.evaluate(() => {
+    const [navigation] = performance.getEntriesByType("navigation");
+    const round = (value) => (value > 0 ? Math.round(value) : null);
+    const observed = window.__performanceMetrics || {};
+    return {
+      ttfb: navigation ? round(navigation.responseStart) : null,
+      domContentLoaded: navigation ? round(navigation.domContentLoadedEventEnd) : null,
+      load: navigation ? round(navigation.loadEventEnd) : null,
+      lcp: observed.lcp === null || observed.lcp === undefined ? null : Math.round(observed.lcp),
+      cls: observed["layout-shiftUnsupported"] ? null : Number((observed.cls || 0).toFixed(4)),
+      tbt: observed.longtaskUnsupported ? null : Math.round(observed.tbt || 0),
+    };
+  });
+  return { ...timing, ...(await collector.stop()) };
+}
+
+// Metrics over their configured budget
+function checkBudgets(metrics) {
+  return Object.entries(config.performance.budgets)
+    .filter(([metric, budget]) => typeof metrics[metric] === "number" && metrics[metric] > budget)
+    .map(([metric, budget]) => ({ metric, value: metrics[metric], budget }));
+}
+
+// Metrics where the current environment is worse than the reference by more
+// than the allowed percentage, including bytes of each resource type
+function compareMetrics(current, reference) {
+  const { maxRegressionPercent, compare } = config.performance;
+  const pairs = compare.map((metric) => [metric, current[metric], reference[metric]]);
+  for (const [type, bytes] of Object.entries(current.bytesByType)) {
+    pairs.push([`${type} bytes`, bytes, reference.bytesByType[type] || 0]);
+  }
+
+  return pairs
+    .filter(
+      ([, value, referenceValue]) =>
+        typeof value === "number" && typeof referenceValue === "number" && referenceValue > 0
+    )
+    .map(([metric, value, referenceValue]) => ({
+      metric,
+      value,
+      reference: referenceValue,
+      changePercent: Number((((value - referenceValue) / referenceValue) * 100).toFixed(1)),
+    }))
+    .filter((comparison) => comparison.changePercent > maxRegressionPercent);
+}
+
+module.exports = {
+  installPerformanceObservers,
+  startNetworkCollector,
+  collectPerformanceMetrics,
+  checkBudgets,
+  compareMetrics,
+};
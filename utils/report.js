@@ -0,0 +1,1265 @@
+const fs = require("fs");
+const path = require("path");
+const { config, getPageUrl, loadDiscovery } = require("./config");
+const esm = require("./esm");
+const { ensureDirectoryExistence } = require("./screenshots");
+const { SEO_RESULTS_PATH } = require("./seo");
+const { HTTP_RESULTS_PATH, formatChain } = require("./httpParity");
+const { getFailingErrors } = require("./pageErrors");
+const { ACCESSIBILITY_RESULTS_PATH } = require("./accessibility");
+const { CATALOG_RESULTS_PATH } = require("./catalog");
+const { MENU_RESULTS_PATH } = require("./menu");
+const {
+  loadHistory,
+  getHistoryKey,
+  getTrend,
+  isFlaky,
+} = require("./history");
+const {
+  VIEWER_STYLES,
+  renderFilters,
+  renderViewer,
+  renderViewerData,
+  renderViewerScript,
+} = require("./reportViewer");
+
+// Name of the test attachment carrying a page's comparison results, read
+// back by the comparison reporter
+const RESULTS_ATTACHMENT = "visual-results";
+
+// Attach a test's results as `name` for the comparison reporter to read
+// back, so reports merged from shards have them too. Audits also write them
+// to `filePath` for the report of a local run.
+async function attachResults(testInfo, name, filePath, data) {
+  const body = JSON.stringify(data, null, 2);
+  if (filePath) {
+    fs.writeFileSync(filePath, body);
+  }
+  await testInfo.attach(name, { body, contentType: "application/json" });
+}
+
+// Escape a value for the report's HTML. Page text, URLs, selectors and error
+// messages all end up in the report.
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Image path as linked from the report, or null when the file is missing.
+// Paths stay relative so the report works when opened from disk.
+function reportImagePath(imagePath) {
+  if (!imagePath || !fs.existsSync(imagePath)) {
+    return null;
+  }
+  return imagePath.replace(/\\/g, "/");
+}
+
+// Save results for one device/browser combination
+function saveResults(results, deviceName, browserName) {
+  const resultsPath = path.join(
+    "screenshots",
+    deviceName,
+    browserName,
+    "results.json"
+  );
+  ensureDirectoryExistence(resultsPath);
+  fs.writeFileSync(resultsPath, JSON.stringify(results, null, 2));
+}
+
+// Load saved results for every device/browser combination in the matrix
+function loadMatrixResults() {
+  const results = [];
+  for (const deviceName of Object.keys(config.matrix.devices)) {
+    for (const browserName of config.matrix.browsers) {
+      const resultsPath = path.join(
+        "screenshots",
+        deviceName,
+        browserName,
+        "results.json"
+      );
+      if (fs.existsSync(resultsPath)) {
+        results.push(...JSON.parse(fs.readFileSync(resultsPath, "utf8")));
+      }
+    }
+  }
+  return results;
+}
+
+// Whether a result meets its page's similarity threshold and diff rules and
+// its current environment has no new page errors of a failing kind. Pages
+// compared against an approved baseline must also have the reference
+// environment matching that baseline.
+function isPass(result) {
+  const threshold = result.threshold ?? config.defaults.threshold;
+  const meetsThreshold = (similarity) =>
+    typeof similarity === "number" && similarity >= threshold;
+
+  return (
+    meetsThreshold(result.similarityPercentage) &&
+    (result.ruleViolations || []).length === 0 &&
+    getFailingErrors(result.newPageErrors || []).length === 0 &&
+    (result.comparedAgainst !== "baseline" ||
+      meetsThreshold(result.referenceSimilarityPercentage))
+  );
+}
+
+// Status of a result: "pass", "fail" or "error"
+function getResultStatus(result) {
+  if (result.similarityPercentage === "Error") {
+    return "error";
+  }
+  return isPass(result) ? "pass" : "fail";
+}
+
+// Plain-text reason a result did not pass, for assertion messages
+function describeFailure(result) {
+  const label = `${result.pagePath} on ${result.deviceName}/${result.browserName} (${result.comparison})`;
+  if (result.similarityPercentage === "Error") {
+    return `${label}: ${result.error}`;
+  }
+  const threshold = result.threshold ?? config.defaults.threshold;
+  const against =
+    result.comparedAgainst === "baseline"
+      ? `baseline v${result.baseline.version}`
+      : result.referenceEnvironment;
+  let description = `${label}: ${result.currentEnvironment} is ${result.similarityPercentage.toFixed(
+    2
+  )}% similar to ${against}, threshold ${threshold}%`;
+  if (typeof result.referenceSimilarityPercentage === "number") {
+    description += `; ${result.referenceEnvironment} is ${result.referenceSimilarityPercentage.toFixed(
+      2
+    )}% similar to the baseline`;
+  }
+  if (result.ruleViolations && result.ruleViolations.length > 0) {
+    description += `; diff rules broken: ${result.ruleViolations.join("; ")}`;
+  }
+  const newErrors = getFailingErrors(result.newPageErrors || []);
+  if (newErrors.length > 0) {
+    description += `; new on ${result.currentEnvironment}: ${newErrors
+      .map((entry) => `${entry.kind} ${entry.message}${entry.url ? ` (${entry.url})` : ""}`)
+      .join("; ")}`;
+  }
+  return description;
+}
+
+// Format a similarity value for the report
+function formatSimilarity(similarity) {
+  if (similarity === undefined) {
+    return "N/A";
+  }
+  return typeof similarity === "number"
+    ? similarity.toFixed(2) + "%"
+    : escapeHtml(similarity);
+}
+
+// Similarity with the perceptual metrics behind it
+function renderSimilarity(result) {
+  const { metrics } = result;
+  if (!metrics) {
+    return formatSimilarity(result.similarityPercentage);
+  }
+  return `${formatSimilarity(result.similarityPercentage)}<br /><small>SSIM ${metrics.ssim.toFixed(
+    4
+  )}<br />${metrics.mismatchedPixels} changed px, ${metrics.antialiasedPixels} anti-aliased</small>`;
+}
+
+// Changed regions, top to bottom, with their size, position and
+// before/after/diff crops. Broken diff rules and the regions breaking them
+// are marked, and open the list by default.
+function renderChangedRegions(result) {
+  const regions = result.changedRegions;
+  if (!regions) {
+    return "N/A";
+  }
+  const violations = result.ruleViolations || [];
+  if (regions.length === 0 && violations.length === 0) {
+    return "None";
+  }
+  const hidden = (result.regionCount || regions.length) - regions.length;
+  const items = regions.map((region) => {
+    const crops = ["before", "after", "diff"]
+      .map((side) => reportImagePath(region.crops && region.crops[side]))
+      .filter(Boolean)
+      .map(
+        (cropPath) =>
+          `<a href="${escapeHtml(cropPath)}" target="_blank"><img src="${escapeHtml(cropPath)}" /></a>`
+      )
+      .join("");
+    return `<li class="${region.violation ? "fail" : ""}">${region.width}x${region.height} at (${
+      region.x
+    }, ${region.y})${region.inserted ? ", inserted section" : `, ${region.changedPixels} px changed`}${
+      region.violation ? `: ${escapeHtml(region.violation)}` : ""
+    }${crops ? `<span class="region-crops">${crops}</span>` : ""}</li>`;
+  });
+
+  return `<details${violations.length > 0 ? " open" : ""}><summary>${
+    result.regionCount || regions.length
+  } regions${
+    violations.length > 0 ? `, <span class="fail">${violations.length} rules broken</span>` : ""
+  }</summary>${
+    violations.length > 0
+      ? `<ul>${violations.map((violation) => `<li class="fail">${escapeHtml(violation)}</li>`).join("")}</ul>`
+      : ""
+  }<ol>${items.join("")}</ol>${
+    hidden > 0 ? `<small>${hidden} smaller regions not listed</small>` : ""
+  }</details>`;
+}
+
+// Describe what a result was compared against, including baseline review history
+function describeComparison(result) {
+  if (result.comparedAgainst !== "baseline") {
+    return `${escapeHtml(result.currentEnvironment)} vs ${escapeHtml(result.referenceEnvironment)}`;
+  }
+
+  const { version, approvedBy, approvedAt, lastRejection } = result.baseline;
+  let description = `${escapeHtml(result.currentEnvironment)} vs baseline v${version}<br /><small>approved by ${escapeHtml(
+    approvedBy
+  )} on ${new Date(approvedAt).toLocaleString()}</small>`;
+  if (lastRejection) {
+    description += `<br /><small class="fail">last rejected by ${escapeHtml(
+      lastRejection.rejectedBy
+    )}${lastRejection.reason ? `: ${escapeHtml(lastRejection.reason)}` : ""}</small>`;
+  }
+  return description;
+}
+
+// Overlay the masked and ignored regions on a diff thumbnail
+function renderIgnoredRegions(regions = [], width = 1280, height = 800) {
+  const percent = (value, total) => `${((value / total) * 100).toFixed(2)}%`;
+
+  return regions
+    .map(
+      (region) =>
+        `<span class="ignored-region" title="${escapeHtml(region.reason || "ignored")}" style="left: ${percent(
+          region.x,
+          width
+        )}; top: ${percent(region.y, height)}; width: ${percent(
+          region.width,
+          width
+        )}; height: ${percent(region.height, height)};"></span>`
+    )
+    .join("");
+}
+
+// List layout findings such as inserted sections or size mismatches
+function renderFindings(result) {
+  const findings = [
+    ...(result.findings || []),
+    ...(result.referenceFindings || []).map((finding) => ({
+      ...finding,
+      message: `${result.referenceEnvironment}: ${finding.message}`,
+    })),
+  ];
+  if (findings.length === 0) {
+    return "None";
+  }
+  return `<ul>${findings
+    .map((finding) => `<li>${escapeHtml(finding.message)}</li>`)
+    .join("")}</ul>`;
+}
+
+// Outcome and duration of each stabilization step per environment, opened
+// by default when a step failed or timed out
+function renderStabilization(result) {
+  if (!result.stabilization) {
+    return "";
+  }
+  return Object.entries(result.stabilization)
+    .filter(([, steps]) => steps && steps.length > 0)
+    .map(([environmentName, steps]) => {
+      const problems = steps.filter((step) => step.status !== "ok");
+      const totalMs = steps.reduce((sum, step) => sum + step.durationMs, 0);
+      return `<details class="legend"${problems.length > 0 ? " open" : ""}><summary>${escapeHtml(
+        environmentName
+      )} stabilized in ${(totalMs / 1000).toFixed(1)}s${
+        problems.length > 0 ? `, <span class="fail">${problems.length} of ${steps.length} steps failed or timed out</span>` : ""
+      }</summary><ul>${steps
+        .map(
+          (step) =>
+            `<li class="${step.status === "ok" ? "" : "fail"}">${escapeHtml(step.step)}: ${escapeHtml(
+              step.status
+            )} in ${step.durationMs}ms${step.detail ? ` (${escapeHtml(step.detail)})` : ""}</li>`
+        )
+        .join("")}</ul></details>`;
+    })
+    .join("");
+}
+
+// One recorded page error, with its URL and how often it occurred
+function renderPageError(entry) {
+  return `${escapeHtml(entry.kind)}: ${escapeHtml(entry.message)}${
+    entry.url ? ` <small>${escapeHtml(entry.url)}</small>` : ""
+  }${entry.count > 1 ? ` <small>&times;${entry.count}</small>` : ""}`;
+}
+
+// Page errors per environment, with those new on the current environment
+// listed first and the list opened when there are any
+function renderPageErrors(result) {
+  if (!result.pageErrors) {
+    return "N/A";
+  }
+  const newErrors = result.newPageErrors || [];
+  const failing = getFailingErrors(newErrors);
+  const counts = Object.entries(result.pageErrors)
+    .map(([environmentName, entries]) => `${escapeHtml(environmentName)}: ${entries.length}`)
+    .join(", ");
+  if (Object.values(result.pageErrors).every((entries) => entries.length === 0)) {
+    return "None";
+  }
+  return `<details${newErrors.length > 0 ? " open" : ""}><summary>${counts}${
+    newErrors.length > 0
+      ? `, <span class="${failing.length > 0 ? "fail" : "error"}">${newErrors.length} new on ${escapeHtml(
+          result.currentEnvironment
+        )}</span>`
+      : ""
+  }</summary><ul>${newErrors
+    .map(
+      (entry) =>
+        `<li class="${failing.includes(entry) ? "fail" : "error"}">New: ${renderPageError(entry)}</li>`
+    )
+    .join("")}${Object.entries(result.pageErrors)
+    .flatMap(([environmentName, entries]) =>
+      entries
+        .filter((entry) => !newErrors.some((newEntry) => newEntry.key === entry.key))
+        .map((entry) => `<li>${escapeHtml(environmentName)} ${renderPageError(entry)}</li>`)
+    )
+    .join("")}</ul></details>`;
+}
+
+// Page errors grouped per page and environment across every device and
+// browser, so an error seen everywhere is listed once
+function renderPageErrorSummary(results) {
+  const pages = new Map();
+  for (const result of results) {
+    for (const [environmentName, entries] of Object.entries(result.pageErrors || {})) {
+      const newKeys = new Set(
+        environmentName === result.currentEnvironment
+          ? (result.newPageErrors || []).map((entry) => entry.key)
+          : []
+      );
+      for (const entry of entries) {
+        const pageKey = `${result.pagePath}\n${environmentName}`;
+        if (!pages.has(pageKey)) {
+          pages.set(pageKey, {
+            pagePath: result.pagePath,
+            environmentName,
+            entries: new Map(),
+          });
+        }
+        const pageEntries = pages.get(pageKey).entries;
+        if (!pageEntries.has(entry.key)) {
+          pageEntries.set(entry.key, { ...entry, seenIn: new Set(), isNew: false });
+        }
+        const summary = pageEntries.get(entry.key);
+        summary.seenIn.add(`${result.deviceName}/${result.browserName}`);
+        summary.isNew = summary.isNew || newKeys.has(entry.key);
+      }
+    }
+  }
+  if (pages.size === 0) {
+    return "";
+  }
+
+  const rows = [...pages.values()]
+    .map(({ pagePath, environmentName, entries }) => {
+      const items = [...entries.values()].sort((a, b) => b.isNew - a.isNew);
+      return `
+        <tr>
+          <td>${escapeHtml(pagePath)}</td>
+          <td>${escapeHtml(environmentName)}</td>
+          <td class="findings"><ul>${items
+            .map(
+              (entry) =>
+                `<li class="${entry.isNew ? "fail" : ""}">${
+                  entry.isNew ? "New: " : ""
+                }${renderPageError(entry)} <small>(${escapeHtml(
+                  [...entry.seenIn].join(", ")
+                )})</small></li>`
+            )
+            .join("")}</ul></td>
+        </tr>`;
+    })
+    .join("");
+
+  return `
+      <h2>Page Errors</h2>
+      <p class="summary">JavaScript exceptions, console errors, failed requests and mixed content recorded while capturing each page. Errors marked new appear on the current environment but not its reference.</p>
+      <table>
+        <thead>
+          <tr>
+            <th>Page</th>
+            <th>Environment</th>
+            <th>Errors</th>
+          </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+      </table>
+  `;
+}
+
+// Requests a replayed page made that its HAR archive could not answer. The
+// capture may differ from the recording, so these are listed with the status.
+function renderMissingEntries(result) {
+  if (!result.missingEntries) {
+    return "";
+  }
+  return Object.entries(result.missingEntries)
+    .filter(([, entries]) => entries.length > 0)
+    .map(
+      ([environmentName, entries]) =>
+        `<details class="legend"><summary>${entries.length} requests missing from the ${escapeHtml(
+          environmentName
+        )} archive</summary><ul>${entries
+          .map((entry) => `<li>${escapeHtml(entry)}</li>`)
+          .join("")}</ul></details>`
+    )
+    .join("");
+}
+
+// Summarize what changed in the page content: sections, headings, copy
+// (removed words struck through, added words highlighted) and link targets
+function renderContentDiff(result) {
+  const diff = result.contentDiff;
+  if (!diff) {
+    return "N/A";
+  }
+  if (diff.changeCount === 0) {
+    return "None";
+  }
+
+  const items = [
+    ...diff.sections.map(
+      (section) => `<li>Section ${section.type}: ${escapeHtml(section.label)}</li>`
+    ),
+    ...diff.headings.map((heading) =>
+      heading.type === "changed"
+        ? `<li>Heading: <del>${escapeHtml(heading.from)}</del> <ins>${escapeHtml(heading.to)}</ins></li>`
+        : `<li>Heading ${heading.type}: ${escapeHtml(heading.from || heading.to)}</li>`
+    ),
+    ...diff.copy.map(
+      (change) =>
+        `<li><small>${escapeHtml(change.section)}:</small> &hellip;${escapeHtml(change.before)} ${
+          change.removed ? `<del>${escapeHtml(change.removed)}</del>` : ""
+        } ${change.added ? `<ins>${escapeHtml(change.added)}</ins>` : ""}</li>`
+    ),
+    ...diff.links.map(
+      (link) =>
+        `<li>Link &ldquo;${escapeHtml(link.text)}&rdquo;: <del>${escapeHtml(
+          link.from.join(", ") || "none"
+        )}</del> <ins>${escapeHtml(link.to.join(", ") || "none")}</ins></li>`
+    ),
+  ];
+
+  return `<details>
+            <summary>${diff.sections.length} sections, ${diff.headings.length} headings, ${diff.copy.length} copy, ${diff.links.length} links</summary>
+            <ul>${items.join("")}</ul>
+          </details>`;
+}
+
+// Format a performance metric value with its unit
+function formatMetric(metric, value) {
+  if (value === null || value === undefined) {
+    return "n/a";
+  }
+  if (metric === "cls") {
+    return String(value);
+  }
+  if (metric === "requests") {
+    return `${value}`;
+  }
+  if (metric === "totalBytes" || metric.endsWith(" bytes")) {
+    return `${(value / 1024).toFixed(0)} KB`;
+  }
+  return `${value} ms`;
+}
+
+// Key performance metrics of the current environment, flagging budgets
+// exceeded and regressions against the reference environment
+function renderPerformance(result) {
+  const { performance } = result;
+  if (!performance) {
+    return "N/A";
+  }
+  const { current } = performance;
+  const flags = [
+    ...performance.overBudget.map(
+      (item) =>
+        `<li class="fail">${item.metric} ${formatMetric(item.metric, item.value)} over budget ${formatMetric(
+          item.metric,
+          item.budget
+        )}</li>`
+    ),
+    ...performance.regressions.map(
+      (item) =>
+        `<li class="fail">${item.metric} +${item.changePercent}% vs ${result.referenceEnvironment} (${formatMetric(
+          item.metric,
+          item.value
+        )} vs ${formatMetric(item.metric, item.reference)})</li>`
+    ),
+  ];
+
+  return `Load ${formatMetric("load", current.load)}<br />
+          LCP ${formatMetric("lcp", current.lcp)}, CLS ${formatMetric("cls", current.cls)}, TBT ${formatMetric("tbt", current.tbt)}<br />
+          ${current.requests} requests, ${formatMetric("totalBytes", current.totalBytes)}
+          ${flags.length > 0 ? `<ul>${flags.join("")}</ul>` : ""}`;
+}
+
+// Inline SVG sparkline of a page's similarity over recent runs, one dot per
+// run coloured by its status
+function renderSparkline(trend, threshold) {
+  const width = 120;
+  const height = 30;
+  const values = trend.filter((entry) => entry && entry.similarity !== null);
+  if (values.length === 0) {
+    return "";
+  }
+  const low = Math.min(threshold, ...values.map((entry) => entry.similarity)) - 1;
+  const x = (i) => (trend.length === 1 ? width / 2 : (i / (trend.length - 1)) * (width - 6) + 3);
+  const y = (similarity) => 3 + ((100 - similarity) / (100 - low)) * (height - 6);
+  const colors = { pass: "green", fail: "red", error: "orange" };
+
+  const points = trend
+    .map((entry, i) =>
+      entry && entry.similarity !== null ? `${x(i).toFixed(1)},${y(entry.similarity).toFixed(1)}` : null
+    )
+    .filter(Boolean);
+  const dots = trend
+    .map((entry, i) =>
+      entry
+        ? `<circle cx="${x(i).toFixed(1)}" cy="${(entry.similarity === null ? height - 3 : y(entry.similarity)).toFixed(1)}" r="2" fill="${colors[entry.status]}"><title>${escapeHtml(
+            entry.similarity === null ? entry.status : `${entry.similarity}% ${entry.status}`
+          )}</title></circle>`
+        : ""
+    )
+    .join("");
+
+  return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+            <line x1="0" x2="${width}" y1="${y(threshold).toFixed(1)}" y2="${y(threshold).toFixed(1)}" stroke="#ccc" stroke-dasharray="2,2" />
+            <polyline fill="none" stroke="#555" points="${points.join(" ")}" />
+            ${dots}
+          </svg>`;
+}
+
+// Trend column: sparkline of recent runs and a flaky marker
+function renderTrend(result, history) {
+  const trend = getTrend(history, getHistoryKey(result));
+  const runs = trend.filter(Boolean).length;
+  if (runs === 0) {
+    return "N/A";
+  }
+  const threshold = result.threshold ?? config.defaults.threshold;
+  return `${renderSparkline(trend, threshold)}<br /><small>${runs} runs</small>${
+    isFlaky(trend) ? ` <span class="flaky">Flaky</span>` : ""
+  }`;
+}
+
+// The last runs in the history with their commit and outcome
+function renderRunHistory(history) {
+  const runs = history.slice(-config.history.recentRuns).reverse();
+  if (runs.length === 0) {
+    return "";
+  }
+
+  const keys = [...new Set(history.flatMap((run) => run.results.map((result) => result.key)))];
+  const flakyCount = keys.filter((key) => isFlaky(getTrend(history, key))).length;
+  const rows = runs
+    .map((run) => {
+      const count = (status) => run.results.filter((result) => result.status === status).length;
+      const commit = run.git
+        ? `${escapeHtml(run.git.commit.slice(0, 8))} (${escapeHtml(run.git.branch)})${
+            run.git.dirty ? " <small>uncommitted changes</small>" : ""
+          }<br /><small>${escapeHtml(run.git.subject || "")}</small>`
+        : "N/A";
+      return `
+        <tr>
+          <td>${new Date(run.runId).toLocaleString()}</td>
+          <td>${commit}</td>
+          <td>${run.results.length}</td>
+          <td class="pass">${count("pass")}</td>
+          <td class="fail">${count("fail")}</td>
+          <td class="error">${count("error")}</td>
+        </tr>`;
+    })
+    .join("");
+
+  return `
+      <h2>Recent Runs</h2>
+      <p class="summary">${history.length} runs recorded. ${
+        flakyCount > 0
+          ? `<span class="flaky">${flakyCount} flaky pages</span> flipped between pass and fail at least ${config.history.flakyFlips} times in the last ${config.history.recentRuns} runs.`
+          : "No flaky pages."
+      }</p>
+      <table>
+        <thead>
+          <tr>
+            <th>Run</th>
+            <th>Commit</th>
+            <th>Results</th>
+            <th>Passed</th>
+            <th>Failed</th>
+            <th>Errors</th>
+          </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+      </table>
+  `;
+}
+
+// List discovered pages that exist on some environments but not others
+function renderMissingPages() {
+  const discovery = loadDiscovery();
+  if (!discovery) {
+    return "";
+  }
+
+  const rows = discovery.missing
+    .map(
+      (page) => `
+        <tr>
+          <td>${escapeHtml(page.path)}</td>
+          <td class="pass">${escapeHtml(page.presentOn.join(", "))}</td>
+          <td class="fail">${escapeHtml(page.missingFrom.join(", "))}</td>
+        </tr>`
+    )
+    .join("");
+
+  return `
+      <h2>Page Inventory</h2>
+      <p class="summary">Discovered ${discovery.pages.length} pages on every environment (${new Date(
+        discovery.generatedAt
+      ).toLocaleString()}).</p>
+      ${
+        discovery.missing.length === 0
+          ? `<p class="summary pass">No pages are missing from any environment.</p>`
+          : `<table>
+        <thead>
+          <tr>
+            <th>Page</th>
+            <th>Present On</th>
+            <th>Missing From</th>
+          </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+      </table>`
+      }
+  `;
+}
+
+// SEO audit: metadata differing between environments and rule violations
+function renderSeoAudit() {
+  if (!fs.existsSync(SEO_RESULTS_PATH)) {
+    return "";
+  }
+  const audit = JSON.parse(fs.readFileSync(SEO_RESULTS_PATH, "utf8"));
+  const renderValue = (value) =>
+    value === null ? "<em>none</em>" : escapeHtml(value);
+  const renderViolation = (item) =>
+    `<li class="${item.severity === "error" ? "fail" : "error"}">${escapeHtml(
+      item.environment
+    )} ${escapeHtml(item.rule)}: ${escapeHtml(item.message)}</li>`;
+
+  const rows = audit.pages
+    .map(
+      (page) => `
+        <tr>
+          <td>${escapeHtml(page.path)}</td>
+          <td class="findings">${
+            page.differences.length === 0
+              ? "None"
+              : `<ul>${page.differences
+                  .map(
+                    (difference) =>
+                      `<li>${escapeHtml(difference.comparison)} <strong>${escapeHtml(
+                        difference.field
+                      )}</strong>: ${renderValue(difference.reference)} &rarr; ${renderValue(
+                        difference.current
+                      )}</li>`
+                  )
+                  .join("")}</ul>`
+          }</td>
+          <td class="findings">${
+            page.violations.length === 0
+              ? `<span class="pass">None</span>`
+              : `<ul>${page.violations.map(renderViolation).join("")}</ul>`
+          }</td>
+        </tr>`
+    )
+    .join("");
+
+  return `
+      <h2>SEO &amp; Metadata</h2>
+      <p class="summary">Audited ${audit.pages.length} pages (${new Date(
+        audit.generatedAt
+      ).toLocaleString()}).</p>
+      ${
+        audit.siteViolations.length > 0
+          ? `<ul class="findings">${audit.siteViolations.map(renderViolation).join("")}</ul>`
+          : ""
+      }
+      <table>
+        <thead>
+          <tr>
+            <th>Page</th>
+            <th>Differences</th>
+            <th>Violations</th>
+          </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+      </table>
+  `;
+}
+
+// HTTP parity: each page's responses per environment, the mismatches
+// between environments and rule violations, then the redirect map checks
+function renderHttpAudit() {
+  if (!fs.existsSync(HTTP_RESULTS_PATH)) {
+    return "";
+  }
+  const audit = JSON.parse(fs.readFileSync(HTTP_RESULTS_PATH, "utf8"));
+  const renderValue = (value) =>
+    value === null ? "<em>none</em>" : escapeHtml(value);
+  const renderProblem = (item) =>
+    `<li class="${item.severity === "error" ? "fail" : "error"}">${
+      item.comparison
+        ? `${escapeHtml(item.comparison)} ${escapeHtml(item.check)} <strong>${escapeHtml(
+            item.field
+          )}</strong>: ${renderValue(item.reference)} &rarr; ${renderValue(item.current)}`
+        : `${escapeHtml(item.environment)} ${escapeHtml(item.rule)}: ${escapeHtml(item.message)}`
+    }</li>`;
+  const renderProblems = (items) =>
+    items.length === 0
+      ? `<span class="pass">None</span>`
+      : `<ul>${items.map(renderProblem).join("")}</ul>`;
+  const renderResponse = (environmentName, check, response) =>
+    `<li>${escapeHtml(environmentName)} ${escapeHtml(check)}: ${
+      response.error
+        ? `<span class="error">${escapeHtml(response.error)}</span>`
+        : `${escapeHtml(
+            formatChain(response, config.environments[environmentName].baseUrl)
+          )} (${response.status})`
+    }</li>`;
+
+  const rows = audit.pages
+    .map(
+      (page) => `
+        <tr>
+          <td>${escapeHtml(page.path)}</td>
+          <td class="findings"><ul>${Object.entries(page.environments)
+            .flatMap(([environmentName, responses]) =>
+              Object.entries(responses).map(([check, response]) =>
+                renderResponse(environmentName, check, response)
+              )
+            )
+            .join("")}</ul></td>
+          <td class="findings">${renderProblems(page.mismatches)}</td>
+          <td class="findings">${renderProblems(page.violations)}</td>
+        </tr>`
+    )
+    .join("");
+  const redirectRows = audit.redirects
+    .map(
+      (redirect) => `
+        <tr>
+          <td>${escapeHtml(redirect.from)}</td>
+          <td>${escapeHtml(redirect.to)}</td>
+          <td class="findings"><ul>${Object.entries(redirect.environments)
+            .map(([environmentName, response]) =>
+              renderResponse(environmentName, "redirect", response)
+            )
+            .join("")}</ul></td>
+          <td class="findings">${renderProblems(redirect.violations)}</td>
+        </tr>`
+    )
+    .join("");
+
+  return `
+      <h2>HTTP Status, Redirects &amp; Headers</h2>
+      <p class="summary">Requested ${audit.pages.length} pages and ${
+        audit.redirects.length
+      } mapped redirects (${new Date(audit.generatedAt).toLocaleString()}).</p>
+      <table>
+        <thead>
+          <tr>
+            <th>Page</th>
+            <th>Responses</th>
+            <th>Mismatches</th>
+            <th>Violations</th>
+          </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+      </table>
+      ${
+        audit.redirects.length > 0
+          ? `<table>
+        <thead>
+          <tr>
+            <th>Old Path</th>
+            <th>New Path</th>
+            <th>Responses</th>
+            <th>Violations</th>
+          </tr>
+        </thead>
+        <tbody>${redirectRows}
+        </tbody>
+      </table>`
+          : ""
+      }
+  `;
+}
+
+// Accessibility audit: new and existing violations per scan and comparison
+function renderAccessibilityAudit() {
+  if (!fs.existsSync(ACCESSIBILITY_RESULTS_PATH)) {
+    return "";
+  }
+  const audit = JSON.parse(fs.readFileSync(ACCESSIBILITY_RESULTS_PATH, "utf8"));
+  const renderViolations = (violations) =>
+    `<ul>${violations
+      .map(
+        (violation) =>
+          `<li><a href="${escapeHtml(violation.helpUrl)}" target="_blank">${escapeHtml(
+            violation.rule
+          )}</a> (${escapeHtml(violation.impact)}): <code>${escapeHtml(
+            violation.target
+          )}</code></li>`
+      )
+      .join("")}</ul>`;
+
+  const rows = audit.scans
+    .flatMap((scan) => [
+      ...Object.entries(scan.errors).map(
+        ([environmentName, message]) => `
+        <tr>
+          <td>${escapeHtml(scan.id)}</td>
+          <td>${escapeHtml(environmentName)}</td>
+          <td colspan="2" class="error">Scan failed: ${escapeHtml(message)}</td>
+        </tr>`
+      ),
+      ...scan.comparisons.map(
+        (comparison) => `
+        <tr>
+          <td>${escapeHtml(scan.id)}</td>
+          <td>${escapeHtml(comparison.current)} vs ${escapeHtml(comparison.comparedAgainst)}</td>
+          <td class="findings">${
+            comparison.newViolations.length === 0
+              ? `<span class="pass">None</span>`
+              : `<span class="fail">${comparison.newViolations.length} new</span>${renderViolations(
+                  comparison.newViolations
+                )}`
+          }</td>
+          <td class="findings">${
+            comparison.existingViolations.length === 0
+              ? "None"
+              : `<details><summary>${comparison.existingViolations.length} existing</summary>${renderViolations(
+                  comparison.existingViolations
+                )}</details>`
+          }</td>
+        </tr>`
+      ),
+    ])
+    .join("");
+
+  return `
+      <h2>Accessibility</h2>
+      <p class="summary">Scanned ${audit.scans.length} pages and page states (${new Date(
+        audit.generatedAt
+      ).toLocaleString()}).</p>
+      <table>
+        <thead>
+          <tr>
+            <th>Scan</th>
+            <th>Compared</th>
+            <th>New Violations</th>
+            <th>Existing Violations</th>
+          </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+      </table>
+  `;
+}
+
+// Mega menu: per comparison, the links checked and every change found, with
+// the types in `menu.failOn` marked as failures
+function renderMenuAudit() {
+  if (!fs.existsSync(MENU_RESULTS_PATH)) {
+    return "";
+  }
+  const audit = JSON.parse(fs.readFileSync(MENU_RESULTS_PATH, "utf8"));
+  const renderChange = (change) => {
+    const detail = [change.from, change.to]
+      .filter((value) => value !== undefined)
+      .map(escapeHtml)
+      .join(" &rarr; ");
+    const reason = change.error || (change.status ? `HTTP ${change.status}` : "");
+    return `
+        <tr>
+          <td class="${config.menu.failOn.includes(change.type) ? "fail" : "error"}">${escapeHtml(
+            change.type
+          )}</td>
+          <td>${escapeHtml(change.path)}</td>
+          <td>${detail}${reason ? ` (${escapeHtml(reason)})` : ""}</td>
+        </tr>`;
+  };
+
+  return `
+      <h2>Mega Menu</h2>
+      <p class="summary">Menu read from ${escapeHtml(config.menu.page)} (${new Date(
+        audit.generatedAt
+      ).toLocaleString()}).</p>
+      ${audit.comparisons
+        .map(
+          (comparison) => `
+      <h3>${escapeHtml(comparison.comparison)}</h3>
+      <p class="summary">${comparison.links.length} links checked on ${escapeHtml(
+        comparison.current
+      )}, ${comparison.changes.length} changes against ${escapeHtml(comparison.reference)}.</p>
+      ${
+        comparison.changes.length === 0
+          ? `<p class="pass">No changes.</p>`
+          : `<table>
+        <thead>
+          <tr>
+            <th>Change</th>
+            <th>Entry</th>
+            <th>Detail</th>
+          </tr>
+        </thead>
+        <tbody>${comparison.changes.map(renderChange).join("")}
+        </tbody>
+      </table>`
+      }`
+        )
+        .join("")}
+  `;
+}
+
+// Program catalog: which sources list each program on every environment,
+// then every mismatch
+function renderCatalogAudit() {
+  if (!fs.existsSync(CATALOG_RESULTS_PATH)) {
+    return "";
+  }
+  const audit = JSON.parse(fs.readFileSync(CATALOG_RESULTS_PATH, "utf8"));
+  const environmentNames = Object.keys(audit.environments);
+  const programs = new Map();
+  for (const environment of Object.values(audit.environments)) {
+    for (const program of environment.programs) {
+      programs.set(program.key, program.name);
+    }
+  }
+  const renderCell = (environmentName, key) => {
+    const program = audit.environments[environmentName].programs.find(
+      (candidate) => candidate.key === key
+    );
+    if (!program) {
+      return `<td class="fail">Not listed</td>`;
+    }
+    const missingFrom = audit.sources.filter(
+      (source) =>
+        !program.sources.includes(source) &&
+        !audit.environments[environmentName].errors[source]
+    );
+    return missingFrom.length === 0
+      ? `<td class="pass">All sources</td>`
+      : `<td class="fail">Missing from ${escapeHtml(missingFrom.join(", "))}</td>`;
+  };
+
+  const rows = [...programs]
+    .sort(([, a], [, b]) => a.localeCompare(b))
+    .map(
+      ([key, name]) => `
+        <tr>
+          <td>${escapeHtml(name)}</td>
+          ${environmentNames.map((environmentName) => renderCell(environmentName, key)).join("")}
+        </tr>`
+    )
+    .join("");
+
+  return `
+      <h2>Program Catalog</h2>
+      <p class="summary">${programs.size} programs across ${escapeHtml(
+        audit.sources.join(", ")
+      )}${audit.expected ? `, checked against ${escapeHtml(audit.expected)}` : ""} (${new Date(
+        audit.generatedAt
+      ).toLocaleString()}).</p>
+      ${
+        audit.mismatches.length === 0
+          ? `<p class="pass">No mismatches.</p>`
+          : `<ul class="fail">${audit.mismatches
+              .map((mismatch) => `<li>${escapeHtml(mismatch.message)}</li>`)
+              .join("")}</ul>`
+      }
+      <table>
+        <thead>
+          <tr>
+            <th>Program</th>
+            ${environmentNames.map((environmentName) => `<th>${escapeHtml(environmentName)}</th>`).join("")}
+          </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+      </table>
+  `;
+}
+
+// Generate HTML report combining every device/browser combination
+function generateHtmlReport(results) {
+  const reportPath = "visual_comparison_report.html";
+  const now = new Date().toLocaleString();
+  const environments = Object.values(config.environments)
+    .map(
+      (environment) =>
+        `<a href="${escapeHtml(environment.baseUrl)}" target="_blank">${escapeHtml(
+          environment.name
+        )}: ${escapeHtml(environment.baseUrl)}</a>`
+    )
+    .join(",\n    ");
+  const deviceNames = Object.keys(config.matrix.devices);
+  const browserNames = config.matrix.browsers;
+  const history = loadHistory();
+
+  let htmlContent = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Visual Comparison Report</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.5; margin: 20px; }
+        h1, h2 { text-align: center; }
+        .summary { text-align: center; margin: 20px 0; }
+        table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+        th, td { border: 1px solid #ddd; padding: 8px; text-align: center; }
+        th { background-color: #f2f2f2; }
+        .pass { color: green; font-weight: bold; }
+        .fail { color: red; font-weight: bold; }
+        .error { color: orange; font-weight: bold; }
+        .not-run { color: #999; }
+        img { max-width: 150px; cursor: pointer; display: block; }
+        .thumbnail { position: relative; display: inline-block; }
+        .ignored-region { position: absolute; background: rgba(255, 0, 255, 0.35); outline: 1px dashed #909; }
+        .findings { text-align: left; }
+        .findings ul { margin: 0; padding-left: 18px; }
+        .flaky { color: #fff; background: #c60; padding: 0 4px; border-radius: 3px; font-size: 0.85em; }
+        .sparkline { display: inline-block; }
+        .performance { text-align: left; font-size: 0.9em; white-space: nowrap; }
+        .performance ul { margin: 0; padding-left: 18px; white-space: normal; }
+        .content-diff { text-align: left; max-width: 420px; font-size: 0.9em; }
+        .content-diff del { background: #fdd; }
+        .content-diff ins { background: #dfd; text-decoration: none; }
+        .legend { font-size: 0.85em; color: #555; }
+        .regions ol { margin: 0; padding-left: 22px; }
+        .region-crops { display: flex; gap: 2px; margin: 2px 0 6px; }
+        .region-crops img { max-width: 60px; max-height: 60px; border: 1px solid #ddd; }${VIEWER_STYLES}
+      </style>
+    </head>
+    <body>
+      <h1>Visual Comparison Report</h1>
+      <h2>Devices: ${escapeHtml(deviceNames.join(", "))} | Browsers: ${escapeHtml(
+        browserNames.join(", ")
+      )}</h2>
+      <div class="summary">
+        <p>Total Pages Tested: ${results.length}</p>
+        <p>Passed: ${results.filter(isPass).length}</p>
+        <p>Failed: ${
+          results.filter(
+            (r) => r.similarityPercentage !== "Error" && !isPass(r)
+          ).length
+        }</p>
+        <p>Errors: ${
+          results.filter((r) => r.similarityPercentage === "Error").length
+        }</p>
+        <p>Performance Flags: ${
+          results.filter(
+            (r) =>
+              r.performance &&
+              (r.performance.overBudget.length > 0 || r.performance.regressions.length > 0)
+          ).length
+        }</p>
+        <p>Last Run: ${now}</p>
+        <p>Environments Tested: ${environments}</p>
+        <p class="legend">Shaded areas on thumbnails were masked or ignored and are excluded from the similarity score.</p>
+      </div>
+      ${renderRunHistory(history)}
+      ${renderMissingPages()}
+      ${renderPageErrorSummary(results)}
+      ${renderSeoAudit()}
+      ${renderHttpAudit()}
+      ${renderAccessibilityAudit()}
+      ${renderMenuAudit()}
+      ${renderCatalogAudit()}
+      <h2>Device / Browser Matrix</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>Device</th>
+            ${browserNames.map((browserName) => `<th>${escapeHtml(browserName)}</th>`).join("")}
+          </tr>
+        </thead>
+        <tbody>
+  `;
+
+  deviceNames.forEach((deviceName) => {
+    const cells = browserNames.map((browserName) => {
+      const cellResults = results.filter(
+        (r) => r.deviceName === deviceName && r.browserName === browserName
+      );
+      if (cellResults.length === 0) {
+        return `<td class="not-run">Not run</td>`;
+      }
+      const passed = cellResults.filter(isPass).length;
+      const statusClass = passed === cellResults.length ? "pass" : "fail";
+      return `<td class="${statusClass}">${passed} / ${cellResults.length} passed</td>`;
+    });
+
+    htmlContent += `
+      <tr>
+        <td>${escapeHtml(deviceName)}</td>
+        ${cells.join("")}
+      </tr>
+    `;
+  });
+
+  htmlContent += `
+        </tbody>
+      </table>
+      <h2>Pages</h2>
+      ${renderFilters(results, escapeHtml)}
+      <table id="results">
+        <thead>
+          <tr>
+            <th>Page</th>
+            <th>Device</th>
+            <th>Browser</th>
+            <th>Compared Against</th>
+            <th>Similarity</th>
+            <th>Reference vs Baseline</th>
+            <th>Changed Regions</th>
+            <th>Status</th>
+            <th>Trend</th>
+            <th>Layout Findings</th>
+            <th>Content Changes</th>
+            <th>Page Errors</th>
+            <th>Performance</th>
+            <th>Thumbnail</th>
+          </tr>
+        </thead>
+        <tbody>
+  `;
+
+  const viewerEntries = results.map((result, index) => {
+    const diffThumbnailPath = reportImagePath(result.diffPath);
+    const currentUrl = getPageUrl(result.currentEnvironment, result.pagePath);
+    const referenceUrl = getPageUrl(
+      result.referenceEnvironment,
+      result.pagePath
+    );
+
+    const status = getResultStatus(result);
+    const statusClass = status === "pass" ? "pass" : "fail";
+    const similarity =
+      typeof result.similarityPercentage === "number"
+        ? result.similarityPercentage
+        : -1;
+
+    htmlContent += `
+      <tr data-view="${index}" data-status="${status}" data-similarity="${similarity}" data-tags="${escapeHtml(
+        (result.tags || []).join(",")
+      )}" data-page="${escapeHtml(result.pagePath)}" data-device="${escapeHtml(
+        result.deviceName
+      )}" data-browser="${escapeHtml(result.browserName)}">
+        <td>
+          ${escapeHtml(result.pagePath)}<br />
+          <a href="${escapeHtml(currentUrl)}" target="_blank">${escapeHtml(
+      result.currentEnvironment
+    )}</a> |
+          <a href="${escapeHtml(referenceUrl)}" target="_blank">${escapeHtml(
+      result.referenceEnvironment
+    )}</a>
+        </td>
+        <td>${escapeHtml(result.deviceName)}</td>
+        <td>${escapeHtml(result.browserName)}</td>
+        <td>${describeComparison(result)}</td>
+        <td>${renderSimilarity(result)}</td>
+        <td>${formatSimilarity(result.referenceSimilarityPercentage)}</td>
+        <td class="findings regions">${renderChangedRegions(result)}</td>
+        <td class="${statusClass}">${
+      status === "error"
+        ? `Error${result.error ? `<br /><small>${escapeHtml(result.error)}</small>` : ""}`
+        : status === "pass"
+        ? "Pass"
+        : "Fail"
+    }${renderMissingEntries(result)}</td>
+        <td>${renderTrend(result, history)}</td>
+        <td class="findings">${renderFindings(result)}${renderStabilization(result)}</td>
+        <td class="content-diff">${renderContentDiff(result)}</td>
+        <td class="findings">${renderPageErrors(result)}</td>
+        <td class="performance">${renderPerformance(result)}</td>
+        <td>${
+          diffThumbnailPath
+            ? `<a class="thumbnail" href="${escapeHtml(
+                diffThumbnailPath
+              )}" data-open-viewer="${index}"><img src="${escapeHtml(
+                diffThumbnailPath
+              )}" />${renderIgnoredRegions(
+                result.ignoredRegions,
+                result.diffWidth,
+                result.diffHeight
+              )}</a><button class="compare-button" data-open-viewer="${index}">Compare</button>`
+            : "N/A"
+        }</td>
+      </tr>
+    `;
+
+    return {
+      title: `${result.pagePath} | ${result.deviceName} / ${result.browserName} | ${result.comparison}`,
+      reference: {
+        label:
+          result.comparedAgainst === "baseline"
+            ? `Baseline v${result.baseline.version}`
+            : result.referenceEnvironment,
+        src: reportImagePath(result.referencePath),
+      },
+      current: {
+        label: result.currentEnvironment,
+        src: reportImagePath(result.currentPath),
+      },
+      diff: diffThumbnailPath,
+      diffWidth: result.diffWidth,
+      diffHeight: result.diffHeight,
+      regions: result.changedRegions || [],
+    };
+  });
+
+  htmlContent += `
+        </tbody>
+      </table>
+      ${renderViewer()}
+      ${renderViewerData(viewerEntries)}
+      ${renderViewerScript()}
+    </body>
+    </html>
+  `;
+
+  fs.writeFileSync(reportPath, htmlContent);
+  console.log(esm.chalk.green(`HTML report generated: ${reportPath}`));
+}
+
+module.exports = {
+  RESULTS_ATTACHMENT,
+  attachResults,
+  isPass,
+  getResultStatus,
+  describeFailure,
+  saveResults,
+  loadMatrixResults,
+  generateHtmlReport,
+};
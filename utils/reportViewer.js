@@ -0,0 +1,369 @@
+// Interactive parts of the HTML report: filters and sorting for the page
+// table, and a viewer comparing the reference, current and diff images. The
+// script and styles are inlined so the report works offline, opened straight
+// from disk.
+
+const VIEWER_STYLES = `
+        .filters { display: flex; flex-wrap: wrap; gap: 12px; justify-content: center; align-items: center; margin: 10px 0; }
+        .filters label { font-size: 0.9em; }
+        .compare-button { margin-top: 6px; cursor: pointer; }
+        .viewer { position: fixed; inset: 0; background: rgba(0, 0, 0, 0.85); display: flex; flex-direction: column; z-index: 10; }
+        .viewer[hidden] { display: none; }
+        .viewer-toolbar { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; padding: 8px 12px; background: #222; color: #eee; }
+        .viewer-toolbar button.active { background: #4a90d9; color: #fff; }
+        .viewer-toolbar .spacer { flex: 1; }
+        .viewer-regions button { font-size: 0.8em; }
+        .viewer-stage { flex: 1; overflow: auto; padding: 12px; }
+        .viewer-panes { display: flex; gap: 12px; align-items: flex-start; }
+        .viewer-pane { flex: none; color: #eee; }
+        .viewer-frame { position: relative; }
+        .viewer-frame img { display: block; width: 100%; max-width: none; cursor: default; }
+        .viewer-frame .overlay { position: absolute; inset: 0; }
+        .viewer-frame .overlay img { height: 100%; object-fit: fill; }
+        .viewer-region { position: absolute; outline: 2px solid #f0f; background: rgba(255, 0, 255, 0.12); pointer-events: none; }
+        .viewer-region.selected { outline: 3px solid #ff0; }
+        .viewer-missing { color: #eee; padding: 40px; }`;
+
+// Filter and sort controls for the page table
+function renderFilters(results, escapeHtml) {
+  const options = (values) =>
+    [...new Set(values)]
+      .sort()
+      .map((value) => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`)
+      .join("");
+
+  return `
+      <div class="filters">
+        <label>Status
+          <select id="filter-status">
+            <option value="">All</option>
+            <option value="pass">Pass</option>
+            <option value="fail">Fail</option>
+            <option value="error">Error</option>
+          </select>
+        </label>
+        <label>Tag
+          <select id="filter-tag"><option value="">All</option>${options(
+            results.flatMap((result) => result.tags || [])
+          )}</select>
+        </label>
+        <label>Device
+          <select id="filter-device"><option value="">All</option>${options(
+            results.map((result) => result.deviceName)
+          )}</select>
+        </label>
+        <label>Browser
+          <select id="filter-browser"><option value="">All</option>${options(
+            results.map((result) => result.browserName)
+          )}</select>
+        </label>
+        <label>Page <input id="filter-page" type="search" placeholder="/path" /></label>
+        <label>Sort
+          <select id="sort-by">
+            <option value="">Report order</option>
+            <option value="similarity-asc">Similarity, lowest first</option>
+            <option value="similarity-desc">Similarity, highest first</option>
+            <option value="status">Status</option>
+            <option value="page">Page</option>
+          </select>
+        </label>
+        <span id="filter-count"></span>
+      </div>`;
+}
+
+// The viewer overlay, empty until a result is opened
+function renderViewer() {
+  return `
+      <div id="viewer" class="viewer" hidden>
+        <div class="viewer-toolbar">
+          <button data-step="-1" title="Previous result">&larr;</button>
+          <button data-step="1" title="Next result">&rarr;</button>
+          <strong id="viewer-title"></strong>
+          <button data-mode="side-by-side">Side by side</button>
+          <button data-mode="swipe">Swipe</button>
+          <button data-mode="onion">Onion skin</button>
+          <button data-mode="diff">Diff only</button>
+          <input id="viewer-slider" type="range" min="0" max="100" value="50" title="Swipe position / opacity" />
+          <label>Zoom
+            <select id="viewer-zoom">
+              <option value="fit">Fit</option>
+              <option value="0.5">50%</option>
+              <option value="1">100%</option>
+              <option value="2">200%</option>
+            </select>
+          </label>
+          <span class="viewer-regions" id="viewer-regions"></span>
+          <span class="spacer"></span>
+          <button id="viewer-close" title="Close (Esc)">Close</button>
+        </div>
+        <div id="viewer-stage" class="viewer-stage"></div>
+      </div>`;
+}
+
+// Viewer data as JSON that cannot close its script element
+function renderViewerData(entries) {
+  return `<script type="application/json" id="viewer-data">${JSON.stringify(entries).replace(
+    /</g,
+    "\\u003c"
+  )}</script>`;
+}
+
+// Runs in the report page. Kept as a function so it is syntax checked with
+// the rest of the suite, then inlined with toString().
+function viewerScript() {
+  const entries = JSON.parse(document.getElementById("viewer-data").textContent);
+  const tbody = document.querySelector("#results tbody");
+  const rows = Array.from(tbody.rows);
+  const byId = (id) => document.getElementById(id);
+
+  // Filtering and sorting
+  const statusOrder = { fail: 0, error: 1, pass: 2 };
+  const comparators = {
+    "similarity-asc": (a, b) => a.dataset.similarity - b.dataset.similarity,
+    "similarity-desc": (a, b) => b.dataset.similarity - a.dataset.similarity,
+    status: (a, b) => statusOrder[a.dataset.status] - statusOrder[b.dataset.status],
+    page: (a, b) => a.dataset.page.localeCompare(b.dataset.page),
+  };
+  const applyFilters = () => {
+    const status = byId("filter-status").value;
+    const tag = byId("filter-tag").value;
+    const device = byId("filter-device").value;
+    const browser = byId("filter-browser").value;
+    const page = byId("filter-page").value.trim().toLowerCase();
+    const sort = byId("sort-by").value;
+
+    const ordered = sort ? rows.slice().sort(comparators[sort]) : rows;
+    let shown = 0;
+    for (const row of ordered) {
+      const visible =
+        (!status || row.dataset.status === status) &&
+        (!tag || row.dataset.tags.split(",").includes(tag)) &&
+        (!device || row.dataset.device === device) &&
+        (!browser || row.dataset.browser === browser) &&
+        (!page || row.dataset.page.toLowerCase().includes(page));
+      row.hidden = !visible;
+      shown += visible ? 1 : 0;
+      tbody.appendChild(row);
+    }
+    byId("filter-count").textContent = `${shown} of ${rows.length} results`;
+  };
+  for (const id of ["filter-status", "filter-tag", "filter-device", "filter-browser", "sort-by"]) {
+    byId(id).addEventListener("change", applyFilters);
+  }
+  byId("filter-page").addEventListener("input", applyFilters);
+  applyFilters();
+
+  // Viewer
+  const viewer = byId("viewer");
+  const stage = byId("viewer-stage");
+  const slider = byId("viewer-slider");
+  const zoomSelect = byId("viewer-zoom");
+  const state = { index: 0, mode: "side-by-side", selectedRegion: null };
+
+  const element = (tag, className, text) => {
+    const node = document.createElement(tag);
+    if (className) {
+      node.className = className;
+    }
+    if (text) {
+      node.textContent = text;
+    }
+    return node;
+  };
+  const image = (src) => {
+    const img = element("img");
+    img.src = src;
+    img.addEventListener("load", applyZoom);
+    return img;
+  };
+  // Changed regions drawn over a frame, positioned relative to the diff size
+  const regionOverlays = (entry) =>
+    entry.regions.map((region, i) => {
+      const box = element("div", `viewer-region${i === state.selectedRegion ? " selected" : ""}`);
+      box.style.left = `${(region.x / entry.diffWidth) * 100}%`;
+      box.style.top = `${(region.y / entry.diffHeight) * 100}%`;
+      box.style.width = `${(region.width / entry.diffWidth) * 100}%`;
+      box.style.height = `${(region.height / entry.diffHeight) * 100}%`;
+      return box;
+    });
+  const pane = (label, frame) => {
+    const wrapper = element("div", "viewer-pane");
+    wrapper.appendChild(element("div", "", label));
+    wrapper.appendChild(frame);
+    return wrapper;
+  };
+  const frameOf = (src, entry) => {
+    const frame = element("div", "viewer-frame");
+    frame.appendChild(image(src));
+    regionOverlays(entry).forEach((box) => frame.appendChild(box));
+    return frame;
+  };
+
+  const render = () => {
+    const entry = entries[state.index];
+    byId("viewer-title").textContent = entry.title;
+    for (const button of viewer.querySelectorAll("[data-mode]")) {
+      button.classList.toggle("active", button.dataset.mode === state.mode);
+    }
+    slider.hidden = state.mode !== "swipe" && state.mode !== "onion";
+
+    const regions = byId("viewer-regions");
+    regions.textContent = entry.regions.length > 0 ? "Changed regions: " : "";
+    entry.regions.forEach((region, i) => {
+      const button = element("button", "", `${i + 1}`);
+      button.title = `y=${region.y}, ${region.width}x${region.height}`;
+      button.addEventListener("click", () => zoomToRegion(i));
+      regions.appendChild(button);
+    });
+
+    stage.textContent = "";
+    const panes = element("div", "viewer-panes");
+    stage.appendChild(panes);
+    const { reference, current } = entry;
+    if (state.mode === "diff" || !reference.src || !current.src) {
+      if (!entry.diff) {
+        stage.appendChild(element("div", "viewer-missing", "No images for this result."));
+        return;
+      }
+      panes.appendChild(pane("Diff", frameOf(entry.diff, entry)));
+    } else if (state.mode === "side-by-side") {
+      panes.appendChild(pane(reference.label, frameOf(reference.src, entry)));
+      panes.appendChild(pane(current.label, frameOf(current.src, entry)));
+    } else {
+      const frame = frameOf(reference.src, entry);
+      const overlay = element("div", "overlay");
+      overlay.appendChild(image(current.src));
+      frame.insertBefore(overlay, frame.children[1]);
+      panes.appendChild(
+        pane(
+          state.mode === "swipe"
+            ? `${reference.label} | ${current.label}`
+            : `${reference.label} under ${current.label}`,
+          frame
+        )
+      );
+    }
+    applySlider();
+    applyZoom();
+  };
+
+  const applySlider = () => {
+    const overlay = stage.querySelector(".overlay");
+    if (!overlay) {
+      return;
+    }
+    const value = Number(slider.value);
+    overlay.style.clipPath = state.mode === "swipe" ? `inset(0 0 0 ${value}%)` : "";
+    overlay.style.opacity = state.mode === "onion" ? value / 100 : 1;
+  };
+
+  // Size every frame for the zoom level; "fit" fills the stage width
+  function applyZoom(scale) {
+    const frames = Array.from(stage.querySelectorAll(".viewer-frame"));
+    const zoom = typeof scale === "number" ? scale : zoomSelect.value;
+    for (const frame of frames) {
+      const img = frame.querySelector("img");
+      if (!img.naturalWidth) {
+        continue;
+      }
+      const available = (stage.clientWidth - 24 - 12 * (frames.length - 1)) / frames.length;
+      const factor = zoom === "fit" ? Math.min(1, available / img.naturalWidth) : Number(zoom);
+      frame.style.width = `${img.naturalWidth * factor}px`;
+    }
+  }
+
+  // Zoom in until the region fills most of a frame, then scroll it into view
+  const zoomToRegion = (i) => {
+    const entry = entries[state.index];
+    const region = entry.regions[i];
+    state.selectedRegion = i;
+    render();
+    const frame = stage.querySelector(".viewer-frame");
+    const img = frame && frame.querySelector("img");
+    const fit = () => {
+      const frames = stage.querySelectorAll(".viewer-frame").length;
+      const available = (stage.clientWidth - 24) / frames;
+      const regionWidth = (region.width / entry.diffWidth) * img.naturalWidth;
+      const scale = Math.max(0.25, Math.min(4, (available * 0.8) / Math.max(regionWidth, 1)));
+      applyZoom(scale);
+      const width = frame.offsetWidth;
+      const height = frame.offsetHeight;
+      stage.scrollTo({
+        left: (region.x / entry.diffWidth) * width - 40,
+        top: (region.y / entry.diffHeight) * height - 40,
+      });
+    };
+    if (img && img.complete && img.naturalWidth) {
+      fit();
+    } else if (img) {
+      img.addEventListener("load", fit, { once: true });
+    }
+  };
+
+  const open = (index) => {
+    state.index = (index + entries.length) % entries.length;
+    state.selectedRegion = null;
+    viewer.hidden = false;
+    render();
+  };
+  const close = () => {
+    viewer.hidden = true;
+    stage.textContent = "";
+  };
+  // Step through the rows still shown by the filters
+  const step = (direction) => {
+    const visible = rows
+      .filter((row) => !row.hidden)
+      .map((row) => Number(row.dataset.view));
+    const position = visible.indexOf(state.index);
+    if (visible.length > 0) {
+      open(visible[(position + direction + visible.length) % visible.length]);
+    }
+  };
+
+  document.addEventListener("click", (event) => {
+    const opener = event.target.closest("[data-open-viewer]");
+    if (opener) {
+      event.preventDefault();
+      open(Number(opener.dataset.openViewer));
+    }
+  });
+  for (const button of viewer.querySelectorAll("[data-mode]")) {
+    button.addEventListener("click", () => {
+      state.mode = button.dataset.mode;
+      render();
+    });
+  }
+  for (const button of viewer.querySelectorAll("[data-step]")) {
+    button.addEventListener("click", () => step(Number(button.dataset.step)));
+  }
+  slider.addEventListener("input", applySlider);
+  zoomSelect.addEventListener("change", () => applyZoom());
+  byId("viewer-close").addEventListener("click", close);
+  window.addEventListener("resize", () => applyZoom());
+  document.addEventListener("keydown", (event) => {
+    if (viewer.hidden) {
+      return;
+    }
+    if (event.key === "Escape") {
+      close();
+    } else if (event.key === "ArrowRight") {
+      step(1);
+    } else if (event.key === "ArrowLeft") {
+      step(-1);
+    }
+  });
+}
+
+// Inline script running the filters and viewer
+function renderViewerScript() {
+  return `<script>(${viewerScript.toString()})();</script>`;
+}
+
+module.exports = {
+  VIEWER_STYLES,
+  renderFilters,
+  renderViewer,
+  renderViewerData,
+  renderViewerScript,
+};
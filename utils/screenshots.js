@@ -0,0 +1,454 @@
+const fs = require("fs");
+const path = require("path");
+const { devices } = require("@playwright/test");
+const { PNG } = require("pngjs");
+const sharp = require("sharp");
+const { config } = require("./config");
+const esm = require("./esm");
+const {
+  MASK_COLOR,
+  getElementRegions,
+  scaleRegion,
+  paintRegions,
+  paintAlignedRegions,
+} = require("./masking");
+const { hashRows, alignRows } = require("./alignment");
+const {
+  installPerformanceObservers,
+  startNetworkCollector,
+  collectPerformanceMetrics,
+} = require("./performance");
+const { prepareStabilization, stabilizePage } = require("./stabilization");
+const {
+  diffImages,
+  computeSsim,
+  clusterRegions,
+  listRegions,
+  writeRegionCrops,
+  checkDiffRules,
+} = require("./diffMetrics");
+
+// Ensure directory exists
+function ensureDirectoryExistence(filePath) {
+  const dirname = path.dirname(filePath);
+  if (!fs.existsSync(dirname)) {
+    fs.mkdirSync(dirname, { recursive: true });
+  }
+}
+
+// Build browser context options for a device in the config.js matrix
+function getDeviceContextOptions(deviceName, browserName) {
+  const device = config.matrix.devices[deviceName];
+  const options = device.descriptor
+    ? { ...devices[device.descriptor] }
+    : { viewport: device.viewport };
+
+  // The browser comes from the Playwright project, not the descriptor
+  delete options.defaultBrowserType;
+  // Firefox does not support mobile emulation
+  if (browserName === "firefox") {
+    delete options.isMobile;
+  }
+  return options;
+}
+
+// Screenshot path for a page within a device/browser combination
+function getScreenshotPath(deviceName, browserName, kind, pagePath) {
+  return path.join(
+    "screenshots",
+    deviceName,
+    browserName,
+    kind,
+    `${pagePath.replace(/\//g, "_")}.png`
+  );
+}
+
+// Resize an image to the specified dimensions (1280x800). The file on disk is
+// left untouched so approved baselines are never rewritten by a comparison.
+async function resizeImage(imagePath, width, height) {
+  const buffer = fs.readFileSync(imagePath);
+  return sharp(buffer)
+    .resize(width, height, {
+      fit: "contain",
+      background: { r: 255, g: 255, b: 255, alpha: 0 },
+    })
+    .png()
+    .toBuffer();
+}
+
+// Compare two screenshots and return the similarity percentage along with the
+// regions excluded from it and any layout findings. Regions are in page
+// pixels, painted over and left out of the pixel count: `ignoreRegions` are
+// shared by both captures, `baselineRegions` and `currentRegions` (masked
+// elements) are where each capture found them. The diff image is written in
+// the current image's layout. `metrics` adds SSIM and anti-aliasing-aware
+// pixel counts, changed pixels are clustered into `changedRegions` with
+// cropped before/after/diff images, and `ruleViolations` lists the page's
+// diff rules (`rules`) they break.
+async function compareScreenshots(
+  baselinePath,
+  currentPath,
+  diffPath,
+  options = {}
+) {
+  const mode = options.mode || config.defaults.compareMode;
+  return mode === "aligned"
+    ? compareAligned(baselinePath, currentPath, diffPath, options)
+    : compareResized(baselinePath, currentPath, diffPath, options);
+}
+
+// Squash both captures into 1280x800 and compare them pixel for pixel
+async function compareResized(baselinePath, currentPath, diffPath, options) {
+  const width = 1280;
+  const height = 800;
+  const img1 = PNG.sync.read(await resizeImage(baselinePath, width, height));
+  const img2 = PNG.sync.read(await resizeImage(currentPath, width, height));
+
+  if (img1.width !== img2.width || img1.height !== img2.height) {
+    console.log(
+      esm.chalk.red(`Size mismatch for ${baselinePath} and ${currentPath}`)
+    );
+    return {
+      similarityPercentage: "Size mismatch",
+      ignoredRegions: [],
+      findings: [
+        {
+          type: "size-mismatch",
+          message: `Resized images are ${img1.width}x${img1.height} and ${img2.width}x${img2.height}`,
+        },
+      ],
+    };
+  }
+
+  // Each capture may have a different native height, so map ignore regions
+  // through both resizes and each capture's masked regions through its own,
+  // and exclude the union from both images
+  const sourceSizes = await Promise.all(
+    [baselinePath, currentPath].map((imagePath) => sharp(imagePath).metadata())
+  );
+  const regionSizes = [
+    ...(options.ignoreRegions || []).map((region) => [region, sourceSizes]),
+    ...(options.baselineRegions || []).map((region) => [region, [sourceSizes[0]]]),
+    ...(options.currentRegions || []).map((region) => [region, [sourceSizes[1]]]),
+  ];
+  const ignoredRegions = [];
+  for (const [region, sizes] of regionSizes) {
+    for (const size of sizes) {
+      const scaled = scaleRegion(region, size.width, size.height, width, height);
+      const isDuplicate = ignoredRegions.some(
+        (r) =>
+          r.x === scaled.x &&
+          r.y === scaled.y &&
+          r.width === scaled.width &&
+          r.height === scaled.height
+      );
+      if (scaled.width > 0 && scaled.height > 0 && !isDuplicate) {
+        ignoredRegions.push(scaled);
+      }
+    }
+  }
+
+  const ignoreMask = new Uint8Array(width * height);
+  paintRegions(img1, ignoredRegions, ignoreMask);
+  paintRegions(img2, ignoredRegions);
+
+  const diff = new PNG({ width: img1.width, height: img1.height });
+  const { mismatchedPixels, antialiasedPixels } = diffImages(img1, img2, diff, width, height);
+  ensureDirectoryExistence(diffPath);
+  fs.writeFileSync(diffPath, PNG.sync.write(diff));
+
+  const entries = clusterRegions(diff, width, height).map((region) => ({
+    region,
+    box: region,
+    images: { before: img1, after: img2, diff },
+  }));
+
+  const ignoredPixels = ignoreMask.reduce((sum, value) => sum + value, 0);
+  const comparedPixels = img1.width * img1.height - ignoredPixels;
+  const matchedPixels = comparedPixels - mismatchedPixels;
+  const comparison = {
+    similarityPercentage:
+      comparedPixels > 0 ? (matchedPixels / comparedPixels) * 100 : 100,
+    metrics: {
+      ssim: computeSsim(img1, img2, width, height),
+      mismatchedPixels,
+      antialiasedPixels,
+      comparedPixels,
+    },
+    ignoredRegions,
+    findings: [],
+    changedRegions: entries.map((entry) => entry.region),
+    regionCount: entries.length,
+    diffWidth: width,
+    diffHeight: height,
+  };
+  return checkAndListRegions(comparison, entries, diffPath, options.rules);
+}
+
+// Check every changed region against the page's diff rules, then keep and
+// crop only the regions the report lists
+function checkAndListRegions(comparison, entries, diffPath, rules) {
+  comparison.ruleViolations = checkDiffRules(comparison, rules);
+  const listed = listRegions(entries);
+  writeRegionCrops(diffPath, listed);
+  comparison.changedRegions = listed.map((entry) => entry.region);
+  return comparison;
+}
+
+// Compare captures at native resolution, aligning rows so inserted or removed
+// sections are reported as findings and only the aligned rows are diffed
+async function compareAligned(baselinePath, currentPath, diffPath, options) {
+  const img1 = PNG.sync.read(fs.readFileSync(baselinePath));
+  const img2 = PNG.sync.read(fs.readFileSync(currentPath));
+  const width = Math.min(img1.width, img2.width);
+  const findings = [];
+
+  if (img1.width !== img2.width || img1.height !== img2.height) {
+    findings.push({
+      type: "size-mismatch",
+      message: `Size mismatch: baseline is ${img1.width}x${img1.height}, current is ${img2.width}x${img2.height}`,
+    });
+  }
+
+  const ignoreMask = new Uint8Array(img2.width * img2.height);
+  const ignoredRegions = paintAlignedRegions(img1, img2, width, options, ignoreMask);
+
+  const { pairs, blocks } = alignRows(
+    hashRows(img1, width),
+    hashRows(img2, width),
+    options.alignment
+  );
+
+  for (const block of blocks) {
+    findings.push(
+      block.type === "inserted"
+        ? {
+            ...block,
+            message: `Section inserted at y=${block.y} (${block.height}px)`,
+          }
+        : {
+            ...block,
+            message: `Section removed at y=${block.atY} (${block.height}px, baseline y=${block.y})`,
+          }
+    );
+  }
+
+  // Stack the aligned rows into two images of equal height and diff those
+  const alignedHeight = pairs.length;
+  const aligned1 = new PNG({ width, height: Math.max(alignedHeight, 1) });
+  const aligned2 = new PNG({ width, height: Math.max(alignedHeight, 1) });
+  let ignoredPixels = 0;
+  pairs.forEach(([row1, row2], row) => {
+    copyRow(img1, row1, aligned1, row, width);
+    copyRow(img2, row2, aligned2, row, width);
+    for (let x = 0; x < width; x++) {
+      ignoredPixels += ignoreMask[row2 * img2.width + x];
+    }
+  });
+
+  const alignedDiff = new PNG({ width, height: aligned1.height });
+  const { mismatchedPixels, antialiasedPixels } =
+    alignedHeight > 0
+      ? diffImages(aligned1, aligned2, alignedDiff, width, alignedHeight)
+      : { mismatchedPixels: 0, antialiasedPixels: 0 };
+
+  // Lay the diff back out in the current image's rows: aligned rows show the
+  // pixel diff, inserted sections are tinted green and removals marked red
+  const diff = new PNG({ width, height: img2.height });
+  pairs.forEach(([, row2], row) => copyRow(alignedDiff, row, diff, row2, width));
+  for (const block of blocks) {
+    if (block.type === "inserted") {
+      for (let y = block.y; y < block.y + block.height; y++) {
+        tintRow(img2, y, diff, width, { r: 0, g: 200, b: 0 });
+      }
+    } else {
+      const y = Math.min(block.atY, img2.height - 1);
+      fillRow(diff, y, width, { r: 255, g: 0, b: 0 });
+      fillRow(diff, Math.max(y - 1, 0), width, { r: 255, g: 0, b: 0 });
+    }
+  }
+  ensureDirectoryExistence(diffPath);
+  fs.writeFileSync(diffPath, PNG.sync.write(diff));
+
+  // Regions are clustered and cropped in the aligned images, then reported
+  // in the current image's rows like the diff. Inserted sections are regions
+  // of their own, with nothing to crop on the baseline side.
+  const crops = clusterRegions(alignedDiff, width, alignedHeight).map((box) => {
+    const top = pairs[box.y][1];
+    const bottom = pairs[box.y + box.height - 1][1] + 1;
+    return {
+      region: { ...box, y: top, height: bottom - top, area: box.width * (bottom - top) },
+      box,
+      images: { before: aligned1, after: aligned2, diff: alignedDiff },
+    };
+  });
+  for (const block of blocks.filter((b) => b.type === "inserted")) {
+    const region = {
+      x: 0,
+      y: block.y,
+      width,
+      height: block.height,
+      changedPixels: width * block.height,
+      area: width * block.height,
+      inserted: true,
+    };
+    crops.push({ region, box: region, images: { after: img2, diff } });
+  }
+  crops.sort((a, b) => a.region.y - b.region.y);
+
+  const comparedPixels = alignedHeight * width - ignoredPixels;
+  const matchedPixels = comparedPixels - mismatchedPixels;
+  const comparison = {
+    similarityPercentage:
+      comparedPixels > 0 ? (matchedPixels / comparedPixels) * 100 : 100,
+    metrics: {
+      ssim: computeSsim(aligned1, aligned2, width, alignedHeight),
+      mismatchedPixels,
+      antialiasedPixels,
+      comparedPixels,
+    },
+    ignoredRegions,
+    findings,
+    changedRegions: crops.map((crop) => crop.region),
+    regionCount: crops.length,
+    diffWidth: width,
+    diffHeight: img2.height,
+  };
+  return checkAndListRegions(comparison, crops, diffPath, options.rules);
+}
+
+// Copy one pixel row between images, up to `width` pixels
+function copyRow(source, sourceRow, target, targetRow, width) {
+  const sourceStart = sourceRow * source.width * 4;
+  source.data.copy(
+    target.data,
+    targetRow * target.width * 4,
+    sourceStart,
+    sourceStart + width * 4
+  );
+}
+
+// Blend a row of the source image with a highlight colour into the target
+function tintRow(source, row, target, width, color) {
+  for (let x = 0; x < width; x++) {
+    const sourceOffset = (row * source.width + x) * 4;
+    const targetOffset = (row * target.width + x) * 4;
+    target.data[targetOffset] = (source.data[sourceOffset] + color.r) >> 1;
+    target.data[targetOffset + 1] = (source.data[sourceOffset + 1] + color.g) >> 1;
+    target.data[targetOffset + 2] = (source.data[sourceOffset + 2] + color.b) >> 1;
+    target.data[targetOffset + 3] = 255;
+  }
+}
+
+// Fill a row of the target image with a solid colour
+function fillRow(target, row, width, color) {
+  for (let x = 0; x < width; x++) {
+    const offset = (row * target.width + x) * 4;
+    target.data[offset] = color.r;
+    target.data[offset + 1] = color.g;
+    target.data[offset + 2] = color.b;
+    target.data[offset + 3] = 255;
+  }
+}
+
+// Take a full-page screenshot with masking applied, returning the page
+// regions that were hidden or masked
+async function takeScreenshot(page, screenshotPath, masking) {
+  const maskedRegions = [
+    ...(await getElementRegions(page, masking.hide, "hidden")),
+    ...(await getElementRegions(page, masking.mask, "masked")),
+  ];
+
+  ensureDirectoryExistence(screenshotPath);
+  await page.screenshot({
+    path: screenshotPath,
+    fullPage: true,
+    // Page pixels, so ignore regions line up on high-density devices
+    scale: "css",
+    animations: config.stabilization.steps.includes("disableAnimations")
+      ? "disabled"
+      : "allow",
+    mask: masking.mask.map((selector) => page.locator(selector)),
+    maskColor: `rgb(${MASK_COLOR.r}, ${MASK_COLOR.g}, ${MASK_COLOR.b})`,
+    style: masking.hide.length
+      ? `${masking.hide.join(", ")} { visibility: hidden !important; }`
+      : undefined,
+  });
+  return maskedRegions;
+}
+
+// Forcefully capture screenshot for a given URL, returning the page regions
+// that were hidden or masked, the performance metrics of the visit and the
+// outcome of each stabilization step (both null when the capture had to be
+// forced). `waitFor` comes from the page config.
+async function captureScreenshot(page, url, screenshotPath, options = {}) {
+  const masking = options.masking || { hide: [], mask: [] };
+  const waitFor = options.waitFor || config.defaults.waitFor;
+  await installPerformanceObservers(page);
+  await prepareStabilization(page);
+  const collector = startNetworkCollector(page);
+
+  try {
+    console.log(esm.chalk.blue(`Navigating to: ${url}`));
+
+    const navigationPromise = page.goto(url, {
+      waitUntil: waitFor.waitUntil,
+      timeout: 60000,
+    });
+    // When the timer wins, the navigation is still pending and rejects once
+    // the capture's context is closed; that is expected and not an error
+    navigationPromise.catch(() => {});
+    let timer;
+    const timeoutPromise = new Promise((resolve) => {
+      timer = setTimeout(() => {
+        console.log(esm.chalk.red(`Timeout detected on ${url}. Forcing screenshot.`));
+        resolve();
+      }, waitFor.timeout);
+    });
+
+    await Promise.race([navigationPromise, timeoutPromise]).finally(() =>
+      clearTimeout(timer)
+    );
+
+    if (waitFor.selector) {
+      await page
+        .waitForSelector(waitFor.selector, { timeout: waitFor.timeout })
+        .catch(() =>
+          console.log(
+            esm.chalk.red(
+              `'${waitFor.selector}' did not appear on ${url}. Forcing screenshot.`
+            )
+          )
+        );
+    }
+    if (waitFor.delay) {
+      await page.waitForTimeout(waitFor.delay);
+    }
+
+    // Measured before stabilization and the full-page capture scroll in
+    // lazy content
+    const metrics = await collectPerformanceMetrics(page, collector);
+    const stabilization = await stabilizePage(page);
+    const maskedRegions = await takeScreenshot(page, screenshotPath, masking);
+    console.log(esm.chalk.green(`Screenshot captured: ${screenshotPath}`));
+    return { maskedRegions, metrics, stabilization };
+  } catch (error) {
+    await collector.stop();
+    console.error(
+      esm.chalk.red(`Failed to capture screenshot for ${url}: ${error.message}`)
+    );
+    ensureDirectoryExistence(screenshotPath);
+    await page.screenshot({ path: screenshotPath, fullPage: true, scale: "css" });
+    console.log(esm.chalk.green(`Forced screenshot captured: ${screenshotPath}`));
+    return { maskedRegions: [], metrics: null, stabilization: null };
+  }
+}
+
+module.exports = {
+  ensureDirectoryExistence,
+  getDeviceContextOptions,
+  getScreenshotPath,
+  resizeImage,
+  compareScreenshots,
+  captureScreenshot,
+};
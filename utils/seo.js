@@ -0,0 +1,233 @@
+const { config, getPageUrl } = require("./config");
+const { normalizeHref } = require("./linkChecker");
+
+// Where the SEO audit writes its results for the report
+const SEO_RESULTS_PATH = "seo_results.json";
+
+// Severity of each audit rule
+const SEO_RULES = {
+  "host-leak": "error",
+  noindex: "error",
+  "missing-title": "error",
+  "invalid-json-ld": "error",
+  "missing-description": "warning",
+  "missing-canonical": "warning",
+  "duplicate-title": "warning",
+  "duplicate-description": "warning",
+};
+
+// Read the page's SEO metadata from the loaded document
+async function extractMetadata(page) {
+  return page.evaluate(() => {
+    const content = (selector) => {
+      const element = document.querySelector(selector);
+      return element ? element.getAttribute("content") : null;
+    };
+    const tags = (selector, attribute) =>
+      Object.fromEntries(
+        [...document.querySelectorAll(selector)].map((meta) => [
+          meta.getAttribute(attribute),
+          meta.getAttribute("content"),
+        ])
+      );
+    const canonical = document.querySelector("link[rel='canonical']");
+
+    return {
+      title: document.title.trim() || null,
+      description: content("meta[name='description' i]"),
+      canonical: canonical ? canonical.getAttribute("href") : null,
+      robots: content("meta[name='robots' i]"),
+      openGraph: tags("meta[property^='og:']", "property"),
+      twitter: tags("meta[name^='twitter:']", "name"),
+      hreflang: [...document.querySelectorAll("link[rel='alternate'][hreflang]")].map(
+        (link) => ({
+          lang: link.getAttribute("hreflang"),
+          href: link.getAttribute("href"),
+        })
+      ),
+      jsonLd: [...document.querySelectorAll("script[type='application/ld+json']")].map(
+        (script) => {
+          try {
+            const data = JSON.parse(script.textContent);
+            const items = Array.isArray(data) ? data : data["@graph"] || [data];
+            return { types: items.flatMap((item) => item["@type"] || []) };
+          } catch (error) {
+            return { types: [], error: error.message };
+          }
+        }
+      ),
+    };
+  });
+}
+
+// Visit a page on an environment and collect its metadata, the X-Robots-Tag
+// header and how often each other environment's host appears in the markup
+async function auditPage(page, environmentName, pagePath) {
+  const url = getPageUrl(environmentName, pagePath);
+  const response = await page.goto(url, { waitUntil: "domcontentloaded" });
+  const metadata = await extractMetadata(page);
+  const html = await page.content();
+
+  const otherHosts = {};
+  for (const environment of Object.values(config.environments)) {
+    if (environment.name === environmentName) {
+      continue;
+    }
+    const host = new URL(environment.baseUrl).host;
+    const count = html.split(host).length - 1;
+    if (count > 0) {
+      otherHosts[environment.name] = { host, count };
+    }
+  }
+
+  return {
+    url,
+    status: response ? response.status() : null,
+    xRobotsTag: response ? response.headers()["x-robots-tag"] || null : null,
+    ...metadata,
+    otherHosts,
+  };
+}
+
+// Comparable field/value pairs of a page's metadata. URLs on the page's own
+// environment become paths, so only real differences show up across hosts.
+function flattenMetadata(metadata, baseUrl) {
+  const value = (text) =>
+    typeof text === "string" && /^https?:\/\//.test(text)
+      ? normalizeHref(text, baseUrl)
+      : text;
+
+  const fields = {
+    title: metadata.title,
+    description: metadata.description,
+    canonical: metadata.canonical && normalizeHref(metadata.canonical, baseUrl),
+    robots: metadata.robots,
+    "x-robots-tag": metadata.xRobotsTag,
+    hreflang:
+      metadata.hreflang
+        .map((link) => `${link.lang} ${normalizeHref(link.href, baseUrl)}`)
+        .sort()
+        .join(", ") || null,
+    "json-ld types":
+      metadata.jsonLd
+        .flatMap((block) => block.types)
+        .sort()
+        .join(", ") || null,
+  };
+  for (const [property, text] of Object.entries(metadata.openGraph)) {
+    fields[property] = value(text);
+  }
+  for (const [name, text] of Object.entries(metadata.twitter)) {
+    fields[name] = value(text);
+  }
+  return fields;
+}
+
+// Fields whose value differs between the reference and current environments
+function diffMetadata(reference, current, referenceBase, currentBase) {
+  const referenceFields = flattenMetadata(reference, referenceBase);
+  const currentFields = flattenMetadata(current, currentBase);
+  const names = [...new Set([...Object.keys(referenceFields), ...Object.keys(currentFields)])];
+
+  return names
+    .filter((name) => (referenceFields[name] ?? null) !== (currentFields[name] ?? null))
+    .map((name) => ({
+      field: name,
+      reference: referenceFields[name] ?? null,
+      current: currentFields[name] ?? null,
+    }));
+}
+
+// Build a rule violation with the rule's severity
+function violation(rule, environmentName, message) {
+  return { rule, severity: SEO_RULES[rule], environment: environmentName, message };
+}
+
+// Rule violations for one page on one environment
+function checkPageRules(metadata, environmentName) {
+  const violations = [];
+  const indexable = config.seo.indexable.includes(environmentName);
+
+  if (!metadata.title) {
+    violations.push(violation("missing-title", environmentName, "No <title>"));
+  }
+  if (!metadata.description) {
+    violations.push(violation("missing-description", environmentName, "No meta description"));
+  }
+  if (!metadata.canonical) {
+    violations.push(violation("missing-canonical", environmentName, "No canonical link"));
+  }
+  metadata.jsonLd
+    .filter((block) => block.error)
+    .forEach((block) =>
+      violations.push(
+        violation("invalid-json-ld", environmentName, `Invalid JSON-LD: ${block.error}`)
+      )
+    );
+
+  if (indexable) {
+    const robots = [metadata.robots, metadata.xRobotsTag].filter(Boolean).join(", ");
+    if (/noindex/i.test(robots)) {
+      violations.push(
+        violation("noindex", environmentName, `Indexable environment is noindex (${robots})`)
+      );
+    }
+    for (const [name, { host, count }] of Object.entries(metadata.otherHosts)) {
+      const fields = Object.entries(flattenMetadata(metadata, getPageUrl(environmentName, "/")))
+        .filter(([, text]) => typeof text === "string" && text.includes(host))
+        .map(([field]) => field);
+      violations.push(
+        violation(
+          "host-leak",
+          environmentName,
+          `${name} host ${host} appears ${count} times in the markup` +
+            (fields.length > 0 ? ` (including ${fields.join(", ")})` : "")
+        )
+      );
+    }
+  }
+
+  return violations;
+}
+
+// Titles and descriptions shared by several pages on the same environment
+function checkDuplicates(pages, environmentName) {
+  const violations = [];
+  for (const [field, rule] of [
+    ["title", "duplicate-title"],
+    ["description", "duplicate-description"],
+  ]) {
+    const byValue = new Map();
+    for (const page of pages) {
+      const metadata = page.environments[environmentName];
+      if (metadata && metadata[field]) {
+        byValue.set(metadata[field], [...(byValue.get(metadata[field]) || []), page.path]);
+      }
+    }
+    for (const [value, paths] of byValue) {
+      if (paths.length > 1) {
+        violations.push({
+          ...violation(rule, environmentName, `"${value}" is used by ${paths.join(", ")}`),
+          paths,
+        });
+      }
+    }
+  }
+  return violations;
+}
+
+// Violations whose severity is configured to fail the run
+function getFailingViolations(violations) {
+  return violations.filter((item) => config.seo.failOn.includes(item.severity));
+}
+
+module.exports = {
+  SEO_RESULTS_PATH,
+  SEO_RULES,
+  extractMetadata,
+  auditPage,
+  diffMetadata,
+  checkPageRules,
+  checkDuplicates,
+  getFailingViolations,
+};
@@ -0,0 +1,230 @@
+const { config } = require("./config");
+const esm = require("./esm");
+
+// Styles that stop CSS animations, transitions and the text caret
+const FREEZE_ANIMATIONS_CSS = `
+*, *::before, *::after {
+  animation-delay: 0s !important;
+  animation-duration: 0s !important;
+  animation-iteration-count: 1 !important;
+  transition: none !important;
+  caret-color: transparent !important;
+  scroll-behavior: auto !important;
+}`;
+
+// Error for a step that ran past the step timeout
+function timeoutError() {
+  const error = new Error(`timed out after ${config.stabilization.stepTimeout}ms`);
+  error.code = "ERR_STEP_TIMEOUT";
+  return error;
+}
+
+// How long a timed-out step gets to notice it was aborted and stop
+const ABORT_GRACE_MS = 5000;
+
+// Number of window flags handed out by getAbortFlag
+let abortFlags = 0;
+
+// Name of a window flag set when the signal aborts, for steps whose loops
+// run inside the page where the signal cannot reach
+function getAbortFlag(page, signal) {
+  const flag = `__stabilizationAborted${++abortFlags}`;
+  signal.addEventListener(
+    "abort",
+    () => {
+      page.evaluate((name) => {
+        window[name] = true;
+      }, flag).catch(() => {});
+    },
+    { once: true }
+  );
+  return flag;
+}
+
+// Run a step, giving up after the step timeout. The step is passed an
+// AbortSignal that fires on timeout and is given a moment to stop, so a
+// step that loops (scrolling, capturing frames) is not still running while
+// the page is captured.
+async function runStep(step, page) {
+  const controller = new AbortController();
+  let timer;
+  const run = STEPS[step](page, controller.signal);
+  try {
+    return await Promise.race([
+      run,
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          controller.abort();
+          reject(timeoutError());
+        }, config.stabilization.stepTimeout);
+      }),
+    ]);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      let graceTimer;
+      await Promise.race([
+        run.catch(() => {}),
+        new Promise((resolve) => {
+          graceTimer = setTimeout(resolve, ABORT_GRACE_MS);
+        }),
+      ]);
+      clearTimeout(graceTimer);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Steps run in config order once the page has loaded. Each returns a short
+// detail for the results, or throws, and stops once its signal aborts; steps
+// that only wait need not. `freezeTime` also has a part that must run before
+// navigation, in prepareStabilization.
+const STEPS = {
+  freezeTime: async () => `Date fixed at ${config.stabilization.frozenTime}`,
+
+  disableAnimations: async (page) => {
+    await page.addStyleTag({ content: FREEZE_ANIMATIONS_CSS });
+    // Jump running animations to their end state, or drop endless ones
+    return page.evaluate(() => {
+      const animations = document.getAnimations();
+      for (const animation of animations) {
+        try {
+          animation.finish();
+        } catch (error) {
+          animation.cancel();
+        }
+      }
+      return `${animations.length} animations stopped`;
+    });
+  },
+
+  waitForFonts: async (page) =>
+    page.evaluate(async () => {
+      await document.fonts.ready;
+      return `${document.fonts.size} fonts loaded`;
+    }),
+
+  dismissOverlays: async (page, signal) => {
+    const dismissed = [];
+    for (const selector of config.stabilization.overlays) {
+      if (signal.aborted) {
+        break;
+      }
+      const overlay = page.locator(selector).first();
+      if (await overlay.isVisible().catch(() => false)) {
+        await overlay.click({ timeout: 2000 });
+        dismissed.push(selector);
+      }
+    }
+    return dismissed.length > 0 ? `dismissed ${dismissed.join(", ")}` : "none visible";
+  },
+
+  // Scroll a viewport at a time to trigger lazy loading, wait for the images
+  // that started loading, then return to the top (also when aborted)
+  autoScroll: async (page, signal) =>
+    page.evaluate(
+      async ({ delay, maxScrolls, abortFlag }) => {
+        const aborted = () => window[abortFlag] === true;
+        const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+        let scrolls = 0;
+        while (
+          !aborted() &&
+          scrolls < maxScrolls &&
+          window.scrollY + window.innerHeight < document.documentElement.scrollHeight
+        ) {
+          window.scrollBy(0, window.innerHeight);
+          scrolls++;
+          await sleep(delay);
+        }
+        const pending = [...document.images].filter((img) => !img.complete);
+        let poll;
+        await Promise.race([
+          Promise.all(
+            pending.map(
+              (img) =>
+                new Promise((resolve) => {
+                  img.addEventListener("load", resolve, { once: true });
+                  img.addEventListener("error", resolve, { once: true });
+                })
+            )
+          ),
+          new Promise((resolve) => {
+            poll = setInterval(() => aborted() && resolve(), delay);
+          }),
+        ]);
+        clearInterval(poll);
+        window.scrollTo(0, 0);
+        await sleep(delay);
+        return `${scrolls} scrolls, waited for ${pending.length} images`;
+      },
+      {
+        delay: config.stabilization.scrollDelay,
+        maxScrolls: config.stabilization.maxScrolls,
+        abortFlag: getAbortFlag(page, signal),
+      }
+    ),
+
+  // Compare viewport captures until two in a row are identical
+  waitForStableFrames: async (page, signal) => {
+    let previous = await page.screenshot({ caret: "hide" });
+    for (let frames = 2; ; frames++) {
+      if (signal.aborted) {
+        throw timeoutError();
+      }
+      await page.waitForTimeout(config.stabilization.frameInterval);
+      const frame = await page.screenshot({ caret: "hide" });
+      if (frame.equals(previous)) {
+        return `stable after ${frames} frames`;
+      }
+      previous = frame;
+    }
+  },
+};
+
+// Steps that must be in place before navigation: a fixed clock for Date and
+// a seeded Math.random
+async function prepareStabilization(page) {
+  if (!config.stabilization.steps.includes("freezeTime")) {
+    return;
+  }
+  await page.clock.setFixedTime(new Date(config.stabilization.frozenTime));
+  await page.addInitScript(() => {
+    // mulberry32, so every visit sees the same sequence
+    let seed = 0x2f6b5a1d;
+    Math.random = () => {
+      seed = (seed + 0x6d2b79f5) | 0;
+      let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  });
+}
+
+// Run the configured steps on a loaded page. A step that fails or times out
+// is recorded and the rest still run, so a capture is never lost to one step.
+async function stabilizePage(page) {
+  const outcomes = [];
+  for (const step of config.stabilization.steps) {
+    const startedAt = Date.now();
+    try {
+      const detail = await runStep(step, page);
+      outcomes.push({ step, status: "ok", durationMs: Date.now() - startedAt, detail });
+    } catch (error) {
+      const status = error.code === "ERR_STEP_TIMEOUT" ? "timeout" : "failed";
+      outcomes.push({
+        step,
+        status,
+        durationMs: Date.now() - startedAt,
+        detail: error.message,
+      });
+      console.log(esm.chalk.yellow(`Stabilization step ${step} ${status}: ${error.message}`));
+    }
+  }
+  return outcomes;
+}
+
+module.exports = {
+  prepareStabilization,
+  stabilizePage,
+};